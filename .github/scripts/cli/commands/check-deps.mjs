@@ -0,0 +1,81 @@
+import { join, resolve } from 'node:path';
+import { writeFile as defaultWriteFile } from 'node:fs/promises';
+import {
+  getWorkspaceRoot as defaultGetWorkspaceRoot,
+  loadJson as defaultLoadJson,
+  exists as defaultExists
+} from '../../lib/utils.mjs';
+import {
+  generateDependencyGraph as defaultGenerateDependencyGraph,
+  loadIgnorePatterns as defaultLoadIgnorePatterns,
+  buildDepsData,
+  parseAnalysisOptions,
+  ANALYSIS_MODES
+} from '../../lib/ops/deps-generator.mjs';
+import { diffDepsData, formatDepsDiff } from '../../lib/ops/deps-checker.mjs';
+import { prepareDepsData } from '../../lib/ops/deps-schema.mjs';
+
+// Analysis progress goes to stderr, so stdout only carries the diff
+const stderrLogger = {
+  info: (...args) => console.error(...args),
+  error: (...args) => console.error(...args),
+  warning: (...args) => console.error(...args),
+};
+
+export async function run(args, dependencies = {}) {
+  const {
+    generateDependencyGraph = defaultGenerateDependencyGraph,
+    loadIgnorePatterns = defaultLoadIgnorePatterns,
+    getWorkspaceRoot = defaultGetWorkspaceRoot,
+    loadJson = defaultLoadJson,
+    exists = defaultExists,
+    logger = stderrLogger,
+    print = (text) => console.log(text),
+    writeFile = defaultWriteFile
+  } = dependencies;
+
+  const {
+    root: rootArg,
+    'deps-file': depsFile,
+    'ignore-file': ignoreFile,
+    mode = 'static',
+    format = 'text',
+    output
+  } = args;
+
+  if (!ANALYSIS_MODES.includes(mode)) {
+    throw new Error(`Unknown mode: ${mode} (expected ${ANALYSIS_MODES.join(' or ')})`);
+  }
+  const analysisOptions = parseAnalysisOptions(args);
+  if (format !== 'text' && format !== 'json') {
+    throw new Error(`Unknown format: ${format} (expected text or json)`);
+  }
+
+  const root = rootArg ? resolve(rootArg) : await getWorkspaceRoot();
+  const depsPath = depsFile || join(root, '.tfdeps.json');
+  let committed = {};
+  let current = {};
+  if (await exists(depsPath)) {
+    committed = await loadJson(depsPath);
+    current = prepareDepsData(committed, depsPath);
+  }
+
+  const ignorePatterns = await loadIgnorePatterns(ignoreFile, root);
+  const { results } = await generateDependencyGraph(root, ignorePatterns, { mode, logger, ...analysisOptions });
+
+  const failed = results.filter(r => r.status !== 'success');
+  if (failed.length > 0) {
+    failed.forEach(r => r.logs.forEach(l => logger.error(`    ${r.root}: ${l}`)));
+    throw new Error(`Analysis failed for ${failed.length} roots: ${failed.map(r => r.root).join(', ')}`);
+  }
+
+  const generated = buildDepsData(results, current);
+  const diff = diffDepsData(committed, generated);
+
+  print(format === 'json' ? JSON.stringify(diff, null, 2) : formatDepsDiff(diff));
+  if (output) {
+    await writeFile(output, JSON.stringify(diff, null, 2));
+  }
+
+  return diff;
+}
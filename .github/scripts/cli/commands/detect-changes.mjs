@@ -1,10 +1,16 @@
-import { detectChanges as defaultDetectChanges } from '../../lib/ops/change-detector.mjs';
+import {
+  detectChanges as defaultDetectChanges,
+  detectRemovedRoots as defaultDetectRemovedRoots,
+  findMergeBase as defaultFindMergeBase
+} from '../../lib/ops/change-detector.mjs';
 import { loadJson as defaultLoadJson, requireArgs } from '../../lib/utils.mjs';
 import { writeFile } from 'node:fs/promises';
 
 export async function run(args, dependencies = {}) {
   const {
     detectChanges = defaultDetectChanges,
+    detectRemovedRoots = defaultDetectRemovedRoots,
+    findMergeBase = defaultFindMergeBase,
     loadJson = defaultLoadJson,
     saveJson = async (path, data) => writeFile(path, JSON.stringify(data, null, 2))
   } = dependencies;
@@ -21,10 +27,19 @@ export async function run(args, dependencies = {}) {
       }
   }
 
-  const result = await detectChanges(base, head, dependencyGraph);
+  // Both diffs start from the merge-base: fetch the history for it once
+  const mergeBase = await findMergeBase(base, head);
+  const result = await detectChanges(base, head, dependencyGraph, { mergeBase });
+  const removed = await detectRemovedRoots(base, head, { mergeBase });
 
+  for (const root of removed) {
+      const detail = root.movedTo ? `moved to ${root.movedTo}` : 'deleted';
+      console.warn(`Warning: Root ${root.path} was ${detail}; its resources are not planned and must be destroyed or migrated explicitly`);
+  }
+
+  // stdout stays the list of roots; removed roots are only written to the output file
   if (output) {
-      await saveJson(output, { include: result });
+      await saveJson(output, { include: result, removed });
   }
 
   return result;
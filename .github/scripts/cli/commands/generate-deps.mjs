@@ -1,9 +1,24 @@
 import { join, resolve } from 'node:path';
-import { runCommand as defaultRunCommand, getWorkspaceRoot as defaultGetWorkspaceRoot } from '../../lib/utils.mjs';
+import {
+  runCommand as defaultRunCommand,
+  getWorkspaceRoot as defaultGetWorkspaceRoot,
+  loadJson as defaultLoadJson
+} from '../../lib/utils.mjs';
 import { logger as defaultLogger } from '../../lib/logger.mjs';
 import { generateDependencyGraph as defaultGenerateDependencyGraph } from '../../lib/ops/deps-generator.mjs';
-import { loadIgnorePatterns as defaultLoadIgnorePatterns } from '../../lib/ops/deps-generator.mjs';
-import { getRepoName as defaultGetRepoName } from '../../lib/git.mjs';
+import {
+  loadIgnorePatterns as defaultLoadIgnorePatterns,
+  buildDepsData,
+  reuseResult,
+  parseAnalysisOptions,
+  ANALYSIS_MODES
+} from '../../lib/ops/deps-generator.mjs';
+import { findCycle, buildDependsOnMap } from '../../lib/ops/execution-order.mjs';
+import { migrateDepsData, validateDepsData, prepareDepsData } from '../../lib/ops/deps-schema.mjs';
+import {
+  getRepoName as defaultGetRepoName,
+  getChangedFilesSince as defaultGetChangedFilesSince
+} from '../../lib/git.mjs';
 import { writeFile as defaultWriteFile } from 'node:fs/promises';
 
 export async function run(args, dependencies = {}) {
@@ -13,19 +28,61 @@ export async function run(args, dependencies = {}) {
       runCommand = defaultRunCommand,
       getWorkspaceRoot = defaultGetWorkspaceRoot,
       getRepoName = defaultGetRepoName,
+      getChangedFilesSince = defaultGetChangedFilesSince,
       logger = defaultLogger,
+      loadJson = defaultLoadJson,
       writeFile = defaultWriteFile
   } = dependencies;
 
-  const { root: rootArg, output, 'ignore-file': ignoreFile } = args;
+  const {
+    root: rootArg,
+    output,
+    'ignore-file': ignoreFile,
+    mode = 'static',
+    since,
+    'keep-going': keepGoing,
+    'max-failures': maxFailures,
+    report: reportPath
+  } = args;
+  if (!ANALYSIS_MODES.includes(mode)) {
+    throw new Error(`Unknown mode: ${mode} (expected ${ANALYSIS_MODES.join(' or ')})`);
+  }
+  const analysisOptions = parseAnalysisOptions(args);
+  const isOverThreshold = parseFailureThreshold(maxFailures);
   const root = rootArg ? resolve(rootArg) : await getWorkspaceRoot();
 
+  // The static mode reads .tf files only and does not need the terraform binary
+  if (mode === 'terraform') {
+    try {
+      await runCommand('terraform', ['-version']);
+    } catch (err) {
+      logger.error("❌️ Error: 'terraform' command not found or failed to run.", err.message);
+      process.exit(1);
+    }
+  }
+
+  const outputPath = output || join(root, '.tfdeps.json');
+
+  // Keep hand-written triggers and dependency overrides from the current graph
+  let existing = null;
   try {
-    await runCommand('terraform', ['-version']);
-  } catch (err) {
-    logger.error("❌️ Error: 'terraform' command not found or failed to run.", err.message);
-    process.exit(1);
+    existing = await loadJson(outputPath);
+  } catch {
+    // No previous graph
+  }
+
+  // Incremental mode: reuse the current graph for roots untouched since the commit
+  let incremental = {};
+  if (since) {
+    if (!existing) {
+      throw new Error(`--since needs an existing dependency graph: ${outputPath} not found`);
+    }
+    incremental = {
+      previous: prepareDepsData(existing, outputPath),
+      changedFiles: await getChangedFilesSince(since, root)
+    };
   }
+  existing = existing ? migrateDepsData(existing, outputPath) : {};
 
   logger.info(`🔍 Discovery: Scanning ${root} for Terraform roots...`);
 
@@ -33,7 +90,7 @@ export async function run(args, dependencies = {}) {
 
   logger.info(`🚀 Analysis: Generating dependency graph...`);
   
-  const { results, roots } = await generateDependencyGraph(root, ignorePatterns);
+  const { results, roots } = await generateDependencyGraph(root, ignorePatterns, { mode, ...analysisOptions, ...incremental });
 
   if (roots) {
       // const repoName = await getRepoName(root); // Use dependency
@@ -48,9 +105,8 @@ export async function run(args, dependencies = {}) {
   // Sort and process results to match original output format
   results.sort((a, b) => a.root.localeCompare(b.root));
 
-  const moduleUsage = {};
-  const failedRoots = [];
-  const rootObjects = [];
+  const failedResults = [];
+  const successResults = [];
 
   for (const res of results) {
     if (res.status === 'success') {
@@ -58,38 +114,101 @@ export async function run(args, dependencies = {}) {
         logger.warning(`⚠️  Warnings for ${res.root}:`);
         res.logs.forEach(l => logger.warning(`    ${l}`));
       }
-      logger.info(`✅ ${res.root}`);
-
-      rootObjects.push({
-        path: res.root,
-        providers: res.providers
-      });
-
-      for (const mod of res.modules) {
-        if (!moduleUsage[mod]) moduleUsage[mod] = [];
-        moduleUsage[mod].push(res.root);
-      }
+      logger.info(`✅ ${res.root}${res.reused ? ' (unchanged)' : ''}`);
+      successResults.push(res);
     } else {
       logger.error(`❌ ${res.root}`);
       res.logs.forEach(l => logger.error(`    ${l}`));
-      failedRoots.push(res.root);
+      failedResults.push(res);
     }
   }
 
-  if (failedRoots.length > 0) {
-    logger.error(`❌ Analysis failed for ${failedRoots.length} roots.`);
+  const carriedForward = new Set();
+  const writeReport = async () => {
+    if (!reportPath) return;
+    const report = {
+      total: results.length,
+      succeeded: results.length - failedResults.length,
+      failures: failedResults.map(r => ({
+        root: r.root,
+        logs: r.logs,
+        durationMs: r.durationMs,
+        carriedForward: carriedForward.has(r.root)
+      }))
+    };
+    await writeFile(reportPath, JSON.stringify(report, null, 2) + '\n');
+  };
+
+  if (failedResults.length > 0 && !keepGoing) {
+    await writeReport();
+    logger.error(`❌ Analysis failed for ${failedResults.length} roots.`);
     process.exit(1);
   }
 
-  const outputObject = {
-    dirs: rootObjects,
-    modules: Object.keys(moduleUsage).sort().map(mod => ({
-        source: mod,
-        usedIn: moduleUsage[mod].sort()
-    }))
-  };
+  // Keep going: failed roots keep their previous entry, marked as stale
+  for (const res of failedResults) {
+    if ((existing.dirs || []).some(d => d.path === res.root)) {
+      successResults.push({ ...(await reuseResult(res.root, existing, root)), stale: true });
+      carriedForward.add(res.root);
+      logger.warning(`⚠️  ${res.root}: keeping the previous entry (stale)`);
+    } else {
+      logger.warning(`⚠️  ${res.root}: not in the previous graph, left out`);
+    }
+  }
+
+  const dependencyLogs = [];
+  const outputObject = buildDepsData(successResults, existing, dependencyLogs);
+  dependencyLogs.forEach(l => logger.warning(l));
+
+  const cycle = findCycle(buildDependsOnMap(outputObject));
+  if (cycle) {
+    await writeReport();
+    logger.error(`❌ Dependency cycle detected: ${cycle.join(' -> ')}`);
+    process.exit(1);
+  }
+
+  try {
+    validateDepsData(outputObject, outputPath);
+  } catch (error) {
+    await writeReport();
+    logger.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
 
-  const outputPath = output || join(root, '.tfdeps.json');
   await writeFile(outputPath, JSON.stringify(outputObject, null, 2) + '\n');
+  await writeReport();
+
+  if (failedResults.length > 0) {
+    const leftOut = failedResults.length - carriedForward.size;
+    const counts = [
+      ...(carriedForward.size > 0 ? [`${carriedForward.size} kept from the previous graph (stale)`] : []),
+      ...(leftOut > 0 ? [`${leftOut} left out`] : [])
+    ];
+    logger.warning(`⚠️  Dependency graph written to ${outputPath} with ${failedResults.length} failed roots: ${counts.join(', ')}.`);
+    if (isOverThreshold(failedResults.length, results.length)) {
+      logger.error(`❌ Analysis failed for ${failedResults.length} roots (allowed: ${maxFailures ?? 0}).`);
+      process.exit(1);
+    }
+    return;
+  }
   logger.info(`✨ Success! Dependency graph written to ${outputPath}`);
 }
+
+/**
+ * Parses `--max-failures`: a number of roots (`3`) or a share of all roots (`10%`).
+ * @param {string} [value] - Option value (Default: no failure allowed).
+ * @returns {(failed: number, total: number) => boolean} - Whether the failures exceed the threshold.
+ */
+function parseFailureThreshold(value) {
+  if (value === undefined) {
+    return (failed) => failed > 0;
+  }
+  const match = String(value).match(/^(\d+(?:\.\d+)?)(%?)$/);
+  if (!match || (match[2] && Number(match[1]) > 100)) {
+    throw new Error(`Invalid --max-failures: ${value}`);
+  }
+  const limit = Number(match[1]);
+  return match[2]
+    ? (failed, total) => failed / total * 100 > limit
+    : (failed) => failed > limit;
+}
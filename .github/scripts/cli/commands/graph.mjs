@@ -0,0 +1,44 @@
+import { join } from 'node:path';
+import { writeFile as defaultWriteFile } from 'node:fs/promises';
+import { getWorkspaceRoot as defaultGetWorkspaceRoot } from '../../lib/utils.mjs';
+import { DEPS_FILE, loadDepsData as defaultLoadDepsData } from '../../lib/ops/deps-schema.mjs';
+import { buildGraph, focusGraph, renderGraph, GRAPH_FORMATS } from '../../lib/ops/graph-renderer.mjs';
+
+export async function run(args, dependencies = {}) {
+  const {
+    loadDepsData = defaultLoadDepsData,
+    getWorkspaceRoot = defaultGetWorkspaceRoot,
+    print = (text) => console.log(text),
+    writeFile = defaultWriteFile
+  } = dependencies;
+
+  const { 'deps-file': depsFile, format = 'dot', focus, depth, output } = args;
+
+  if (!GRAPH_FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected ${GRAPH_FORMATS.join(', ')})`);
+  }
+  let maxDepth = Infinity;
+  if (depth !== undefined) {
+    maxDepth = Number(depth);
+    if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+      throw new Error(`Invalid --depth: ${depth}`);
+    }
+    if (!focus) {
+      throw new Error('--depth requires --focus');
+    }
+  }
+
+  const depsData = await loadDepsData(depsFile || join(await getWorkspaceRoot(), DEPS_FILE));
+  let graph = buildGraph(depsData);
+  if (focus) {
+    graph = focusGraph(graph, focus, maxDepth);
+  }
+
+  const rendered = renderGraph(graph, format);
+  if (output) {
+    await writeFile(output, rendered + '\n');
+  } else {
+    print(rendered);
+  }
+  return rendered;
+}
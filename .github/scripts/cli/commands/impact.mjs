@@ -0,0 +1,55 @@
+import { join } from 'node:path';
+import { getWorkspaceRoot as defaultGetWorkspaceRoot } from '../../lib/utils.mjs';
+import { runGitDiff as defaultRunGitDiff } from '../../lib/git.mjs';
+import { DEPS_FILE, loadDepsData as defaultLoadDepsData } from '../../lib/ops/deps-schema.mjs';
+import { explainExecutionPaths, formatReason } from '../../lib/ops/change-detector.mjs';
+
+/**
+ * Formats the result of explainExecutionPaths for humans.
+ * @param {{roots: Array, unmatched: string[]}} impact
+ * @returns {string}
+ */
+function formatImpact({ roots, unmatched }) {
+  const lines = [];
+  if (roots.length === 0) {
+    lines.push('No roots affected.');
+  }
+  for (const root of roots) {
+    lines.push(root.path);
+    root.reasons.forEach(reason => lines.push(`  - ${formatReason(reason, root.path)}`));
+  }
+  if (unmatched.length > 0) {
+    lines.push('', 'Changed files that matched nothing:');
+    unmatched.forEach(file => lines.push(`  - ${file}`));
+  }
+  return lines.join('\n');
+}
+
+export async function run(args, dependencies = {}) {
+  const {
+    loadDepsData = defaultLoadDepsData,
+    getWorkspaceRoot = defaultGetWorkspaceRoot,
+    runGitDiff = defaultRunGitDiff,
+    print = (text) => console.log(text)
+  } = dependencies;
+
+  const { base, head, 'deps-file': depsFile, format = 'text', files = [] } = args;
+  if (format !== 'text' && format !== 'json') {
+    throw new Error(`Unknown format: ${format} (expected text or json)`);
+  }
+  if (files.length > 0 && (base || head)) {
+    throw new Error('File paths cannot be combined with --base or --head');
+  }
+  if (files.length === 0 && (!base || !head)) {
+    throw new Error('Missing required arguments: file paths, or base and head');
+  }
+
+  const root = await getWorkspaceRoot();
+  const changedFiles = files.length > 0 ? files : await runGitDiff(base, head, root);
+  const depsData = await loadDepsData(depsFile || join(root, DEPS_FILE));
+
+  const impact = explainExecutionPaths(changedFiles, depsData);
+  impact.roots.sort((a, b) => a.path.localeCompare(b.path));
+  print(format === 'json' ? JSON.stringify(impact, null, 2) : formatImpact(impact));
+  return impact;
+}
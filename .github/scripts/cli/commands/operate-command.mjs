@@ -1,19 +1,146 @@
 import { detectChanges } from '../../lib/ops/change-detector.mjs';
-import { selectTargets } from '../../lib/ops/target-selector.mjs';
-import { parseCommand } from '../../lib/ops/command-parser.mjs';
-import { requireArgs } from '../../lib/utils.mjs';
+import { selectTargets, hasPatterns, formatResolvedTargets } from '../../lib/ops/target-selector.mjs';
+import { parseCommand, splitComment } from '../../lib/ops/command-parser.mjs';
+import { loadPolicy, legacyRolesFromEnv, authorizeTargets, formatDenials } from '../../lib/ops/policy.mjs';
+import { loadSavedPlans, checkDestructiveChanges, formatBlocked } from '../../lib/ops/destroy-guard.mjs';
+import { verifyPlans, formatStale } from '../../lib/ops/plan-verifier.mjs';
+import { reverseWaves, checkWaveCount } from '../../lib/ops/execution-order.mjs';
+import { requireArgs, getWorkspaceRoot } from '../../lib/utils.mjs';
+
+/**
+ * Builds the workflow matrix of a list of operations. Operations run in order: the waves
+ * of each operation come after those of the previous one. The roots of a plan share one wave.
+ * @param {Array<{command: string, targets: Array<{path: string, wave?: number}>, flags: string[]}>} operations
+ * @returns {Array<Object>} - Matrix entries with `operation` (index), `command`, `flags` and a global `wave`.
+ */
+export function buildMatrix(operations) {
+  const include = [];
+  let offset = 0;
+  operations.forEach((operation, index) => {
+    const waves = operation.targets.map(t => (operation.command !== 'plan' && Number.isInteger(t.wave) ? t.wave : 0));
+    operation.targets.forEach((target, i) => {
+      include.push({ ...target, wave: offset + waves[i], operation: index, command: operation.command, flags: operation.flags });
+    });
+    offset += Math.max(0, ...waves) + 1;
+  });
+  return include;
+}
 
 export async function run(args, dependencies = {}) {
   const {
-    _detectChanges = detectChanges,
-    _selectTargets = selectTargets,
     _parseCommand = parseCommand,
   } = dependencies;
 
-  requireArgs(args, ['comment-body', 'base-sha', 'head-sha']);
-  const { 'comment-body': commentBody, 'base-sha': baseSha, 'head-sha': headSha } = args;
+  requireArgs(args, ['comment-body', 'base-sha', 'head-sha', 'actor']);
+  const commentBody = args['comment-body'];
+
+  // Every line starting with `$terraform` is a command; the other lines are the reason.
+  // A body without command lines is parsed as a whole, so it is reported as invalid.
+  const { lines, reason } = splitComment(commentBody);
+  const commandLines = lines.length > 0 ? lines : [commentBody];
+  const batch = commandLines.length > 1;
+
+  // Prepare every command before anything runs: one refused command refuses the comment
+  const operations = [];
+  for (const line of commandLines) {
+    const result = await prepareOperation(_parseCommand(line), args, dependencies);
+    if (result.done) {
+      return batch && result.command === 'error' ? { ...result, message: `\`${line}\`: ${result.message}` } : result;
+    }
+    operations.push({ line, ...result });
+  }
+
+  // A root may only appear once: a plan must be reviewed before it is applied
+  const seen = new Map();
+  for (const operation of operations) {
+    for (const { path } of operation.targets) {
+      if (seen.has(path) && seen.get(path) !== operation) {
+        return {
+          command: 'error',
+          targets: [],
+          message: `\`${path}\` appears in more than one command. Run them in separate comments.`,
+          done: true,
+        };
+      }
+      seen.set(path, operation);
+    }
+  }
+
+  const matrix = buildMatrix(operations);
+  try {
+    checkWaveCount(matrix);
+  } catch (error) {
+    return { command: 'error', targets: [], message: error.message, done: true };
+  }
+  const summary = operations.map(({ line, command, targets, flags, message }) => ({ line, command, targets, flags, message }));
+  if (!batch) {
+    const { line, ...single } = operations[0];
+    return { ...single, operations: summary, matrix, reason };
+  }
+  return {
+    command: 'batch',
+    targets: matrix,
+    flags: [],
+    message: operations.filter(o => o.message).map(o => `\`${o.line}\`:\n${o.message}`).join('\n\n'),
+    done: false,
+    operations: summary,
+    matrix,
+    reason,
+  };
+}
+
+/**
+ * Checks whether someone other than the actor who may apply every target has approved.
+ * @param {Object} policy - Normalized policy.
+ * @param {{actor: string, approvers?: string, approverTeams?: string}} args - Comma-separated approvers, and
+ *   a JSON object mapping each approver to their team slugs (`{"carol": ["platform"]}`).
+ * @param {string[]} paths - Target root paths.
+ * @param {Date} now - Current time, for business hours.
+ * @returns {boolean}
+ * @throws {Error} If `approverTeams` is not valid JSON.
+ */
+function hasSecondApprover(policy, { actor, approvers, approverTeams }, paths, now) {
+  let teamsByApprover = {};
+  try {
+    teamsByApprover = approverTeams ? JSON.parse(approverTeams) : {};
+  } catch (error) {
+    throw new Error(`Invalid --approver-teams: ${error.message}`);
+  }
+  return (approvers || '').split(/[\s,]+/).filter(Boolean)
+    .filter(a => a.toLowerCase() !== actor.toLowerCase())
+    .some(a => {
+      const teams = Array.isArray(teamsByApprover[a]) ? teamsByApprover[a] : [];
+      return authorizeTargets(policy, { actor: a, teams }, 'apply', paths, now).denied.length === 0;
+    });
+}
+
+/**
+ * Resolves, authorizes and checks one parsed command.
+ * @param {Object|null} parsed - Result of parseCommand.
+ * @param {Object} args - Command arguments.
+ * @param {Object} dependencies - Injected dependencies.
+ * @returns {Promise<{command: string, targets: Array, flags?: string[], message: string, done: boolean}>}
+ */
+async function prepareOperation(parsed, args, dependencies) {
+  const {
+    _detectChanges = detectChanges,
+    _selectTargets = selectTargets,
+    _loadPolicy = loadPolicy,
+    _loadSavedPlans = loadSavedPlans,
+    _verifyPlans = verifyPlans,
+    _now = () => new Date(),
+  } = dependencies;
+  const {
+    'base-sha': baseSha,
+    'head-sha': headSha,
+    actor,
+    teams,
+    'policy-file': policyFile,
+    'plans-dir': plansDir,
+    approvers,
+    'approver-teams': approverTeams,
+  } = args;
 
-  const parsed = _parseCommand(commentBody);
   if (!parsed) {
     return {
       command: 'error',
@@ -45,10 +172,22 @@ export async function run(args, dependencies = {}) {
 
   const { command, targets } = parsed;
   let targetDirs = [];
+  const notes = [];
+
+  // Destroy must never fall back to auto-detected targets.
+  if (command === 'destroy' && targets.length === 0) {
+    return {
+      command: 'error',
+      targets: [],
+      message: '`destroy` requires explicit targets.',
+      done: true,
+    };
+  }
 
   try {
     if (targets.length > 0) {
-      targetDirs = await _selectTargets(targets.join(' '));
+      // Destroy only takes full root paths, never a basename resolved to some root
+      targetDirs = await _selectTargets(targets.join(' '), notes, { exact: command === 'destroy' });
     } else {
       targetDirs = await _detectChanges(baseSha, headSha);
     }
@@ -62,10 +201,71 @@ export async function run(args, dependencies = {}) {
       };
     }
 
+    // Destroy dependents before the roots they depend on
+    if (command === 'destroy') {
+      targetDirs = reverseWaves(targetDirs);
+    }
+
+    // Authorize every target individually
+    const policy = await _loadPolicy({ policyFile, legacy: legacyRolesFromEnv() });
+    const principal = { actor, teams: (teams || '').split(/[\s,]+/).filter(Boolean) };
+    const { denied } = authorizeTargets(policy, principal, command, targetDirs.map(t => t.path), _now());
+    if (denied.length > 0) {
+      return {
+        command: 'error',
+        targets: [],
+        message: formatDenials(actor, command, denied),
+        denied,
+        done: true,
+      };
+    }
+
+    // Destructive-change guardrail against the saved plans in --plans-dir. Overridden by
+    // --allow-destroy or an approval from someone other than the actor who may apply every target.
+    const protectedResources = policy.protectedResources || [];
+    if (command === 'apply' && plansDir && protectedResources.length > 0 && !parsed.allowDestroy &&
+        !hasSecondApprover(policy, { actor, approvers, approverTeams }, targetDirs.map(t => t.path), _now())) {
+      const plans = await _loadSavedPlans(plansDir);
+      const blocked = checkDestructiveChanges(targetDirs.map(t => t.path), plans, protectedResources);
+      if (blocked.length > 0) {
+        return {
+          command: 'error',
+          targets: [],
+          message: formatBlocked(blocked),
+          blocked,
+          done: true,
+        };
+      }
+    }
+
+    // Apply only the reviewed plan: it must match the PR head and must not have expired.
+    if (command === 'apply' && plansDir) {
+      const stale = await _verifyPlans(targetDirs.map(t => t.path), plansDir, {
+        headSha,
+        workspaceRoot: await getWorkspaceRoot(),
+        now: _now(),
+      });
+      if (stale.length > 0) {
+        return {
+          command: 'error',
+          targets: [],
+          message: formatStale(stale),
+          stale,
+          done: true,
+        };
+      }
+    }
+
     return {
       command,
       targets: targetDirs,
-      message: '',
+      // Validated Terraform flags, appended by the workflow to the terraform invocation
+      flags: parsed.flags || [],
+      // Show how basenames were resolved and what patterns expanded to
+      message: [
+        ...notes,
+        ...(hasPatterns(targets) ? [formatResolvedTargets(targets, targetDirs.map(t => t.path))] : [])
+      ].join('\n\n'),
       done: false,
     };
 
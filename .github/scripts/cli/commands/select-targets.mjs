@@ -1,17 +1,63 @@
 import { selectTargets as defaultSelectTargets } from '../../lib/ops/target-selector.mjs';
+import { loadPolicy as defaultLoadPolicy, legacyRolesFromEnv, authorizeTargets, formatDenials } from '../../lib/ops/policy.mjs';
+import { loadSavedPlans as defaultLoadSavedPlans, checkDestructiveChanges, formatBlocked } from '../../lib/ops/destroy-guard.mjs';
+import { checkWaveCount } from '../../lib/ops/execution-order.mjs';
 import { requireArgs } from '../../lib/utils.mjs';
+import { logger as defaultLogger } from '../../lib/logger.mjs';
 import { writeFile } from 'node:fs/promises';
 
 export async function run(args, dependencies = {}) {
   const { 
     selectTargets = defaultSelectTargets,
+    loadPolicy = defaultLoadPolicy,
+    loadSavedPlans = defaultLoadSavedPlans,
+    now = () => new Date(),
+    logger = defaultLogger,
     saveJson = async (path, data) => writeFile(path, JSON.stringify(data, null, 2))
   } = dependencies;
 
-  requireArgs(args, ['targets']);
-  const { targets, output } = args;
+  requireArgs(args, ['targets', 'actor']);
+  const {
+    targets,
+    output,
+    actor,
+    teams,
+    command = 'apply',
+    'policy-file': policyFile,
+    'plans-dir': plansDir,
+    'allow-destroy': allowDestroy
+  } = args;
 
-  const result = await selectTargets(targets);
+  const notes = [];
+  const result = await selectTargets(targets, notes);
+  // Plans run in parallel, other commands one wave job at a time
+  if (command !== 'plan') {
+    checkWaveCount(result);
+  }
+  // stdout carries the matrix JSON, so notes go to stderr
+  notes.forEach(note => logger.warning(note));
+
+  // Authorize every target individually
+  const policy = await loadPolicy({ policyFile, legacy: legacyRolesFromEnv() });
+  const principal = { actor, teams: (teams || '').split(/[\s,]+/).filter(Boolean) };
+  const { denied } = authorizeTargets(policy, principal, command, result.map(t => t.path), now());
+  if (denied.length > 0) {
+    const error = new Error(formatDenials(actor, command, denied));
+    error.denied = denied;
+    throw error;
+  }
+
+  // Destructive-change guardrail against the saved plans in --plans-dir, overridden by --allow-destroy
+  const protectedResources = policy.protectedResources || [];
+  if (command === 'apply' && plansDir && protectedResources.length > 0 && !isTrue(allowDestroy)) {
+    const plans = await loadSavedPlans(plansDir);
+    const blocked = checkDestructiveChanges(result.map(t => t.path), plans, protectedResources);
+    if (blocked.length > 0) {
+      const error = new Error(formatBlocked(blocked, 'To proceed, re-run with the `allow_destroy` input enabled.'));
+      error.blocked = blocked;
+      throw error;
+    }
+  }
 
   if (output) {
       await saveJson(output, { include: result });
@@ -19,3 +65,7 @@ export async function run(args, dependencies = {}) {
 
   return result;
 }
+
+function isTrue(value) {
+  return value === true || value === 'true';
+}
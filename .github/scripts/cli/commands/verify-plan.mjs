@@ -0,0 +1,40 @@
+import { verifyPlans as defaultVerifyPlans, formatStale, DEFAULT_MAX_AGE_HOURS } from '../../lib/ops/plan-verifier.mjs';
+import { getWorkspaceRoot as defaultGetWorkspaceRoot, requireArgs } from '../../lib/utils.mjs';
+
+export async function run(args, dependencies = {}) {
+  const {
+    verifyPlans = defaultVerifyPlans,
+    getWorkspaceRoot = defaultGetWorkspaceRoot,
+    now = () => new Date()
+  } = dependencies;
+
+  requireArgs(args, ['plans-dir', 'targets', 'head-sha']);
+  const {
+    'plans-dir': plansDir,
+    targets,
+    'head-sha': headSha,
+    'max-age': maxAge,
+    root
+  } = args;
+
+  const maxAgeHours = maxAge === undefined ? DEFAULT_MAX_AGE_HOURS : Number(maxAge);
+  if (!Number.isFinite(maxAgeHours) || maxAgeHours <= 0) {
+    throw new Error(`Invalid --max-age: ${maxAge}`);
+  }
+
+  const paths = targets.split(/\s+/).filter(Boolean);
+  const stale = await verifyPlans(paths, plansDir, {
+    headSha,
+    workspaceRoot: root || (await getWorkspaceRoot()),
+    maxAgeHours,
+    now: now()
+  });
+
+  if (stale.length > 0) {
+    const error = new Error(formatStale(stale));
+    error.stale = stale;
+    throw error;
+  }
+
+  return { valid: true, targets: paths };
+}
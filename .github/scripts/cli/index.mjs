@@ -4,6 +4,10 @@ import { run as runDetectChanges } from './commands/detect-changes.mjs';
 import { run as runSelectTargets } from './commands/select-targets.mjs';
 import { run as runGenerateDeps } from './commands/generate-deps.mjs';
 import { run as runOperateCommand } from './commands/operate-command.mjs';
+import { run as runVerifyPlan } from './commands/verify-plan.mjs';
+import { run as runCheckDeps } from './commands/check-deps.mjs';
+import { run as runGraph } from './commands/graph.mjs';
+import { run as runImpact } from './commands/impact.mjs';
 
 const args = process.argv.slice(2);
 if (args.length === 0) {
@@ -39,7 +43,13 @@ async function main() {
             args: commandArgs,
             options: {
                 targets: { type: 'string' },
-                output: { type: 'string' }
+                output: { type: 'string' },
+                command: { type: 'string' },
+                actor: { type: 'string' },
+                teams: { type: 'string' },
+                'policy-file': { type: 'string' },
+                'plans-dir': { type: 'string' },
+                'allow-destroy': { type: 'string' }
             },
             strict: false
         });
@@ -55,7 +65,15 @@ async function main() {
           options: {
             root: { type: 'string' },
             output: { type: 'string' },
-            'ignore-file': { type: 'string' }
+            'ignore-file': { type: 'string' },
+            mode: { type: 'string' },
+            concurrency: { type: 'string' },
+            timeout: { type: 'string' },
+            retries: { type: 'string' },
+            since: { type: 'string' },
+            'keep-going': { type: 'boolean' },
+            'max-failures': { type: 'string' },
+            report: { type: 'string' }
           },
           strict: false
         });
@@ -68,7 +86,13 @@ async function main() {
           options: {
             'comment-body': { type: 'string' },
             'base-sha': { type: 'string' },
-            'head-sha': { type: 'string' }
+            'head-sha': { type: 'string' },
+            actor: { type: 'string' },
+            teams: { type: 'string' },
+            'policy-file': { type: 'string' },
+            'plans-dir': { type: 'string' },
+            approvers: { type: 'string' },
+            'approver-teams': { type: 'string' }
           },
           strict: false
         });
@@ -78,6 +102,74 @@ async function main() {
         }
         break;
       }
+      case 'verify-plan': {
+        const { values } = parseArgs({
+          args: commandArgs,
+          options: {
+            'plans-dir': { type: 'string' },
+            targets: { type: 'string' },
+            'head-sha': { type: 'string' },
+            'max-age': { type: 'string' },
+            root: { type: 'string' }
+          },
+          strict: false
+        });
+        const result = await runVerifyPlan(values);
+        console.log(JSON.stringify(result, null, 2));
+        break;
+      }
+      case 'check-deps': {
+        const { values } = parseArgs({
+          args: commandArgs,
+          options: {
+            root: { type: 'string' },
+            'deps-file': { type: 'string' },
+            'ignore-file': { type: 'string' },
+            mode: { type: 'string' },
+            concurrency: { type: 'string' },
+            timeout: { type: 'string' },
+            retries: { type: 'string' },
+            format: { type: 'string' },
+            output: { type: 'string' }
+          },
+          strict: false
+        });
+        const result = await runCheckDeps(values);
+        if (!result.upToDate) {
+          process.exitCode = 1;
+        }
+        break;
+      }
+      case 'graph': {
+        const { values } = parseArgs({
+          args: commandArgs,
+          options: {
+            'deps-file': { type: 'string' },
+            format: { type: 'string' },
+            focus: { type: 'string' },
+            depth: { type: 'string' },
+            output: { type: 'string' }
+          },
+          strict: false
+        });
+        await runGraph(values);
+        break;
+      }
+      case 'impact': {
+        const { values, positionals } = parseArgs({
+          args: commandArgs,
+          options: {
+            base: { type: 'string' },
+            head: { type: 'string' },
+            'deps-file': { type: 'string' },
+            format: { type: 'string' }
+          },
+          allowPositionals: true,
+          strict: false
+        });
+        await runImpact({ ...values, files: positionals });
+        break;
+      }
       default:
         console.error(`Unknown command: ${command}`);
         process.exit(1);
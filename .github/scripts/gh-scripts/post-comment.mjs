@@ -1,6 +1,25 @@
 import * as _fs from 'fs';
 import * as _path from 'path';
-import { PlanCommentBuilder, ApplyCommentBuilder } from '../lib/comment-builder.mjs';
+import { PlanCommentBuilder, ApplyCommentBuilder, DestroyCommentBuilder } from '../lib/comment-builder.mjs';
+
+// Budget of a plan comment, below GitHub's limit of 65536 characters.
+const MAX_COMMENT_LENGTH = 60000;
+// Longer reasons are cut, so the preface leaves room for the results.
+export const MAX_REASON_LENGTH = 2000;
+
+/**
+ * Formats the heading of the results of one command of a multi-command comment.
+ * @param {{index: number, count: number, line: string, reason?: string}} operation
+ * @returns {string}
+ */
+export function formatOperationPreface({ index, count, line, reason }) {
+  const lines = [`#### ${index + 1}/${count}: \`${line}\``];
+  if (reason) {
+    const text = reason.length > MAX_REASON_LENGTH ? `${reason.slice(0, MAX_REASON_LENGTH)}… (truncated)` : reason;
+    lines.push('', ...text.split('\n').map(text => `> ${text}`));
+  }
+  return lines.join('\n');
+}
 
 /**
  * GitHub Actions script for posting terraform plan/apply comments.
@@ -11,23 +30,31 @@ import { PlanCommentBuilder, ApplyCommentBuilder } from '../lib/comment-builder.
  * @param {object} params.core 
  * @param {object} params.glob 
  * @param {object} options - Configuration object e.g. { mode: 'plan', deletePreviousComments: true }
+ * @param {string} [options.artifactDir] - Directory with the artifacts of every command (`<mode>-<root>/info.json`).
+ * @param {string[]} [options.paths] - Only report these roots (the roots of one command).
+ * @param {object} [options.operation] - Command of a multi-command comment, shown above the results (see formatOperationPreface).
  * @param {object} deps - Dependencies object (fs, path) for testing
  */
 export default async ({ github, context, core, glob }, options = {}, deps = {}) => {
   const { fs = _fs, path = _path } = deps;
   const config = {
       mode: options.mode || 'plan', 
-      deletePreviousComments: options.deletePreviousComments === true
+      deletePreviousComments: options.deletePreviousComments === true,
+      artifactDir: options.artifactDir || null,
+      paths: options.paths || null,
+      preface: options.operation ? formatOperationPreface(options.operation) + '\n\n' : ''
   };
 
   const behaviors = {
     plan: {
       logFile: 'plan.txt',
+      jsonFile: 'plan.json',
       artifactPattern: 'plans/**/info.json',
       builder: {
         factory: () => new PlanCommentBuilder(),
-        add: (builder, path, content, _) => builder.addResult(path, content),
-        build: (builder) => builder.buildChunks()
+        add: (builder, path, content, _, json) => builder.addResult(path, content, json),
+        // The preface is added to the first chunk, so it counts against the budget
+        build: (builder) => builder.buildChunks(MAX_COMMENT_LENGTH - config.preface.length)
       }
     },
     apply: {
@@ -41,6 +68,18 @@ export default async ({ github, context, core, glob }, options = {}, deps = {})
           return body ? [body] : [];
         }
       }
+    },
+    destroy: {
+      logFile: 'destroy.txt',
+      artifactPattern: 'destroys/**/info.json',
+      builder: {
+        factory: () => new DestroyCommentBuilder(),
+        add: (builder, path, content, info) => builder.addResult(path, content, info.outcome),
+        build: (builder) => {
+          const body = builder.build();
+          return body ? [body] : [];
+        }
+      }
     }
   };
 
@@ -57,12 +96,27 @@ export default async ({ github, context, core, glob }, options = {}, deps = {})
   const CONTINUED_HEADER = builder.constructor.CONTINUED_HEADER || null;
 
   // 1. Collect result artifacts
-  const globber = await glob.create(behavior.artifactPattern);
-  const infoFiles = await globber.glob();
+  const artifactPattern = config.artifactDir
+    ? `${config.artifactDir}/${config.mode}-*/info.json`
+    : behavior.artifactPattern;
+  const globber = await glob.create(artifactPattern);
+  const infoFiles = [];
+  for (const infoFile of await globber.glob()) {
+    if (config.paths) {
+      try {
+        if (!config.paths.includes(JSON.parse(fs.readFileSync(infoFile, 'utf8')).path)) continue;
+      } catch (error) {
+        if (core) core.error(`Error processing ${infoFile}: ${error.message}`);
+        continue;
+      }
+    }
+    infoFiles.push(infoFile);
+  }
 
   if (infoFiles.length === 0) {
     if (core) core.info(`No ${config.mode} results found.`);
-    const message = `### Terraform ${config.mode === 'plan' ? 'Plan' : 'Apply'} Result\n\nNo changes were detected for this run.`;
+    const modeTitle = config.mode.charAt(0).toUpperCase() + config.mode.slice(1);
+    const message = `${config.preface}### Terraform ${modeTitle} Result\n\nNo changes were detected for this run.`;
     await github.rest.issues.createComment({
         owner: context.repo.owner,
         repo: context.repo.repo,
@@ -108,9 +162,18 @@ export default async ({ github, context, core, glob }, options = {}, deps = {})
       const content = fs.existsSync(logPath) 
         ? fs.readFileSync(logPath, 'utf8') 
         : '(Log file not found)';
+
+      // Structured output (e.g. plan.json) is optional
+      let json = null;
+      if (behavior.jsonFile) {
+        const jsonPath = path.join(dir, behavior.jsonFile);
+        if (fs.existsSync(jsonPath)) {
+          json = fs.readFileSync(jsonPath, 'utf8');
+        }
+      }
       
       // Use the builder definition add method
-      behavior.builder.add(builder, info.path, content, info);
+      behavior.builder.add(builder, info.path, content, info, json);
 
     } catch (error) {
       if (core) core.error(`Error processing ${infoFile}: ${error.message}`);
@@ -119,6 +182,9 @@ export default async ({ github, context, core, glob }, options = {}, deps = {})
 
   // 4. Generate comments and post
   const commentsToPost = behavior.builder.build(builder);
+  if (config.preface && commentsToPost.length > 0) {
+    commentsToPost[0] = config.preface + commentsToPost[0];
+  }
 
   try {
     for (const body of commentsToPost) {
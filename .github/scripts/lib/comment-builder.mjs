@@ -1,3 +1,5 @@
+import { parsePlanJson, formatPlanSummary } from './plan-parser.mjs';
+
 export class PlanCommentBuilder {
   static get COMMENT_HEADER() {
     return '## 📋 Terraform Plan Summary';
@@ -7,20 +9,50 @@ export class PlanCommentBuilder {
     return '### 📋 Terraform Plan Details (Continued)';
   }
 
-  constructor() {
+  /**
+   * Display order and labels of resource actions. Destructive actions come first.
+   */
+  static get ACTION_LABELS() {
+    return {
+      replace: '🔴 replace',
+      delete: '🔴 delete',
+      create: '🟢 create',
+      update: '🟡 update',
+      forget: '⚪ forget',
+      read: '🔵 read',
+      'no-op': '⚪ no-op'
+    };
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxResourcesPerRoot] - Maximum rows in each resource table
+   */
+  constructor({ maxResourcesPerRoot = 50 } = {}) {
     this.results = [];
+    this.maxResourcesPerRoot = maxResourcesPerRoot;
   }
 
   /**
    * Add a plan result
    * @param {string} tfPath - Path to the Terraform configuration
    * @param {string} planContent - String content of the plan output
+   * @param {object|string|null} [planJson] - Output of `terraform show -json tfplan`, if available
    */
-  addResult(tfPath, planContent) {
-    // Pre-processing of content can be done here if needed
+  addResult(tfPath, planContent, planJson = null) {
+    let plan = null;
+    if (planJson) {
+      try {
+        plan = parsePlanJson(planJson);
+      } catch {
+        // Fall back to the text output
+        plan = null;
+      }
+    }
     this.results.push({
       tfPath,
-      planContent
+      planContent,
+      plan
     });
   }
 
@@ -43,29 +75,36 @@ export class PlanCommentBuilder {
 
     // Generate summary and prepare details list
     for (const res of this.results) {
-      const { tfPath, planContent } = res;
-      const stats = this._parseStats(planContent);
+      const { tfPath, planContent, plan } = res;
+      const stats = plan ? this._statsFromPlan(plan) : this._parseStats(planContent);
       
       summaryTable += `| \`${tfPath}\` | ${stats.icon} | ${stats.summary} |\n`;
       
       if (stats.hasChanges) {
-        planDetails.push({ path: tfPath, content: planContent });
+        planDetails.push({ path: tfPath, content: planContent, plan });
       }
     }
 
     if (planDetails.length === 0) return [summaryTable];
 
     const chunks = [];
-    // Initial chunk setup
-    let currentChunk = summaryTable + '\n\n<details><summary><strong>Show Detailed Plans</strong></summary>\n\n';
+    // Initial chunk setup. Destructive changes stay visible above the collapsed details.
+    const callout = this._renderDestructiveChanges(planDetails);
+    let currentChunk = summaryTable + '\n' + (callout ? `${callout}\n` : '') + '\n<details><summary><strong>Show Detailed Plans</strong></summary>\n\n';
     const closingTag = '</details>';
     // Safer buffer
     const CHUNK_LIMIT = maxCommentLength - closingTag.length - 100; 
 
     for (const detail of planDetails) {
-      const { path: tfPath, content } = detail;
-      const blockHeader = `### 📂 \`${tfPath}\`\n\`\`\`hcl\n`;
-      const blockFooter = `\n\`\`\`\n\n`;
+      const { path: tfPath, content, plan } = detail;
+      let blockHeader = `### 📂 \`${tfPath}\`\n\`\`\`hcl\n`;
+      let blockFooter = `\n\`\`\`\n\n`;
+      if (plan && !plan.errored) {
+        // Resource table first, raw output collapsed below it
+        blockHeader = `### 📂 \`${tfPath}\`\n\n${this._renderResourceTable(plan)}` +
+          '<details><summary>Plan output</summary>\n\n```hcl\n';
+        blockFooter = '\n```\n</details>\n\n';
+      }
       const block = `${blockHeader}${content}${blockFooter}`;
 
       // Check if adding this block exceeds limit
@@ -98,6 +137,74 @@ export class PlanCommentBuilder {
     return chunks;
   }
 
+  /**
+   * Render the resource-level changes of a plan as a collapsible table.
+   * Replacements and deletions are listed first.
+   * @param {object} plan - Model returned by parsePlanJson
+   * @returns {string} Markdown
+   */
+  _renderResourceTable(plan) {
+    const labels = PlanCommentBuilder.ACTION_LABELS;
+    const order = Object.keys(labels);
+    const resources = [...plan.resources].sort((a, b) =>
+      order.indexOf(a.action) - order.indexOf(b.action) || a.address.localeCompare(b.address)
+    );
+    const code = (address) => `\`${address.replace(/\|/g, '\\|')}\``;
+
+    let markdown = `<details><summary>Resource changes (${resources.length})</summary>\n\n`;
+    markdown += '| Action | Resource | Note |\n| :--- | :--- | :--- |\n';
+
+    for (const r of resources.slice(0, this.maxResourcesPerRoot)) {
+      const notes = [];
+      if (r.importing) notes.push('import');
+      if (r.movedFrom) notes.push(`moved from ${code(r.movedFrom)}`);
+      markdown += `| ${labels[r.action] || r.action} | ${code(r.address)} | ${notes.join(', ')} |\n`;
+    }
+    if (resources.length > this.maxResourcesPerRoot) {
+      markdown += `| | _+${resources.length - this.maxResourcesPerRoot} more_ | |\n`;
+    }
+
+    markdown += '\n</details>\n\n';
+    return markdown;
+  }
+
+  /**
+   * Render the replacements and deletions of every root as a callout.
+   * @param {Array<{path: string, plan: object|null}>} planDetails - Roots with changes
+   * @returns {string} Markdown, empty when nothing is replaced or deleted
+   */
+  _renderDestructiveChanges(planDetails) {
+    const order = Object.keys(PlanCommentBuilder.ACTION_LABELS);
+    const lines = [];
+    for (const { path, plan } of planDetails) {
+      if (!plan || plan.errored) continue;
+      const destructive = plan.resources
+        .filter(r => r.action === 'replace' || r.action === 'delete')
+        .sort((a, b) => order.indexOf(a.action) - order.indexOf(b.action) || a.address.localeCompare(b.address));
+      if (destructive.length === 0) continue;
+      const shown = destructive.slice(0, 10).map(r => `\`${r.address}\` (${r.action})`);
+      if (destructive.length > shown.length) shown.push(`+${destructive.length - shown.length} more`);
+      lines.push(`> - \`${path}\`: ${shown.join(', ')}`);
+    }
+    if (lines.length === 0) return '';
+    return `> **⚠️ Destructive changes**\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Extract statistics from a structured plan
+   * @param {object} plan - Model returned by parsePlanJson
+   * @returns {{icon: string, summary: string, hasChanges: boolean}}
+   */
+  _statsFromPlan(plan) {
+    if (plan.errored) {
+      return { icon: '❌', summary: 'Plan Failed', hasChanges: true };
+    }
+    if (!plan.hasChanges) {
+      return { icon: '✅', summary: 'No changes', hasChanges: false };
+    }
+    return { icon: '⚠️', summary: formatPlanSummary(plan.summary), hasChanges: true };
+  }
+
   /**
    * Extract statistics from Plan output
    * @param {string} content 
@@ -180,7 +287,7 @@ export class ApplyCommentBuilder {
     // Sort by path
     this.results.sort((a, b) => a.tfPath.localeCompare(b.tfPath));
 
-    let comment = `${ApplyCommentBuilder.COMMENT_HEADER}\n\n`;
+    let comment = `${this.constructor.COMMENT_HEADER}\n\n`;
     comment += '| Path | Outcome | Changes |\n| :--- | :---: | :--- |\n';
 
     for (const res of this.results) {
@@ -234,3 +341,27 @@ export class ApplyCommentBuilder {
     return '-';
   }
 }
+
+export class DestroyCommentBuilder extends ApplyCommentBuilder {
+  static get COMMENT_HEADER() {
+    return '## 💥 Terraform Destroy Result';
+  }
+
+  /**
+   * Parse destroy output to find destroyed resources
+   * @param {string} output 
+   * @returns {string}
+   */
+  _parseStats(output) {
+    // Look for: "Destroy complete! Resources: 3 destroyed."
+    const match = output.match(/Destroy complete! Resources: (\d+) destroyed/);
+    if (match) {
+      const destroyed = parseInt(match[1], 10);
+      return destroyed > 0 ? `-${destroyed}` : 'No changes';
+    }
+
+    if (output.includes('Error:')) return '**Error**';
+
+    return '-';
+  }
+}
@@ -2,21 +2,187 @@ import { runCommand } from './utils.mjs';
 import { logger } from './logger.mjs';
 
 /**
- * Runs git diff to find changed files between two commits.
+ * Parses the output of `git diff --name-status`.
+ * @param {string} stdout - Command output.
+ * @returns {Array<{status: string, path: string, oldPath?: string}>} - One entry per file. `status` is the
+ *   status letter (`A`, `M`, `D`, `R`, `C`, `T`); renames and copies have the source in `oldPath`.
+ */
+export function parseNameStatus(stdout) {
+  return stdout.split('\n').filter(Boolean).map(line => {
+    const [status, first, second] = line.split('\t');
+    const letter = status[0];
+    return second !== undefined && (letter === 'R' || letter === 'C')
+      ? { status: letter, path: second, oldPath: first }
+      : { status: letter, path: first };
+  });
+}
+
+// Commits fetched per attempt when deepening a shallow clone to find a merge-base.
+const DEEPEN_STEPS = [50, 200, 1000];
+
+/**
+ * Checks whether a commit exists locally.
+ * @param {string} sha - The commit SHA or ref.
+ * @param {string} root - The root directory of the repository.
+ * @returns {Promise<boolean>}
+ */
+export async function hasCommit(sha, root) {
+  try {
+    await runCommand('git', ['cat-file', '-e', `${sha}^{commit}`], { cwd: root });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks whether the repository is a shallow clone.
+ * @param {string} root - The root directory of the repository.
+ * @returns {Promise<boolean>}
+ */
+export async function isShallowRepository(root) {
+  const { stdout } = await runCommand('git', ['rev-parse', '--is-shallow-repository'], { cwd: root });
+  return stdout === 'true';
+}
+
+async function fetchFromOrigin(args, root) {
+  try {
+    await runCommand('git', ['fetch', '--no-tags', '--quiet', 'origin', ...args], { cwd: root });
+  } catch (error) {
+    logger.warning(`⚠️  git fetch ${args.join(' ')} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Makes sure commits exist locally, fetching missing ones from `origin`.
+ * Only a shallow clone fetches with `--depth=1`; in a full clone it would make the repository shallow.
+ * @param {string[]} shas - Commit SHAs.
+ * @param {string} root - The root directory of the repository.
+ * @throws {Error} If a commit cannot be fetched.
+ */
+export async function ensureCommits(shas, root) {
+  for (const sha of shas) {
+    if (await hasCommit(sha, root)) continue;
+    logger.warning(`Commit ${sha} is not available locally, fetching it from origin`);
+    const depth = await isShallowRepository(root) ? ['--depth=1'] : [];
+    await fetchFromOrigin([...depth, sha], root);
+    if (!await hasCommit(sha, root)) {
+      throw new Error(`Commit ${sha} is not available locally and could not be fetched from origin. It may have been removed by a force push.`);
+    }
+  }
+}
+
+/**
+ * Finds the best common ancestor of two commits, like `git diff base...head` does.
+ * Missing commits are fetched, and a shallow clone is deepened step by step until
+ * the merge-base is found.
  * @param {string} baseSha - The base commit SHA.
  * @param {string} headSha - The head commit SHA.
  * @param {string} root - The root directory of the repository.
- * @returns {Promise<string[]>} - A list of changed files.
+ * @param {Object} [options]
+ * @param {number[]} [options.deepenSteps] - Commits to fetch per attempt (Default: 50, 200, 1000).
+ * @returns {Promise<string>} - The merge-base SHA.
+ * @throws {Error} If the commits have no common history, or it is not within reach.
+ */
+export async function getMergeBase(baseSha, headSha, root, { deepenSteps = DEEPEN_STEPS } = {}) {
+  await ensureCommits([baseSha, headSha], root);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { stdout } = await runCommand('git', ['merge-base', baseSha, headSha], { cwd: root });
+      return stdout;
+    } catch {
+      // No common ancestor in the local history
+    }
+    if (attempt >= deepenSteps.length || !await isShallowRepository(root)) break;
+    logger.warning(`No merge-base of ${baseSha} and ${headSha} in the shallow clone, fetching ${deepenSteps[attempt]} more commits`);
+    await fetchFromOrigin([`--deepen=${deepenSteps[attempt]}`, baseSha, headSha], root);
+  }
+
+  if (await isShallowRepository(root)) {
+    throw new Error(
+      `Could not find a merge-base of ${baseSha} and ${headSha} in the fetched history. ` +
+      'Fetch more history (e.g. `fetch-depth: 0` in actions/checkout).'
+    );
+  }
+  throw new Error(
+    `${baseSha} and ${headSha} have no common history. ` +
+    'The base branch may have been rewritten by a force push; rebase the branch onto the current base.'
+  );
+}
+
+/**
+ * Runs git diff with rename detection between the merge-base of two commits and the head
+ * (three-dot semantics: changes on the base branch are not included).
+ * @param {string} baseSha - The base commit SHA.
+ * @param {string} headSha - The head commit SHA.
+ * @param {string} root - The root directory of the repository.
+ * @param {Object} [options]
+ * @param {string} [options.mergeBase] - Merge-base already found by getMergeBase, to look it up only once.
+ * @returns {Promise<Array<{status: string, path: string, oldPath?: string}>>} - Changed files (see parseNameStatus).
  */
-export async function runGitDiff(baseSha, headSha, root) {
+export async function runGitDiffStatus(baseSha, headSha, root, { mergeBase } = {}) {
+  mergeBase = mergeBase || await getMergeBase(baseSha, headSha, root);
   try {
-    const { stdout } = await runCommand('git', ['diff', '--name-only', baseSha, headSha], { cwd: root });
-    return stdout.split('\n').filter(Boolean);
+    const { stdout } = await runCommand('git', ['diff', '--name-status', '-M', mergeBase, headSha], { cwd: root });
+    return parseNameStatus(stdout);
   } catch (error) {
     throw new Error(`Error running git diff: ${error.message}`);
   }
 }
 
+/**
+ * Runs git diff to find changed files between the merge-base of two commits and the head.
+ * A renamed file is listed with both its old and new paths.
+ * @param {string} baseSha - The base commit SHA.
+ * @param {string} headSha - The head commit SHA.
+ * @param {string} root - The root directory of the repository.
+ * @param {Object} [options] - See runGitDiffStatus.
+ * @returns {Promise<string[]>} - A list of changed files.
+ */
+export async function runGitDiff(baseSha, headSha, root, options = {}) {
+  const files = new Set();
+  for (const entry of await runGitDiffStatus(baseSha, headSha, root, options)) {
+    if (entry.status === 'R') files.add(entry.oldPath);
+    files.add(entry.path);
+  }
+  return Array.from(files);
+}
+
+/**
+ * Reads a file as it was in a commit.
+ * @param {string} sha - The commit SHA.
+ * @param {string} path - File path relative to the repository root.
+ * @param {string} root - The root directory of the repository.
+ * @returns {Promise<string|null>} - The content, or null if the file did not exist.
+ */
+export async function readFileAtCommit(sha, path, root) {
+  try {
+    const { stdout } = await runCommand('git', ['show', `${sha}:${path}`], { cwd: root });
+    return stdout;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lists the files changed since a commit, including uncommitted and untracked files.
+ * Paths are relative to `root`.
+ * @param {string} sha - The commit to compare with.
+ * @param {string} root - The directory to run git in.
+ * @returns {Promise<string[]>} - Sorted list of changed files.
+ */
+export async function getChangedFilesSince(sha, root) {
+  try {
+    const { stdout: changed } = await runCommand('git', ['diff', '--name-only', '--relative', sha], { cwd: root });
+    const { stdout: untracked } = await runCommand('git', ['ls-files', '--others', '--exclude-standard'], { cwd: root });
+    const files = new Set([...changed.split('\n'), ...untracked.split('\n')].filter(Boolean));
+    return Array.from(files).sort();
+  } catch (error) {
+    throw new Error(`Error listing changes since ${sha}: ${error.message}`);
+  }
+}
+
 /**
  * Determines the repository name from the git remote URL.
  * @param {string} root - The root directory of the repository.
@@ -0,0 +1,91 @@
+/**
+ * Converts a glob pattern into a regular expression matched against a whole
+ * slash-separated path.
+ *
+ * Supported syntax:
+ * - `*` matches any characters except `/`.
+ * - `?` matches a single character except `/`.
+ * - `[abc]`, `[a-z]`, `[!abc]` match a character class.
+ * - `**` matches across directory levels (`**\/x`, `x/**`, `a/**\/b`).
+ * - `\` escapes the next character.
+ * @param {string} pattern - The glob pattern.
+ * @returns {RegExp} - Regular expression anchored at both ends.
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let i = 0;
+
+  while (i < pattern.length) {
+    const ch = pattern[i];
+
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        const atStart = i === 0 || pattern[i - 1] === '/';
+        const atEnd = i + 2 === pattern.length || pattern[i + 2] === '/';
+        if (atStart && atEnd) {
+          if (i + 2 === pattern.length) {
+            // "a/**" or "**": everything below
+            source += '.*';
+            i += 2;
+          } else {
+            // "**/a" or "a/**/b": zero or more directories
+            source += '(?:.*/)?';
+            i += 3;
+          }
+          continue;
+        }
+        // "a**b" behaves like "a*b" inside a single segment
+        source += '[^/]*';
+        i += 2;
+        continue;
+      }
+      source += '[^/]*';
+      i++;
+    } else if (ch === '?') {
+      source += '[^/]';
+      i++;
+    } else if (ch === '[') {
+      const close = pattern.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+        i++;
+        continue;
+      }
+      let body = pattern.slice(i + 1, close);
+      if (body.startsWith('!')) body = '^' + body.slice(1);
+      source += '[' + body.replace(/\\/g, '\\\\') + ']';
+      i = close + 1;
+    } else if (ch === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[i + 1]);
+      i += 2;
+    } else {
+      source += escapeRegExp(ch);
+      i++;
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a path matches a glob pattern.
+ * @param {string} path - Slash-separated path.
+ * @param {string} pattern - The glob pattern.
+ * @returns {boolean}
+ */
+export function matchGlob(path, pattern) {
+  return globToRegExp(pattern).test(path);
+}
+
+/**
+ * Checks whether a string contains glob metacharacters.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isGlob(pattern) {
+  return /[*?[]/.test(pattern);
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
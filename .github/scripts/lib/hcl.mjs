@@ -0,0 +1,121 @@
+/**
+ * Minimal HCL reader for the parts of Terraform configuration used by the dependency graph.
+ * It is not a full HCL parser: it finds blocks by brace matching and reads literal attributes.
+ */
+
+/**
+ * Removes `#`, `//` and `/* *\/` comments outside of strings and heredocs.
+ * Line breaks are kept, so line-based readers still see the same lines.
+ * @param {string} content - HCL content.
+ * @returns {string}
+ */
+export function stripComments(content) {
+  let out = '';
+  let i = 0;
+  let heredoc = null;
+
+  while (i < content.length) {
+    const ch = content[i];
+
+    if (heredoc) {
+      // Copy heredoc lines verbatim until the closing marker
+      const end = content.indexOf('\n', i);
+      const line = end === -1 ? content.slice(i) : content.slice(i, end + 1);
+      out += line;
+      i += line.length;
+      if (line.trim() === heredoc) heredoc = null;
+      continue;
+    }
+
+    if (ch === '"') {
+      const end = skipString(content, i);
+      out += content.slice(i, end);
+      i = end;
+    } else if (ch === '<' && content[i + 1] === '<') {
+      const marker = content.slice(i).match(/^<<-?([A-Za-z_][\w-]*)[^\n]*\n/);
+      if (marker) {
+        heredoc = marker[1];
+        out += marker[0];
+        i += marker[0].length;
+      } else {
+        out += ch;
+        i++;
+      }
+    } else if (ch === '#' || (ch === '/' && content[i + 1] === '/')) {
+      while (i < content.length && content[i] !== '\n') i++;
+    } else if (ch === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const comment = end === -1 ? content.slice(i) : content.slice(i, end + 2);
+      out += comment.replace(/[^\n]/g, '');
+      i += comment.length;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Returns the index after the string starting at `start` (a `"`).
+ */
+function skipString(content, start) {
+  let i = start + 1;
+  while (i < content.length && content[i] !== '"' && content[i] !== '\n') {
+    i += content[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+}
+
+/**
+ * Finds blocks whose header matches a regex and returns their bodies.
+ * Braces inside quoted strings are ignored.
+ * @param {string} content - HCL content (comments stripped).
+ * @param {RegExp} headerRegex - Global, multiline regex matching a block header up to and including `{`.
+ * @returns {Array<{match: RegExpExecArray, body: string}>}
+ */
+export function findBlocks(content, headerRegex) {
+  const blocks = [];
+  const regex = new RegExp(headerRegex);
+  let match;
+
+  while ((match = regex.exec(content)) !== null) {
+    let depth = 1;
+    let i = regex.lastIndex;
+    while (i < content.length && depth > 0) {
+      const ch = content[i];
+      if (ch === '"') {
+        i = skipString(content, i);
+        continue;
+      }
+      if (ch === '{') depth++;
+      else if (ch === '}') depth--;
+      i++;
+    }
+    blocks.push({ match, body: content.slice(regex.lastIndex, i - 1) });
+    regex.lastIndex = i;
+  }
+
+  return blocks;
+}
+
+/**
+ * Reads the literal string attributes at the top level of a block body.
+ * Values built from expressions (`${...}`) are skipped.
+ * @param {string} body - Block body.
+ * @returns {Object<string, string>}
+ */
+export function parseStringAttributes(body) {
+  const attributes = {};
+  let depth = 0;
+  for (const line of body.split('\n')) {
+    const attr = depth === 0 && line.match(/^\s*([\w-]+)\s*=\s*"([^"]*)"/);
+    if (attr && !attr[2].includes('${')) attributes[attr[1]] = attr[2];
+    for (const ch of line.replace(/"(?:[^"\\]|\\.)*"/g, '""')) {
+      if (ch === '{') depth++;
+      else if (ch === '}') depth--;
+    }
+  }
+  return attributes;
+}
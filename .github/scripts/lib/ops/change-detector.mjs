@@ -1,94 +1,265 @@
 
-import { join } from 'node:path';
-import { getWorkspaceRoot, loadJson } from '../utils.mjs';
-import { runGitDiff } from '../git.mjs';
+import { join, posix } from 'node:path';
+import { getWorkspaceRoot } from '../utils.mjs';
+import { runGitDiff, runGitDiffStatus, readFileAtCommit, getMergeBase } from '../git.mjs';
+import { globToRegExp } from '../glob.mjs';
+import { assignWaves } from './execution-order.mjs';
+import { DEPS_FILE, loadDepsData, prepareDepsData, migrateDepsData, pickLabels } from './deps-schema.mjs';
 
 /**
- * Calculates which Terraform roots need execution based on changed files and dependency graph.
+ * Explains which Terraform roots need execution and why.
+ * Each reason names the changed files and how they reach the root:
+ * - `root`: the files are inside the root.
+ * - `trigger`: the files match a trigger `pattern`.
+ * - `module`: the files are inside `chain[0]`, which is used by the root directly
+ *   or through the other modules of the chain.
  * @param {string[]} changedFiles - List of changed files.
  * @param {Object} depsData - The dependency graph data.
- * @returns {Array<{path: string, providers: string[]}>} - List of roots to execute.
+ * @returns {{
+ *   roots: Array<{path: string, providers: string[], tags?: string[], group?: string, reasons: Array<{type: string, files: string[], pattern?: string, chain?: string[]}>}>,
+ *   unmatched: string[]
+ * }} - Roots to execute with their reasons, and changed files that matched nothing.
  */
-export function calculateExecutionPaths(changedFiles, depsData) {
+export function explainExecutionPaths(changedFiles, depsData) {
   const dirsData = depsData.dirs || [];
   const modulesData = depsData.modules || [];
+  const triggersData = depsData.triggers || [];
 
   // Maps for quick lookup
   const rootProviders = new Map();
+  const rootLabels = new Map();
   const knownRoots = new Set();
 
   for (const item of dirsData) {
     if (item.path) {
       knownRoots.add(item.path);
       rootProviders.set(item.path, item.providers || []);
+      rootLabels.set(item.path, pickLabels(item));
     }
   }
 
   // Module -> Set<ConsumerRoot>
   const moduleUsageMap = new Map();
+  // Module -> Set<ConsumerModule>
+  const moduleParentsMap = new Map();
   for (const m of modulesData) {
     if (m.source) {
       moduleUsageMap.set(m.source, new Set(m.usedIn || []));
+      moduleParentsMap.set(m.source, new Set(m.usedInModules || []));
     }
   }
 
+  // Extra-file triggers: glob pattern -> roots
+  const triggers = triggersData
+    .filter(t => t && t.pattern)
+    .map(t => ({ pattern: t.pattern, regex: globToRegExp(t.pattern), roots: t.roots || [] }));
+
   // Sort modules descending by length to match longest path first
   const sortedModules = Array.from(moduleUsageMap.keys()).sort((a, b) => b.length - a.length);
 
-  const affectedRoots = new Set();
-  const changedModules = new Set();
+  // Root -> (reason key -> reason), in the order roots are found
+  const affectedRoots = new Map();
+  const addReason = (root, key, reason, files) => {
+    if (!affectedRoots.has(root)) affectedRoots.set(root, new Map());
+    const reasons = affectedRoots.get(root);
+    if (!reasons.has(key)) reasons.set(key, { ...reason, files: [] });
+    for (const file of files) {
+      if (!reasons.get(key).files.includes(file)) reasons.get(key).files.push(file);
+    }
+  };
+
+  // Module -> changed files inside it
+  const changedModules = new Map();
+  const unmatched = [];
 
   // Identify changed roots and modules
   for (const file of changedFiles) {
-    // Check if file is inside a known root
-    let isRootChange = false;
-    for (const root of knownRoots) {
-      if (file.startsWith(root + '/')) {
-        affectedRoots.add(root);
-        isRootChange = true;
-        break;
+    let matched = false;
+
+    // Check if file matches an extra-file trigger
+    for (const trigger of triggers) {
+      if (trigger.regex.test(file)) {
+        matched = true;
+        for (const r of trigger.roots) {
+          if (knownRoots.has(r)) addReason(r, `trigger:${trigger.pattern}`, { type: 'trigger', pattern: trigger.pattern }, [file]);
+        }
       }
     }
 
-    if (isRootChange) continue;
+    // Check if file is inside a known root
+    const root = Array.from(knownRoots).find(r => file.startsWith(r + '/'));
+    if (root) {
+      addReason(root, 'root', { type: 'root' }, [file]);
+      continue;
+    }
 
     // Check if file is inside a known module
-    for (const mod of sortedModules) {
-      if (file.startsWith(mod + '/')) {
-        changedModules.add(mod);
-        break;
-      }
+    const mod = sortedModules.find(m => file.startsWith(m + '/'));
+    if (mod) {
+      if (!changedModules.has(mod)) changedModules.set(mod, []);
+      changedModules.get(mod).push(file);
+    } else if (!matched) {
+      unmatched.push(file);
     }
   }
 
-  // Resolve module dependencies
-  if (changedModules.size > 0) {
-    for (const changedModule of changedModules) {
-      const consumers = moduleUsageMap.get(changedModule);
-      if (consumers) {
-        for (const consumer of consumers) {
-          if (!affectedRoots.has(consumer)) {
-            affectedRoots.add(consumer);
-          }
-        }
+  // Resolve module dependencies transitively (module -> module -> root),
+  // keeping the shortest chain from the changed module
+  for (const [changed, files] of changedModules) {
+    const chains = new Map([[changed, [changed]]]);
+    const pending = [changed];
+    while (pending.length > 0) {
+      const mod = pending.shift();
+      const chain = chains.get(mod);
+      for (const consumer of moduleUsageMap.get(mod) || []) {
+        addReason(consumer, `module:${chain.join('>')}`, { type: 'module', chain }, files);
+      }
+      // Cycle protection: each module is expanded only once
+      for (const parent of moduleParentsMap.get(mod) || []) {
+        if (chains.has(parent)) continue;
+        chains.set(parent, [...chain, parent]);
+        pending.push(parent);
       }
     }
   }
 
-  return Array.from(affectedRoots).map(p => ({
-    path: p,
-    providers: rootProviders.get(p) || []
-  }));
+  return {
+    roots: Array.from(affectedRoots).map(([path, reasons]) => ({
+      path,
+      providers: rootProviders.get(path) || [],
+      ...rootLabels.get(path),
+      reasons: Array.from(reasons.values())
+    })),
+    unmatched
+  };
+}
+
+/**
+ * Calculates which Terraform roots need execution based on changed files and dependency graph.
+ * @param {string[]} changedFiles - List of changed files.
+ * @param {Object} depsData - The dependency graph data.
+ * @returns {Array<{path: string, providers: string[], tags?: string[], group?: string}>} - List of roots to execute.
+ */
+export function calculateExecutionPaths(changedFiles, depsData) {
+  return explainExecutionPaths(changedFiles, depsData).roots.map(({ reasons, ...root }) => root);
+}
+
+/**
+ * Formats a reason returned by explainExecutionPaths.
+ * @param {{type: string, files: string[], pattern?: string, chain?: string[]}} reason
+ * @param {string} root - The affected root.
+ * @returns {string} - e.g. "modules/foo/main.tf → module modules/foo → used by env/dev".
+ */
+export function formatReason(reason, root) {
+  const files = reason.files.join(', ');
+  switch (reason.type) {
+    case 'root':
+      return `${files}: directly inside root`;
+    case 'trigger':
+      return `${files} → trigger ${reason.pattern} → ${root}`;
+    default:
+      return [
+        files,
+        `module ${reason.chain[0]}`,
+        ...reason.chain.slice(1).map(m => `used by module ${m}`),
+        `used by ${root}`
+      ].join(' → ');
+  }
 }
 
-export async function detectChanges(base, head, dependencyGraph = null) {
+/**
+ * Finds the merge-base of two commits in the workspace, fetching history as needed.
+ * Pass it to detectChanges and detectRemovedRoots so the history is fetched once.
+ * @param {string} base - Base commit.
+ * @param {string} head - Head commit.
+ * @returns {Promise<string>}
+ */
+export async function findMergeBase(base, head) {
+  return getMergeBase(base, head, await getWorkspaceRoot());
+}
+
+/**
+ * Detects the roots affected by the changes between two commits.
+ * @param {string} base - Base commit.
+ * @param {string} head - Head commit.
+ * @param {Object} [dependencyGraph] - The dependency graph data (Default: `.tfdeps.json`).
+ * @param {{mergeBase?: string}} [options] - Merge-base from findMergeBase, when it is already known.
+ * @returns {Promise<Array<{path: string, providers: string[], tags?: string[], group?: string, wave: number}>>} - Roots in execution order.
+ */
+export async function detectChanges(base, head, dependencyGraph = null, options = {}) {
   if (!base || !head) {
     throw new Error('Missing required arguments: base, head');
   }
 
   const root = await getWorkspaceRoot();
-  const changedFiles = await runGitDiff(base, head, root);
+  const changedFiles = await runGitDiff(base, head, root, options);
+
+  const depsData = dependencyGraph
+    ? prepareDepsData(dependencyGraph)
+    : await loadDepsData(join(root, DEPS_FILE));
+  return assignWaves(calculateExecutionPaths(changedFiles, depsData), depsData);
+}
+
+const ROOT_MARKER = '.terraform-version';
 
-  const depsData = dependencyGraph || (await loadJson(join(root, '.tfdeps.json')));
-  return calculateExecutionPaths(changedFiles, depsData);
+function markerDir(file) {
+  if (!file || posix.basename(file) !== ROOT_MARKER) return null;
+  const dir = posix.dirname(file);
+  return dir === '.' ? null : dir;
+}
+
+/**
+ * Finds the roots deleted or moved by a diff. A root is identified by its `.terraform-version` file.
+ * @param {Array<{status: string, path: string, oldPath?: string}>} entries - Output of runGitDiffStatus.
+ * @param {Object} [baseGraph] - Dependency graph of the base commit. When given, only its roots are reported.
+ * @returns {Array<{path: string, movedTo?: string}>} - Removed roots, sorted by path. `movedTo` is set
+ *   when the root was renamed; its state may still need to be migrated.
+ */
+export function findRemovedRoots(entries, baseGraph = null) {
+  const known = baseGraph ? new Set((baseGraph.dirs || []).map(dir => dir.path)) : null;
+  const removed = [];
+
+  for (const entry of entries) {
+    let root = null;
+    let movedTo = null;
+    if (entry.status === 'D') {
+      root = markerDir(entry.path);
+    } else if (entry.status === 'R') {
+      root = markerDir(entry.oldPath);
+      movedTo = markerDir(entry.path);
+    }
+    if (!root || root === movedTo || (known && !known.has(root))) continue;
+    removed.push(movedTo ? { path: root, movedTo } : { path: root });
+  }
+
+  return removed.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Detects the roots removed between two commits. Their resources still exist in state,
+ * so they need an explicit destroy (or state migration) rather than being silently dropped.
+ * @param {string} base - Base commit.
+ * @param {string} head - Head commit.
+ * @param {{mergeBase?: string}} [options] - Merge-base from findMergeBase, when it is already known.
+ * @returns {Promise<Array<{path: string, movedTo?: string}>>}
+ */
+export async function detectRemovedRoots(base, head, options = {}) {
+  if (!base || !head) {
+    throw new Error('Missing required arguments: base, head');
+  }
+
+  const root = await getWorkspaceRoot();
+  const entries = await runGitDiffStatus(base, head, root, options);
+
+  // Directories ignored by generate-deps are not roots; the base graph tells them apart.
+  let baseGraph = null;
+  const content = await readFileAtCommit(base, DEPS_FILE, root);
+  if (content !== null) {
+    try {
+      baseGraph = migrateDepsData(JSON.parse(content));
+    } catch {
+      baseGraph = null;
+    }
+  }
+  return findRemovedRoots(entries, baseGraph);
 }
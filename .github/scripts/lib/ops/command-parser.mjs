@@ -1,23 +1,150 @@
+import { isGlob } from '../glob.mjs';
+
+// A resource or module address, e.g. `module.db`, `aws_instance.web[0]`, `module.app["eu"].aws_s3_bucket.logs`
+const ADDRESS = /^[A-Za-z_][\w-]*(\[(\d+|"[\w.\-\/]+")\])?(\.[A-Za-z_][\w-]*(\[(\d+|"[\w.\-\/]+")\])?)*$/;
+
+/**
+ * Terraform flags that may be passed through, with the commands that accept them and
+ * the format of their value (`null` for flags without a value). `apply` runs the reviewed
+ * plan file, so it only accepts flags that do not change what is applied.
+ */
+const TERRAFORM_FLAGS = {
+  '-target': { commands: ['plan', 'destroy'], value: ADDRESS, expected: 'a resource or module address' },
+  '-replace': { commands: ['plan'], value: ADDRESS, expected: 'a resource address' },
+  '-var': { commands: ['plan', 'destroy'], value: /^[A-Za-z_][\w-]*=[\w.,:\/@+\-]*$/, expected: 'name=value (value of letters, digits and "_.,:/@+-")' },
+  '-refresh': { commands: ['plan', 'destroy'], value: /^(true|false)$/, expected: 'true or false' },
+  '-refresh-only': { commands: ['plan'], value: null },
+  '-parallelism': { commands: ['plan', 'apply', 'destroy'], value: /^([1-9]|[1-9]\d)$/, expected: 'a number from 1 to 99' },
+  '-lock-timeout': { commands: ['plan', 'apply', 'destroy'], value: /^\d{1,4}[smh]$/, expected: 'a duration like 30s or 5m' }
+};
+
+/**
+ * Validates a Terraform flag against TERRAFORM_FLAGS.
+ * @param {string} arg - The flag as written, e.g. `-var=replicas=3`.
+ * @param {string} command - The bot command.
+ * @returns {string|null} - An error message, or null if the flag is allowed.
+ */
+function validateTerraformFlag(arg, command) {
+  const separator = arg.indexOf('=');
+  const name = separator === -1 ? arg : arg.slice(0, separator);
+  const value = separator === -1 ? null : arg.slice(separator + 1);
+  const spec = TERRAFORM_FLAGS[name];
+
+  if (!spec) {
+    return `Unsupported flag "${name}". Allowed flags: ${Object.keys(TERRAFORM_FLAGS).join(', ')}.`;
+  }
+  if (!spec.commands.includes(command)) {
+    const hint = command === 'apply' ? ' `apply` runs the reviewed plan as is; pass it to `$terraform plan` instead.' : '';
+    return `\`${name}\` is not allowed for \`${command}\`.${hint}`;
+  }
+  if (spec.value === null) {
+    return value === null ? null : `\`${name}\` does not take a value.`;
+  }
+  if (value === null || !spec.value.test(value)) {
+    return `Invalid value for \`${name}\`: expected \`${name}=<value>\` with ${spec.expected}.`;
+  }
+  return null;
+}
+
 function getHelpMessage() {
   return `
 ### :robot: Terraform Bot Usage
 
-- \`$terraform apply [targets...]\`: Run \`terraform apply\`
+- \`$terraform apply [targets...] [--allow-destroy]\`: Run \`terraform apply\`
 - \`$terraform plan [targets...]\`: Run \`terraform plan\`
+- \`$terraform destroy <targets...> --confirm <targets...>\`: Run \`terraform destroy\`
 - \`$terraform help\`: Show this help message.
 
+**Terraform flags:**
+- \`-target=<address>\` (plan, destroy), \`-replace=<address>\` (plan), \`-var=<name>=<value>\` (plan, destroy)
+- \`-refresh=true|false\` (plan, destroy), \`-refresh-only\` (plan)
+- \`-parallelism=<n>\`, \`-lock-timeout=<duration>\` (all commands)
+- \`apply\` runs the reviewed plan, so flags that change the plan must be given to \`plan\`.
+
 **Targets:**
 - List of directories to apply changes to.
-- Targets must match Terraform root paths in .tfdeps.json (dirs[].path, relative to the repo root).
+- Targets must match Terraform root paths in .tfdeps.json (dirs[].path, relative to the repo root), or the basename of a single root.
+- Glob patterns select every matching root: \`*\` and \`?\` within a directory, \`**\` across directories.
+- \`@name\` selects the roots in group \`name\` or with tag \`name\`, \`tag:name\` the roots with tag \`name\` (see \`labels\` in .tfdeps.json).
+- A target prefixed with \`!\` removes the matching roots from the selection.
 - If **no targets** are provided, the bot detects changes based on the PR diff.
+- \`--allow-destroy\` lets \`apply\` delete or replace protected resources.
+- \`destroy\` never uses detected changes or patterns: targets are required, must be full root paths (no basenames) and repeated after \`--confirm\`.
+
+**Multiple commands:**
+- Every line starting with \`$terraform\` is a command. Commands run in order, each after the previous one has finished.
+- A root may appear in only one command of a comment.
+- The other lines of the comment are the reason, shown with the results.
 
 **Examples:**
 - \`$terraform apply\`: Apply all changes in the PR.
 - \`$terraform plan dev/frontend\`: Plan changes in \`dev/frontend\`.
 - \`$terraform apply dev/backend dev/db\`: Apply for multiple paths.
+- \`$terraform plan environments/** !environments/legacy\`: Plan every root under \`environments\` except \`environments/legacy\`.
+- \`$terraform plan @prod !tag:eu\`: Plan every prod root outside the EU.
+- \`$terraform plan environments/test1 -target=module.db -var=replicas=3\`: Plan with Terraform flags.
+- \`$terraform destroy dev/preview --confirm dev/preview\`: Destroy \`dev/preview\`.
 `.trim();
 }
 
+/**
+ * Validates the explicit confirmation required by `destroy`.
+ * @param {string[]} targets - Targets to destroy.
+ * @param {string[]} confirmations - Targets repeated after `--confirm`.
+ * @param {boolean} hasConfirmFlag - Whether `--confirm` was given.
+ * @param {string[]} flags - Validated Terraform flags.
+ * @returns {{command: string, targets: string[], flags?: string[], message?: string}}
+ */
+function validateDestroy(targets, confirmations, hasConfirmFlag, flags) {
+  const normalize = (list) => [...new Set(list.map(t => t.replace(/\/$/, '')))].sort();
+
+  if (targets.length === 0) {
+    return {
+      command: 'error',
+      targets: [],
+      message: '`destroy` requires explicit targets. Changes are never auto-detected for destroy.'
+    };
+  }
+
+  if (!hasConfirmFlag) {
+    return {
+      command: 'error',
+      targets: [],
+      message: `\`destroy\` requires confirmation. Repeat the targets after \`--confirm\`, e.g. \`$terraform destroy ${targets.join(' ')} --confirm ${targets.join(' ')}\`.`
+    };
+  }
+
+  const expected = normalize(targets);
+  const confirmed = normalize(confirmations);
+  if (expected.length !== confirmed.length || expected.some((t, i) => t !== confirmed[i])) {
+    return {
+      command: 'error',
+      targets: [],
+      message: `Confirmation does not match the destroy targets. Expected \`--confirm ${expected.join(' ')}\`.`
+    };
+  }
+
+  return { command: 'destroy', targets, flags };
+}
+
+/**
+ * Splits a comment into command lines (lines starting with `$terraform`) and free text.
+ * @param {string} commentBody - The comment.
+ * @returns {{lines: string[], reason: string}} - Command lines in order, and the other lines joined.
+ */
+export function splitComment(commentBody) {
+  const lines = [];
+  const text = [];
+  for (const line of (commentBody || '').split(/\r?\n/)) {
+    if (/^\s*\$terraform(\s|$)/.test(line)) {
+      lines.push(line.trim());
+    } else {
+      text.push(line);
+    }
+  }
+  return { lines, reason: text.join('\n').trim() };
+}
+
 export function parseCommand(commentBody) {
   if (!commentBody) return null;
 
@@ -42,6 +169,8 @@ export function parseCommand(commentBody) {
     command = 'apply';
   } else if (cmdToken === 'plan') {
     command = 'plan';
+  } else if (cmdToken === 'destroy') {
+    command = 'destroy';
   } else if (cmdToken === 'help') {
     return {
       command: 'help',
@@ -53,23 +182,60 @@ export function parseCommand(commentBody) {
   }
 
   const targets = [];
+  const flags = [];
+  const confirmations = [];
+  let confirming = false;
+  let allowDestroy = false;
   for (let i = 2; i < args.length; i++) {
     const arg = args[i];
+    if (command === 'destroy' && arg === '--confirm') {
+      confirming = true;
+      continue;
+    }
+    if (command === 'apply' && arg === '--allow-destroy') {
+      allowDestroy = true;
+      continue;
+    }
+    // Terraform flags are passed through, but only from an allowlist and with validated values
+    if (/^-[a-z]/.test(arg)) {
+      const error = validateTerraformFlag(arg, command);
+      if (error) {
+        return { command: 'error', targets: [], message: error };
+      }
+      flags.push(arg);
+      continue;
+    }
     // Security: Validate target argument to prevent command injection or path traversal
-    // Allow alphanumeric, forward slash, hyphen, underscore, and dot
+    // Allow alphanumeric, forward slash, hyphen, underscore, dot, colon, glob characters,
+    // a leading "!" (negation) and "@" (group or tag)
     // However, explicitly disallow ".." to prevent directory traversal
-    if (!/^[\w\-\/\.]+$/.test(arg) || /\.\./.test(arg)) {
+    if (!/^!?@?[\w\-\/\.:*?[\]]+$/.test(arg) || /\.\./.test(arg)) {
       // Log warning or just skip/throw? 
       // For safety, let's skip invalid targets but continue parsing valid ones, 
       // or fail the whole command. Failing is safer to notify user.
       return {
         command: 'error',
         targets: [],
-        message: `Invalid target path provided: "${arg}". Only alphanumeric characters, "-", "/", and "." are allowed. Directory traversal ".." is invalid.`
+        message: `Invalid target path provided: "${arg}". Only alphanumeric characters, "-", "/", ".", ":", glob characters ("*", "?", "[]") and a leading "!" or "@" are allowed. Directory traversal ".." is invalid.`
       };
     }
-    targets.push(arg);
+    if (command === 'destroy' && (/^[!@]|^tag:/.test(arg) || isGlob(arg))) {
+      return {
+        command: 'error',
+        targets: [],
+        message: `\`destroy\` does not accept glob, tag or negated targets ("${arg}"). List the roots to destroy explicitly.`
+      };
+    }
+    (confirming ? confirmations : targets).push(arg);
+  }
+
+  if (command === 'destroy') {
+    return validateDestroy(targets, confirmations, confirming, flags);
+  }
+
+  if (command === 'apply') {
+    return { command, targets, flags, allowDestroy };
   }
 
-  return { command, targets };
+  return { command, targets, flags };
 }
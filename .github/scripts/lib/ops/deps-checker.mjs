@@ -0,0 +1,170 @@
+/**
+ * Compares two string lists.
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {{added: string[], removed: string[]}}
+ */
+function diffLists(before = [], after = []) {
+  const beforeSet = new Set(before);
+  const afterSet = new Set(after);
+  return {
+    added: after.filter(x => !beforeSet.has(x)).sort(),
+    removed: before.filter(x => !afterSet.has(x)).sort()
+  };
+}
+
+function isEmpty(diff) {
+  return diff.added.length === 0 && diff.removed.length === 0;
+}
+
+function indexBy(list, key) {
+  const map = new Map();
+  for (const item of list || []) {
+    if (item && item[key]) map.set(item[key], item);
+  }
+  return map;
+}
+
+/**
+ * Compares the committed dependency graph with a freshly generated one.
+ * @param {Object} committed - The committed `.tfdeps.json` content.
+ * @param {Object} generated - The regenerated content.
+ * @returns {{
+ *   upToDate: boolean,
+ *   version: {from: number|null, to: number|null}|null,
+ *   roots: {added: string[], removed: string[]},
+ *   stale: {added: string[], removed: string[]},
+ *   providers: Array<{path: string, added: string[], removed: string[]}>,
+ *   dependsOn: Array<{path: string, added: string[], removed: string[]}>,
+ *   tags: Array<{path: string, added: string[], removed: string[]}>,
+ *   groups: Array<{path: string, from: string|null, to: string|null}>,
+ *   modules: {added: string[], removed: string[], changed: Array<{source: string, usedIn: object, usedInModules: object}>},
+ *   triggers: {added: string[], removed: string[], changed: Array<{pattern: string, roots: object}>}
+ * }}
+ */
+export function diffDepsData(committed, generated) {
+  const version = committed.version === generated.version
+    ? null
+    : { from: committed.version ?? null, to: generated.version ?? null };
+  const oldDirs = indexBy(committed.dirs, 'path');
+  const newDirs = indexBy(generated.dirs, 'path');
+  const roots = diffLists(Array.from(oldDirs.keys()), Array.from(newDirs.keys()));
+  const staleRoots = (dirs) => Array.from(dirs.values()).filter(d => d.stale).map(d => d.path);
+  const stale = diffLists(staleRoots(oldDirs), staleRoots(newDirs));
+
+  const providers = [];
+  const dependsOn = [];
+  const tags = [];
+  const groups = [];
+  for (const [path, dir] of newDirs) {
+    const old = oldDirs.get(path);
+    if (!old) continue;
+    const p = diffLists(old.providers, dir.providers);
+    if (!isEmpty(p)) providers.push({ path, ...p });
+    const d = diffLists(old.dependsOn, dir.dependsOn);
+    if (!isEmpty(d)) dependsOn.push({ path, ...d });
+    // Target selectors (`@group`, `tag:`) read these, so stale labels select the wrong roots
+    const t = diffLists(old.tags, dir.tags);
+    if (!isEmpty(t)) tags.push({ path, ...t });
+    if ((old.group ?? null) !== (dir.group ?? null)) groups.push({ path, from: old.group ?? null, to: dir.group ?? null });
+  }
+
+  const oldModules = indexBy(committed.modules, 'source');
+  const newModules = indexBy(generated.modules, 'source');
+  const modules = {
+    ...diffLists(Array.from(oldModules.keys()), Array.from(newModules.keys())),
+    changed: []
+  };
+  for (const [source, mod] of newModules) {
+    const old = oldModules.get(source);
+    if (!old) continue;
+    const usedIn = diffLists(old.usedIn, mod.usedIn);
+    const usedInModules = diffLists(old.usedInModules, mod.usedInModules);
+    if (!isEmpty(usedIn) || !isEmpty(usedInModules)) {
+      modules.changed.push({ source, usedIn, usedInModules });
+    }
+  }
+
+  const oldTriggers = indexBy(committed.triggers, 'pattern');
+  const newTriggers = indexBy(generated.triggers, 'pattern');
+  const triggers = {
+    ...diffLists(Array.from(oldTriggers.keys()), Array.from(newTriggers.keys())),
+    changed: []
+  };
+  for (const [pattern, trigger] of newTriggers) {
+    const old = oldTriggers.get(pattern);
+    if (!old) continue;
+    const r = diffLists(old.roots, trigger.roots);
+    if (!isEmpty(r)) triggers.changed.push({ pattern, roots: r });
+  }
+
+  const upToDate = !version && isEmpty(roots) && isEmpty(stale) && providers.length === 0 && dependsOn.length === 0 &&
+    tags.length === 0 && groups.length === 0 &&
+    isEmpty(modules) && modules.changed.length === 0 &&
+    isEmpty(triggers) && triggers.changed.length === 0;
+
+  return { upToDate, version, roots, stale, providers, dependsOn, tags, groups, modules, triggers };
+}
+
+/**
+ * Formats a diff returned by diffDepsData for humans.
+ * @param {object} diff
+ * @param {string} [file] - Name of the dependency graph file.
+ * @returns {string}
+ */
+export function formatDepsDiff(diff, file = '.tfdeps.json') {
+  if (diff.upToDate) {
+    return `✅ ${file} is up to date.`;
+  }
+
+  const lines = [`❌ ${file} is out of date:`];
+  const changes = (d) => [...d.added.map(x => `+${x}`), ...d.removed.map(x => `-${x}`)].join(', ');
+
+  if (diff.version) {
+    lines.push('', `Version: ${diff.version.from ?? '(none)'} -> ${diff.version.to ?? '(none)'}`);
+  }
+  if (!isEmpty(diff.roots)) {
+    lines.push('', 'Roots:');
+    diff.roots.added.forEach(r => lines.push(`  + ${r}`));
+    diff.roots.removed.forEach(r => lines.push(`  - ${r}`));
+  }
+  if (!isEmpty(diff.stale)) {
+    lines.push('', 'Stale roots:');
+    diff.stale.added.forEach(r => lines.push(`  + ${r}`));
+    diff.stale.removed.forEach(r => lines.push(`  - ${r}`));
+  }
+  if (diff.providers.length > 0) {
+    lines.push('', 'Providers:');
+    diff.providers.forEach(p => lines.push(`  ~ ${p.path}: ${changes(p)}`));
+  }
+  if (diff.dependsOn.length > 0) {
+    lines.push('', 'Root dependencies:');
+    diff.dependsOn.forEach(d => lines.push(`  ~ ${d.path}: ${changes(d)}`));
+  }
+  if (diff.tags.length > 0) {
+    lines.push('', 'Tags:');
+    diff.tags.forEach(t => lines.push(`  ~ ${t.path}: ${changes(t)}`));
+  }
+  if (diff.groups.length > 0) {
+    lines.push('', 'Groups:');
+    diff.groups.forEach(g => lines.push(`  ~ ${g.path}: ${g.from ?? '(none)'} -> ${g.to ?? '(none)'}`));
+  }
+  if (!isEmpty(diff.modules) || diff.modules.changed.length > 0) {
+    lines.push('', 'Modules:');
+    diff.modules.added.forEach(m => lines.push(`  + ${m}`));
+    diff.modules.removed.forEach(m => lines.push(`  - ${m}`));
+    for (const m of diff.modules.changed) {
+      if (!isEmpty(m.usedIn)) lines.push(`  ~ ${m.source} usedIn: ${changes(m.usedIn)}`);
+      if (!isEmpty(m.usedInModules)) lines.push(`  ~ ${m.source} usedInModules: ${changes(m.usedInModules)}`);
+    }
+  }
+  if (!isEmpty(diff.triggers) || diff.triggers.changed.length > 0) {
+    lines.push('', 'Triggers:');
+    diff.triggers.added.forEach(t => lines.push(`  + ${t}`));
+    diff.triggers.removed.forEach(t => lines.push(`  - ${t}`));
+    diff.triggers.changed.forEach(t => lines.push(`  ~ ${t.pattern}: ${changes(t.roots)}`));
+  }
+
+  lines.push('', `Run \`node .github/scripts/cli/index.mjs generate-deps\` and commit ${file}.`);
+  return lines.join('\n');
+}
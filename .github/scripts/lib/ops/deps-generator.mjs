@@ -1,67 +1,114 @@
-import { join, relative, resolve, isAbsolute } from 'node:path';
+import { join, relative, resolve, isAbsolute, sep } from 'node:path';
 import { readdir, readFile } from 'node:fs/promises';
-import { exists, runCommand, getWorkspaceRoot, loadJson } from '../utils.mjs';
+import { exists, runCommand, getWorkspaceRoot, loadJson, mapWithConcurrency, withTimeout, retry } from '../utils.mjs';
 import { getRepoName } from '../git.mjs';
+import { globToRegExp } from '../glob.mjs';
+import { stripComments, findBlocks, parseStringAttributes } from '../hcl.mjs';
 import { logger } from '../logger.mjs';
+import { DEPS_SCHEMA_VERSION, resolveLabels } from './deps-schema.mjs';
+import { calculateExecutionPaths } from './change-detector.mjs';
 
 /**
  * Loads ignore patterns from a file.
  * @param {string} ignoreFilePath - Path to the ignore file (optional).
  * @param {string} root - The root directory of the repository.
- * @returns {Promise<Set<string>>} - A set of ignore patterns.
+ * @returns {Promise<string[]>} - Ignore patterns in file order.
  */
 export async function loadIgnorePatterns(ignoreFilePath, root) {
   const path = ignoreFilePath || join(root, '.tfdepsignore');
   if (!(await exists(path))) {
-    return new Set();
+    return [];
   }
   const content = await readFile(path, 'utf-8');
-  const patterns = new Set();
+  const patterns = [];
   for (const rawLine of content.split(/\r?\n/)) {
     const line = rawLine.trim();
     if (!line || line.startsWith('#')) continue;
 
     // Support both "one pattern per line" and "space-separated" formats.
     for (const token of line.split(/\s+/).map(t => t.trim()).filter(Boolean)) {
-      patterns.add(token);
+      patterns.push(token);
     }
   }
   return patterns;
 }
 
+/**
+ * Compiles ignore patterns using gitignore-style semantics.
+ *
+ * - `!pattern` re-includes a path excluded by an earlier pattern.
+ * - A leading `/` (or a `/` in the middle) anchors the pattern to the scan root;
+ *   otherwise it matches at any depth.
+ * - A trailing `/` matches directories only.
+ * - `*`, `?`, `[...]` and `**` follow glob semantics.
+ *
+ * The last matching pattern wins.
+ * @param {Iterable<string>} patterns - Raw ignore patterns.
+ * @returns {(relPath: string, isDirectory: boolean) => boolean} - Predicate returning true if the path is ignored.
+ */
+export function compileIgnorePatterns(patterns) {
+  const rules = [];
+  for (const raw of patterns) {
+    let pattern = raw;
+    let negate = false;
+    let directoryOnly = false;
+
+    if (pattern.startsWith('!')) {
+      negate = true;
+      pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+      pattern = pattern.slice(1);
+    }
+    if (pattern.endsWith('/')) {
+      directoryOnly = true;
+      pattern = pattern.replace(/\/+$/, '');
+    }
+    if (!pattern) continue;
+
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\/+/, '');
+    if (!anchored && !pattern.startsWith('**')) {
+      pattern = '**/' + pattern;
+    }
+
+    rules.push({ regex: globToRegExp(pattern), negate, directoryOnly });
+  }
+
+  return (relPath, isDirectory) => {
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.regex.test(relPath)) {
+        ignored = !rule.negate;
+      }
+    }
+    return ignored;
+  };
+}
+
 /**
  * Finds all Terraform root modules in a directory.
  * @param {string} root - The root directory to search.
- * @param {Set<string>} ignorePatterns - A set of ignore patterns.
+ * @param {Iterable<string>} ignorePatterns - Gitignore-style ignore patterns.
+ * @param {object} [log] - Logger for progress messages.
  * @returns {Promise<string[]>} - A list of relative paths to Terraform root modules.
  */
-export async function findTerraformRoots(root, ignorePatterns) {
+export async function findTerraformRoots(root, ignorePatterns, log = logger) {
   const roots = [];
+  const isIgnored = compileIgnorePatterns(ignorePatterns || []);
 
   async function walk(dir) {
-    const relDir = relative(root, dir);
-    if (relDir && ignorePatterns.has(relDir)) return;
-
-    // Check if current directory path components match any ignore pattern if needed
     const entries = await readdir(dir, { withFileTypes: true });
     for (const entry of entries) {
       if (entry.isDirectory()) {
          const entryPath = join(dir, entry.name);
-         const relEntry = relative(root, entryPath);
-
-         // Recursively check ignore patterns
-         let isIgnored = false;
-         for (const pattern of ignorePatterns) {
-           if (relEntry === pattern || relEntry.startsWith(pattern + '/') || entry.name === pattern) {
-             isIgnored = true;
-             break;
-           }
-         }
+         const relEntry = relative(root, entryPath).split(sep).join('/');
 
-         if (!isIgnored) {
+         // Ignored directories are pruned, so their contents cannot be re-included
+         if (!isIgnored(relEntry, true)) {
            await walk(entryPath);
          } else {
-           logger.info(`[skip] ${relEntry}`);
+           log.info(`[skip] ${relEntry}`);
          }
       } else if (entry.name === '.terraform-version') {
         const relRoot = relative(root, dir);
@@ -128,11 +175,12 @@ export async function resolveLocalModule(rootAbs, source, dirPath, workspaceRoot
  * @param {string} workspaceRoot - Absolute path to the workspace root.
  * @param {string} repoName - Name of the repository.
  * @param {string[]} logs - Array to accumulate logs/errors.
+ * @param {AbortSignal} [signal] - Kills `terraform` when aborted.
  * @returns {Promise<string[]>} - List of local module paths used.
  */
-async function extractModules(rootAbs, workspaceRoot, repoName, logs) {
+async function extractModules(rootAbs, workspaceRoot, repoName, logs, signal) {
   try {
-    const { stdout } = await runCommand('terraform', ['modules', '-json'], { cwd: rootAbs });
+    const { stdout } = await runCommand('terraform', ['modules', '-json'], { cwd: rootAbs, signal });
 
     let data;
     try {
@@ -151,6 +199,10 @@ async function extractModules(rootAbs, workspaceRoot, repoName, logs) {
       // Usually the output keys are uppercased in Go but json output might vary by version.
       const source = m.Source || m.source;
       if (!source) continue;
+      // Only modules called by the root itself (`vpc`, not `vpc.subnets`), like the static mode.
+      // Nested modules are found by extractModuleEdges.
+      const key = m.Key || m.key || '';
+      if (key.includes('.')) continue;
 
       const dir = m.Dir || m.dir || '';
       const modPath = await resolveLocalModule(rootAbs, source, dir, workspaceRoot, repoName);
@@ -165,13 +217,396 @@ async function extractModules(rootAbs, workspaceRoot, repoName, logs) {
   }
 }
 
+/**
+ * Extracts the `source` attribute of every `module` block in HCL content.
+ * Only top-level attributes of the block are considered, so nested objects
+ * (e.g. `triggers = { source = ... }`) are not mistaken for the module source.
+ * @param {string} content - HCL file content.
+ * @returns {string[]} - List of module sources in declaration order.
+ */
+export function extractModuleSources(content) {
+  return findBlocks(content, /^\s*module\s+"[^"]*"\s*\{/gm)
+    .map(({ body }) => parseStringAttributes(body).source)
+    .filter(Boolean);
+}
+
+/**
+ * Reads the content of every `.tf` file in a directory, without comments.
+ * @param {string} dirAbs - Absolute path of the directory.
+ * @returns {Promise<string[]>} - File contents.
+ */
+async function readTerraformFiles(dirAbs) {
+  const entries = await readdir(dirAbs, { withFileTypes: true });
+  const contents = [];
+  for (const entry of entries) {
+    if (entry.isFile() && entry.name.endsWith('.tf')) {
+      contents.push(stripComments(await readFile(join(dirAbs, entry.name), 'utf-8')));
+    }
+  }
+  return contents;
+}
+
+/**
+ * Reads the module sources declared by the `.tf` files of a directory.
+ * @param {string} dirAbs - Absolute path of the directory.
+ * @returns {Promise<string[]>} - List of module sources.
+ */
+async function readModuleSources(dirAbs) {
+  const contents = await readTerraformFiles(dirAbs);
+  return contents.flatMap(extractModuleSources);
+}
+
+/**
+ * Extract modules used in a Terraform root directory from its `module` blocks,
+ * without running `terraform init`.
+ * @param {string} rootAbs - Absolute path to the Terraform root.
+ * @param {string} workspaceRoot - Absolute path to the workspace root.
+ * @param {string} repoName - Name of the repository.
+ * @param {string[]} logs - Array to accumulate logs/errors.
+ * @returns {Promise<string[]>} - List of local module paths used.
+ */
+async function extractModulesStatic(rootAbs, workspaceRoot, repoName, logs) {
+  let sources;
+  try {
+    sources = await readModuleSources(rootAbs);
+  } catch (error) {
+    logs.push(`❌ Could not read module sources in ${rootAbs}: ${error.message}`);
+    return [];
+  }
+
+  const modulesSet = new Set();
+  for (const source of sources) {
+    const modPath = await resolveLocalModule(rootAbs, source, '', workspaceRoot, repoName);
+    if (modPath) modulesSet.add(modPath);
+  }
+  return Array.from(modulesSet).sort();
+}
+
+/**
+ * Walks local modules to discover module-to-module calls.
+ * `terraform modules -json` does not always flatten deeply nested modules, so
+ * the edges are read from the module sources themselves.
+ * @param {string[]} modules - Local module paths used by a root (relative to workspace root).
+ * @param {string} workspaceRoot - Absolute path to the workspace root.
+ * @param {string} repoName - Name of the repository.
+ * @param {string[]} logs - Array to accumulate logs/errors.
+ * @returns {Promise<Object<string, string[]>>} - Map of module path to the local modules it calls.
+ */
+async function extractModuleEdges(modules, workspaceRoot, repoName, logs) {
+  const edges = {};
+  const visited = new Set();
+  const queue = [...modules];
+
+  while (queue.length > 0) {
+    const mod = queue.shift();
+    if (visited.has(mod)) continue;
+    visited.add(mod);
+
+    const modAbs = resolve(workspaceRoot, mod);
+    let sources;
+    try {
+      sources = await readModuleSources(modAbs);
+    } catch (error) {
+      logs.push(`⚠️  Could not read module sources in ${mod}: ${error.message}`);
+      continue;
+    }
+
+    const children = new Set();
+    for (const source of sources) {
+      const child = await resolveLocalModule(modAbs, source, '', workspaceRoot, repoName);
+      if (child && child !== mod) {
+        children.add(child);
+        queue.push(child);
+      }
+    }
+
+    if (children.size > 0) {
+      edges[mod] = Array.from(children).sort();
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Extracts literal path arguments of file-reading functions
+ * (`file()`, `templatefile()`, `filebase64()`, ...) from HCL content.
+ * @param {string} content - HCL file content.
+ * @returns {string[]} - Raw path expressions as written.
+ */
+export function extractFileReferences(content) {
+  const regex = /\b(?:file|templatefile|filebase64|filemd5|filesha1|filesha256|filesha512|fileexists)\(\s*"([^"]+)"/g;
+  const refs = [];
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    refs.push(match[1]);
+  }
+  return refs;
+}
+
+/**
+ * Collects workspace files read through file functions that live outside the
+ * root and its local modules. Changes to those files must also trigger the root.
+ * @param {string} rootAbs - Absolute path to the Terraform root.
+ * @param {string[]} modules - Local module paths used by the root (relative to workspace root).
+ * @param {string} workspaceRoot - Absolute path to the workspace root.
+ * @param {string[]} logs - Array to accumulate logs/errors.
+ * @returns {Promise<string[]>} - Sorted list of referenced files (relative to workspace root).
+ */
+async function extractExternalFiles(rootAbs, modules, workspaceRoot, logs) {
+  const ownDirs = [rootAbs, ...modules.map(m => resolve(workspaceRoot, m))];
+  const files = new Set();
+
+  for (const dirAbs of ownDirs) {
+    let contents;
+    try {
+      contents = await readTerraformFiles(dirAbs);
+    } catch (error) {
+      logs.push(`⚠️  Could not read file references in ${relative(workspaceRoot, dirAbs)}: ${error.message}`);
+      continue;
+    }
+
+    for (const ref of contents.flatMap(extractFileReferences)) {
+      const expanded = ref
+        .replace(/\$\{path\.module\}/g, dirAbs)
+        .replace(/\$\{path\.(?:root|cwd)\}/g, rootAbs);
+      // Paths built from variables or locals cannot be resolved statically
+      if (expanded.includes('${')) continue;
+
+      const abs = resolve(rootAbs, expanded);
+      const rel = relative(workspaceRoot, abs);
+      if (!rel || rel.startsWith('..') || isAbsolute(rel)) continue;
+
+      const isOwn = ownDirs.some(d => abs === d || abs.startsWith(d + sep));
+      if (!isOwn) files.add(rel.split(sep).join('/'));
+    }
+  }
+
+  return Array.from(files).sort();
+}
+
+/**
+ * Extracts the backend configured in a `terraform { backend "<type>" { ... } }` block.
+ * @param {string} content - HCL file content.
+ * @returns {{type: string, config: Object<string, string>}|null}
+ */
+export function extractBackend(content) {
+  for (const terraform of findBlocks(content, /^\s*terraform\s*\{/gm)) {
+    const [backend] = findBlocks(terraform.body, /^\s*backend\s+"([^"]+)"\s*\{/gm);
+    if (backend) {
+      return { type: backend.match[1], config: parseStringAttributes(backend.body) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Extracts every `data "terraform_remote_state"` block.
+ * @param {string} content - HCL file content.
+ * @returns {Array<{name: string, backend: string, config: Object<string, string>}>}
+ */
+export function extractRemoteStates(content) {
+  return findBlocks(content, /^\s*data\s+"terraform_remote_state"\s+"([^"]+)"\s*\{/gm).map(({ match, body }) => {
+    const [config] = findBlocks(body, /^\s*config\s*=\s*\{/gm);
+    return {
+      name: match[1],
+      backend: parseStringAttributes(body).backend || 'local',
+      config: config ? parseStringAttributes(config.body) : {}
+    };
+  });
+}
+
+/**
+ * Reads the backend of a root and the remote states it reads.
+ * Local state paths are resolved relative to the workspace root, so they can be compared across roots.
+ * @param {string} rootAbs - Absolute path to the Terraform root.
+ * @param {string} workspaceRoot - Absolute path to the workspace root.
+ * @param {string[]} logs - Array to accumulate logs/errors.
+ * @returns {Promise<{backend: object, remoteStates: object[]}>}
+ */
+async function extractStateReferences(rootAbs, workspaceRoot, logs) {
+  let contents;
+  try {
+    contents = await readTerraformFiles(rootAbs);
+  } catch (error) {
+    logs.push(`⚠️  Could not read remote states in ${relative(workspaceRoot, rootAbs)}: ${error.message}`);
+    return { backend: null, remoteStates: [] };
+  }
+
+  const toWorkspacePath = (path) => relative(workspaceRoot, resolve(rootAbs, path)).split(sep).join('/');
+
+  // Without a backend block, Terraform keeps the state in terraform.tfstate
+  const backend = contents.map(extractBackend).find(Boolean) || { type: 'local', config: {} };
+  if (backend.type === 'local') {
+    backend.config = { ...backend.config, path: toWorkspacePath(backend.config.path || 'terraform.tfstate') };
+  }
+
+  const remoteStates = contents.flatMap(extractRemoteStates).map(rs => {
+    if (rs.backend === 'local' && rs.config.path) {
+      return { ...rs, config: { ...rs.config, path: toWorkspacePath(rs.config.path) } };
+    }
+    return rs;
+  });
+
+  return { backend, remoteStates };
+}
+
+/**
+ * Backend attributes that identify where a state is stored.
+ */
+const STATE_IDENTITY_KEYS = ['bucket', 'key', 'prefix', 'path', 'container_name', 'storage_account_name'];
+const STATE_LOCATION_KEYS = ['key', 'prefix', 'path'];
+
+/**
+ * Checks whether a remote state reads the state written by a backend.
+ * The backend types must be equal, and every identifying attribute of the remote
+ * state (bucket, key, prefix, path, ...) must match the backend.
+ * @param {{backend: string, config: Object<string, string>}} remoteState
+ * @param {{type: string, config: Object<string, string>}|null} backend
+ * @returns {boolean}
+ */
+export function matchesBackend(remoteState, backend) {
+  if (!backend || remoteState.backend !== backend.type) return false;
+  const keys = Object.keys(remoteState.config).filter(k => STATE_IDENTITY_KEYS.includes(k));
+  if (!keys.some(k => STATE_LOCATION_KEYS.includes(k))) return false;
+  return keys.every(k => backend.config[k] === remoteState.config[k]);
+}
+
+/**
+ * Builds root-to-root dependencies.
+ *
+ * A root depends on another root when it reads its state through
+ * `terraform_remote_state`. Manual overrides add or remove edges:
+ * `{ "<root>": { "add": ["<root>"], "remove": ["<root>"] } }`.
+ * @param {Array<{root: string, backend?: object, remoteStates?: object[]}>} results - Successful analysis results.
+ * @param {Object<string, {add?: string[], remove?: string[]}>} [overrides] - `dependencyOverrides` from `.tfdeps.json`.
+ * @param {string[]} [logs] - Array to accumulate warnings.
+ * @returns {Object<string, string[]>} - Root -> sorted dependencies (roots without dependencies are omitted).
+ */
+export function buildRootDependencies(results, overrides = {}, logs = []) {
+  const roots = new Set(results.map(r => r.root));
+  const dependencies = {};
+
+  for (const res of results) {
+    const deps = new Set();
+    for (const rs of res.remoteStates || []) {
+      const producers = results.filter(p => p.root !== res.root && matchesBackend(rs, p.backend));
+      if (producers.length === 0) {
+        logs.push(`⚠️  ${res.root}: remote state "${rs.name}" does not match any root`);
+      }
+      for (const p of producers) deps.add(p.root);
+    }
+
+    const override = overrides[res.root] || {};
+    for (const dep of override.add || []) {
+      if (roots.has(dep) && dep !== res.root) {
+        deps.add(dep);
+      } else {
+        logs.push(`⚠️  ${res.root}: dependency override "${dep}" is not a known root`);
+      }
+    }
+    for (const dep of override.remove || []) deps.delete(dep);
+
+    if (deps.size > 0) dependencies[res.root] = Array.from(deps).sort();
+  }
+
+  return dependencies;
+}
+
+/**
+ * Normalizes a provider source address to its fully qualified form.
+ * `aws` and `hashicorp/aws` both become `registry.terraform.io/hashicorp/aws`.
+ * @param {string} source - Provider source address.
+ * @returns {string}
+ */
+export function normalizeProviderSource(source) {
+  const parts = source.toLowerCase().split('/');
+  if (parts.length === 1) return `registry.terraform.io/hashicorp/${parts[0]}`;
+  if (parts.length === 2) return `registry.terraform.io/${parts[0]}/${parts[1]}`;
+  return parts.join('/');
+}
+
+/**
+ * Extracts provider requirements from HCL content.
+ * @param {string} content - HCL file content.
+ * @returns {{required: Object<string, string|null>, used: string[]}} -
+ *   `required`: local name -> source from `required_providers` (null when only a version is given).
+ *   `used`: local names referenced by `provider`, `resource` and `data` blocks.
+ */
+export function extractProviderRequirements(content) {
+  const required = {};
+  for (const terraform of findBlocks(content, /^\s*terraform\s*\{/gm)) {
+    for (const rp of findBlocks(terraform.body, /^\s*required_providers\s*\{/gm)) {
+      // Legacy syntax: aws = "~> 3.0"
+      for (const name of Object.keys(parseStringAttributes(rp.body))) {
+        required[name] = null;
+      }
+      for (const { match, body } of findBlocks(rp.body, /^\s*([\w-]+)\s*=\s*\{/gm)) {
+        required[match[1]] = parseStringAttributes(body).source || null;
+      }
+    }
+  }
+
+  const used = new Set();
+  const regex = /^\s*(?:provider\s+"([^"]+)"|(?:resource|data)\s+"([^"_]+)[^"]*")\s*(?:"[^"]*"\s*)?\{/gm;
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    used.add(match[1] || match[2]);
+  }
+  // terraform_remote_state comes from the built-in provider
+  used.delete('terraform');
+
+  return { required, used: Array.from(used).sort() };
+}
+
+/**
+ * Reads provider source addresses from the `.tf` files of a root and its local modules.
+ * Providers without a `required_providers` entry default to the `hashicorp` namespace, as in Terraform.
+ * @param {string[]} dirsAbs - Absolute paths of the root and its modules.
+ * @param {string[]} logs - Array to accumulate logs/errors.
+ * @returns {Promise<string[]>} - Sorted provider addresses.
+ */
+async function extractProvidersStatic(dirsAbs, logs) {
+  const providers = new Set();
+  for (const dirAbs of dirsAbs) {
+    let contents;
+    try {
+      contents = await readTerraformFiles(dirAbs);
+    } catch (error) {
+      logs.push(`⚠️  Could not read providers in ${dirAbs}: ${error.message}`);
+      continue;
+    }
+
+    // Local names are scoped to each module
+    const required = {};
+    const used = new Set();
+    for (const content of contents) {
+      const reqs = extractProviderRequirements(content);
+      Object.assign(required, reqs.required);
+      reqs.used.forEach(u => used.add(u));
+    }
+    for (const [name, source] of Object.entries(required)) {
+      providers.add(normalizeProviderSource(source || name));
+    }
+    for (const name of used) {
+      if (!(name in required)) providers.add(normalizeProviderSource(name));
+    }
+  }
+  return Array.from(providers).sort();
+}
+
 /**
  * Extract providers used in a Terraform root directory.
+ * `.terraform.lock.hcl` is used when it exists. Otherwise, providers are read from
+ * the configuration (static mode) or from `terraform providers schema` (terraform mode).
  * @param {string} rootAbs - Absolute path to the Terraform root.
+ * @param {string[]} modulesAbs - Absolute paths of the local modules used by the root.
+ * @param {string} mode - `static` or `terraform`.
  * @param {string[]} logs - Array to accumulate logs/errors.
+ * @param {AbortSignal} [signal] - Kills `terraform` when aborted.
  * @returns {Promise<string[]>} - List of provider names.
  */
-async function extractProviders(rootAbs, logs) {
+async function extractProviders(rootAbs, modulesAbs, mode, logs, signal) {
   const lockFile = join(rootAbs, '.terraform.lock.hcl');
   if (await exists(lockFile)) {
     const content = await readFile(lockFile, 'utf-8');
@@ -185,8 +620,11 @@ async function extractProviders(rootAbs, logs) {
   }
 
   // If Fallback: .terraform.lock.hcl does not exist
+  if (mode === 'static') {
+    return extractProvidersStatic([rootAbs, ...modulesAbs], logs);
+  }
   try {
-    const { stdout } = await runCommand('terraform', ['providers', 'schema', '-json'], { cwd: rootAbs });
+    const { stdout } = await runCommand('terraform', ['providers', 'schema', '-json'], { cwd: rootAbs, signal });
     const data = JSON.parse(stdout);
     const schemas = data.provider_schemas || {};
     return Object.keys(schemas).sort();
@@ -196,32 +634,101 @@ async function extractProviders(rootAbs, logs) {
   }
 }
 
+/**
+ * Modes of analysis: `static` reads `.tf` files only, `terraform` runs
+ * `terraform init` and `terraform modules -json` for every root.
+ */
+export const ANALYSIS_MODES = ['static', 'terraform'];
+
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_ROOT_TIMEOUT_MS = 10 * 60 * 1000;
+export const DEFAULT_INIT_RETRIES = 2;
+
+/**
+ * `terraform init` errors caused by the network or the registry rather than the configuration.
+ */
+const TRANSIENT_ERRORS = [
+  /timeout/i,
+  /timed out/i,
+  /connection (reset|refused)/i,
+  /TLS handshake/i,
+  /no such host/i,
+  /temporary failure/i,
+  /unexpected EOF/i,
+  /too many requests|rate limit/i,
+  /\b(429|500|502|503|504)\b/
+];
+
+/**
+ * Checks whether a failed command is worth retrying.
+ * @param {Error} error - Error from runCommand.
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  const text = `${error.message || ''}\n${error.stderr || ''}`;
+  return TRANSIENT_ERRORS.some(regex => regex.test(text));
+}
+
+/**
+ * Creates an empty analysis result.
+ * @param {string} root - Root path relative to the workspace root.
+ * @param {string} [status]
+ * @returns {object}
+ */
+function createResult(root, status = 'success') {
+  return {
+    root,
+    status,
+    logs: [],
+    modules: [],
+    moduleEdges: {},
+    files: [],
+    backend: null,
+    remoteStates: [],
+    providers: []
+  };
+}
+
 /**
  * Analyze a single Terraform root directory.
  * @param {string} rootRelPath - Path relative to workspace root.
  * @param {string} workspaceRoot - Absolute workspace root path.
  * @param {string} repoName - Repository name.
+ * @param {object} [options]
+ * @param {string} [options.mode] - One of ANALYSIS_MODES.
+ * @param {object} [options.logger] - Logger for progress messages.
+ * @param {AbortSignal} [options.signal] - Kills `terraform` processes when aborted.
+ * @param {number} [options.initRetries] - Retries of `terraform init` on transient errors.
+ * @param {number} [options.retryDelayMs] - Delay before the first retry.
  * @returns {Promise<object>} - Analysis result.
  */
-async function analyzeRoot(rootRelPath, workspaceRoot, repoName) {
+async function analyzeRoot(rootRelPath, workspaceRoot, repoName, {
+  mode = 'static',
+  logger: log = logger,
+  signal,
+  initRetries = DEFAULT_INIT_RETRIES,
+  retryDelayMs
+} = {}) {
   const rootAbs = resolve(workspaceRoot, rootRelPath);
-  const result = {
-    root: rootRelPath,
-    status: 'success',
-    logs: [],
-    modules: [],
-    providers: []
-  };
+  const result = createResult(rootRelPath);
 
-  logger.info(`[${rootRelPath}] Analyzing...`);
+  log.info(`[${rootRelPath}] Analyzing...`);
 
   const dotTerraform = join(rootAbs, '.terraform');
   // Ensure .terraform exists (initialized)
-  if (!(await exists(dotTerraform))) {
+  if (mode === 'terraform' && !(await exists(dotTerraform))) {
     try {
       // Ideally we should use 'terraform init -backend=false', but simplistic init might be enough for modules/providers
-      logger.info(`[${rootRelPath}] Running terraform init...`);
-      await runCommand('terraform', ['init', '-backend=false', '-input=false'], { cwd: rootAbs });
+      log.info(`[${rootRelPath}] Running terraform init...`);
+      await retry(
+        () => runCommand('terraform', ['init', '-backend=false', '-input=false'], { cwd: rootAbs, signal }),
+        {
+          retries: initRetries,
+          delayMs: retryDelayMs,
+          shouldRetry: (error) => !signal?.aborted && isTransientError(error),
+          onRetry: (error, attempt) => log.warning(`[${rootRelPath}] terraform init failed (attempt ${attempt}), retrying: ${error.message.split('\n')[0]}`)
+        }
+      );
     } catch (error) {
       result.logs.push(`❌ Initialization failed: ${error.message}`);
       result.status = 'error';
@@ -229,33 +736,325 @@ async function analyzeRoot(rootRelPath, workspaceRoot, repoName) {
     }
   }
 
-  logger.info(`[${rootRelPath}] Extracting modules...`);
-  const modules = await extractModules(rootAbs, workspaceRoot, repoName, result.logs);
-  logger.info(`[${rootRelPath}] Extracting providers...`);
-  const providers = await extractProviders(rootAbs, result.logs);
+  log.info(`[${rootRelPath}] Extracting modules...`);
+  const modules = mode === 'terraform'
+    ? await extractModules(rootAbs, workspaceRoot, repoName, result.logs, signal)
+    : await extractModulesStatic(rootAbs, workspaceRoot, repoName, result.logs);
+  const moduleEdges = await extractModuleEdges(modules, workspaceRoot, repoName, result.logs);
+  const allModules = new Set([...modules, ...Object.values(moduleEdges).flat()]);
+  const files = await extractExternalFiles(rootAbs, Array.from(allModules), workspaceRoot, result.logs);
+  const { backend, remoteStates } = await extractStateReferences(rootAbs, workspaceRoot, result.logs);
+  log.info(`[${rootRelPath}] Extracting providers...`);
+  const modulesAbs = Array.from(allModules).sort().map(m => resolve(workspaceRoot, m));
+  const providers = await extractProviders(rootAbs, modulesAbs, mode, result.logs, signal);
 
   result.modules = modules;
+  result.moduleEdges = moduleEdges;
+  result.files = files;
+  result.backend = backend;
+  result.remoteStates = remoteStates;
   result.providers = providers;
 
   return result;
 }
 
+/**
+ * Formats a duration as seconds (e.g. `4.2s`).
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Formats the timing summary logged after the analysis.
+ * @param {Array<{root: string, status: string, durationMs: number}>} results - Analysis results.
+ * @param {number} totalMs - Wall-clock time of the whole analysis.
+ * @param {number} [limit] - Number of slowest roots to list.
+ * @returns {string}
+ */
+export function formatTimingSummary(results, totalMs, limit = 10) {
+  const slowest = [...results].sort((a, b) => b.durationMs - a.durationMs).slice(0, limit);
+  const lines = [`⏱️  Analyzed ${results.length} roots in ${formatDuration(totalMs)}.`];
+  if (slowest.length > 0) {
+    lines[0] += ' Slowest:';
+    const width = Math.max(...slowest.map(r => formatDuration(r.durationMs).length));
+    for (const r of slowest) {
+      const mark = r.status === 'success' ? '' : ' (failed)';
+      lines.push(`    ${formatDuration(r.durationMs).padStart(width)}  ${r.root}${mark}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Reads the analysis options shared by `generate-deps` and `check-deps` from CLI arguments.
+ * @param {object} args - Parsed arguments (`concurrency`, `timeout` in seconds, `retries`).
+ * @returns {{concurrency: number, timeoutMs: number, initRetries: number}}
+ * @throws {Error} If a value is not a valid number.
+ */
+export function parseAnalysisOptions(args) {
+  const { concurrency, timeout, retries } = args;
+  const options = {
+    concurrency: concurrency === undefined ? DEFAULT_CONCURRENCY : Number(concurrency),
+    timeoutMs: timeout === undefined ? DEFAULT_ROOT_TIMEOUT_MS : Number(timeout) * 1000,
+    initRetries: retries === undefined ? DEFAULT_INIT_RETRIES : Number(retries)
+  };
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error(`Invalid --concurrency: ${concurrency}`);
+  }
+  if (!Number.isFinite(options.timeoutMs) || options.timeoutMs <= 0) {
+    throw new Error(`Invalid --timeout: ${timeout}`);
+  }
+  if (!Number.isInteger(options.initRetries) || options.initRetries < 0) {
+    throw new Error(`Invalid --retries: ${retries}`);
+  }
+  return options;
+}
+
+/**
+ * Finds the roots that must be analyzed again after files changed: roots that are not
+ * in the previous graph or are marked `stale`, and roots affected by the changes (their own files, the
+ * modules they use, and their triggers).
+ * @param {string[]} roots - Current Terraform roots.
+ * @param {object} previous - The previous dependency graph.
+ * @param {string[]} changedFiles - Files changed since the previous graph was generated.
+ * @returns {string[]} - Sorted root paths.
+ */
+export function findStaleRoots(roots, previous, changedFiles) {
+  const known = new Set((previous.dirs || []).filter(d => !d.stale).map(d => d.path));
+  const affected = new Set(calculateExecutionPaths(changedFiles, previous).map(r => r.path));
+  return roots.filter(r => !known.has(r) || affected.has(r));
+}
+
+/**
+ * Rebuilds the analysis result of a root from the previous graph (unchanged roots in
+ * incremental mode, failed roots with `--keep-going`).
+ * Remote state references and files read through `file()`-like functions are read again,
+ * because the roots and files they point to may have changed.
+ * @param {string} root - Root path.
+ * @param {object} previous - The previous dependency graph.
+ * @param {string} workspaceRoot - Absolute workspace root path.
+ * @returns {Promise<object>} - Analysis result.
+ */
+export async function reuseResult(root, previous, workspaceRoot) {
+  const result = createResult(root);
+  const dir = previous.dirs.find(d => d.path === root);
+  result.providers = dir.providers || [];
+  result.modules = previous.modules.filter(m => (m.usedIn || []).includes(root)).map(m => m.source);
+
+  // Module -> nested modules, limited to the modules reachable from the root
+  const children = new Map();
+  for (const m of previous.modules) {
+    for (const parent of m.usedInModules || []) {
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(m.source);
+    }
+  }
+  const queue = [...result.modules];
+  const visited = new Set();
+  while (queue.length > 0) {
+    const mod = queue.shift();
+    if (visited.has(mod)) continue;
+    visited.add(mod);
+    if (children.has(mod)) {
+      result.moduleEdges[mod] = [...children.get(mod)].sort();
+      queue.push(...children.get(mod));
+    }
+  }
+
+  const rootAbs = resolve(workspaceRoot, root);
+  result.files = await extractExternalFiles(rootAbs, Array.from(visited), workspaceRoot, result.logs);
+  const { backend, remoteStates } = await extractStateReferences(rootAbs, workspaceRoot, result.logs);
+  result.backend = backend;
+  result.remoteStates = remoteStates;
+  result.reused = true;
+  return result;
+}
+
 /**
  * Generate dependency graph for all Terraform roots in the workspace.
+ * Roots are analyzed by a pool of workers; a progress line is logged as each root
+ * finishes, followed by a timing summary.
+ * With `previous` and `changedFiles`, only the roots returned by findStaleRoots are
+ * analyzed and the others are taken from the previous graph.
  * @param {string} workspaceRoot - Absolute path to workspace root.
- * @param {string[]} ignorePatterns - List of glob patterns to ignore.
- * @returns {Promise<object>} - { results: Array<AnalysisResult>, roots: string[] }
+ * @param {string[]} ignorePatterns - Gitignore-style ignore patterns.
+ * @param {object} [options]
+ * @param {string} [options.mode] - One of ANALYSIS_MODES (Default: `static`).
+ * @param {object} [options.logger] - Logger for progress messages.
+ * @param {number} [options.concurrency] - Number of roots analyzed at a time (Default: 4).
+ * @param {number} [options.timeoutMs] - Time limit per root (Default: 10 minutes).
+ * @param {number} [options.initRetries] - Retries of `terraform init` on transient errors (Default: 2).
+ * @param {number} [options.retryDelayMs] - Delay before the first retry.
+ * @param {object} [options.previous] - Previous dependency graph (valid, current version) to reuse.
+ * @param {string[]} [options.changedFiles] - Files changed since `previous` was generated.
+ * @returns {Promise<object>} - { results: Array<AnalysisResult>, roots: string[], durationMs: number }
  */
-export async function generateDependencyGraph(workspaceRoot, ignorePatterns) {
+export async function generateDependencyGraph(workspaceRoot, ignorePatterns, {
+  mode = 'static',
+  logger: log = logger,
+  concurrency = DEFAULT_CONCURRENCY,
+  timeoutMs = DEFAULT_ROOT_TIMEOUT_MS,
+  initRetries = DEFAULT_INIT_RETRIES,
+  retryDelayMs,
+  previous = null,
+  changedFiles = []
+} = {}) {
+  const startedAt = Date.now();
   const repoName = await getRepoName(workspaceRoot);
-  const roots = await findTerraformRoots(workspaceRoot, ignorePatterns);
+  const roots = await findTerraformRoots(workspaceRoot, ignorePatterns, log);
+  const stale = previous ? findStaleRoots(roots, previous, changedFiles) : roots;
+
+  log.info(`Found ${roots.length} Terraform roots. Starting analysis (concurrency: ${concurrency})...`);
+  if (previous) {
+    log.info(`Incremental: ${changedFiles.length} changed files, re-analyzing ${stale.length} of ${roots.length} roots.`);
+  }
+
+  let finished = 0;
+  const analyzed = await mapWithConcurrency(stale, concurrency, async (root) => {
+    const rootStartedAt = Date.now();
+    let result;
+    try {
+      result = await withTimeout(
+        (signal) => analyzeRoot(root, workspaceRoot, repoName, { mode, logger: log, signal, initRetries, retryDelayMs }),
+        timeoutMs,
+        `Analysis timed out after ${formatDuration(timeoutMs)}`
+      );
+    } catch (error) {
+      result = createResult(root, 'error');
+      result.logs.push(`❌ ${error.message}`);
+    }
+    result.durationMs = Date.now() - rootStartedAt;
+
+    finished++;
+    const mark = result.status === 'success' ? '✓' : '✗';
+    log.info(`[${finished}/${stale.length}] ${root} ${mark} ${formatDuration(result.durationMs)}`);
+    return result;
+  });
+
+  const analyzedByRoot = new Map(analyzed.map(r => [r.root, r]));
+  const results = [];
+  for (const root of roots) {
+    results.push(analyzedByRoot.get(root) || (await reuseResult(root, previous, workspaceRoot)));
+  }
+
+  const durationMs = Date.now() - startedAt;
+  log.info(formatTimingSummary(analyzed, durationMs));
+
+  return { results, roots, durationMs };
+}
+
+/**
+ * Directory holding per-root `.env` files loaded by the workflows.
+ */
+export const ENV_DIR = '.github/env.d';
+
+/**
+ * Builds the `triggers` section of the dependency graph.
+ *
+ * Generated triggers cover the `.github/env.d/<root>/.env` convention and files
+ * read through `file()`-like functions (marked `generated`). Both are rebuilt from the
+ * results. The other triggers of the previous graph are hand-written: they are kept,
+ * without the roots that no longer exist.
+ * @param {Array<{root: string, files?: string[]}>} results - Successful analysis results.
+ * @param {Array<{pattern: string, roots: string[], generated?: boolean}>} [existingTriggers] - Triggers from the current `.tfdeps.json`.
+ * @returns {Array<{pattern: string, roots: string[], generated?: boolean}>} - Triggers sorted by pattern.
+ */
+export function buildTriggers(results, existingTriggers = []) {
+  const known = new Set(results.map(res => res.root));
+  const triggerMap = new Map();
+  const handWritten = new Set();
+  const add = (pattern, roots) => {
+    if (!triggerMap.has(pattern)) triggerMap.set(pattern, new Set());
+    for (const r of roots) triggerMap.get(pattern).add(r);
+  };
+
+  for (const t of existingTriggers) {
+    if (!t || !t.pattern || t.generated || t.pattern.startsWith(ENV_DIR + '/')) continue;
+    const roots = (Array.isArray(t.roots) ? t.roots : []).filter(r => known.has(r));
+    if (roots.length === 0) continue;
+    add(t.pattern, roots);
+    handWritten.add(t.pattern);
+  }
 
-  logger.info(`Found ${roots.length} Terraform roots. Starting analysis...`);
+  const envFiles = new Set();
+  for (const res of results) {
+    const envFile = `${ENV_DIR}/${res.root}/.env`;
+    add(envFile, [res.root]);
+    envFiles.add(envFile);
+    for (const file of res.files || []) {
+      add(file, [res.root]);
+    }
+  }
+
+  return Array.from(triggerMap.keys()).sort().map(pattern => {
+    const trigger = { pattern, roots: Array.from(triggerMap.get(pattern)).sort() };
+    // A hand-written trigger for the same file stays hand-written, so its roots are kept
+    if (!handWritten.has(pattern) && !envFiles.has(pattern)) trigger.generated = true;
+    return trigger;
+  });
+}
+
+/**
+ * Builds the `.tfdeps.json` content from analysis results.
+ * Hand-written triggers, `dependencyOverrides` and `labels` are taken from the current graph;
+ * `labels` are applied to `dirs[].tags` and `dirs[].group`.
+ * @param {Array<object>} results - Successful analysis results.
+ * @param {object} [existing] - The current `.tfdeps.json` content.
+ * @param {string[]} [logs] - Array to accumulate warnings.
+ * @returns {object} - Dependency graph data.
+ */
+export function buildDepsData(results, existing = {}, logs = []) {
+  const sorted = [...results].sort((a, b) => a.root.localeCompare(b.root));
+  const moduleUsage = {};
+  const moduleConsumers = {};
+
+  for (const res of sorted) {
+    for (const mod of res.modules || []) {
+      if (!moduleUsage[mod]) moduleUsage[mod] = new Set();
+      moduleUsage[mod].add(res.root);
+    }
+    for (const [parent, children] of Object.entries(res.moduleEdges || {})) {
+      for (const child of children) {
+        if (!moduleConsumers[child]) moduleConsumers[child] = new Set();
+        moduleConsumers[child].add(parent);
+      }
+    }
+  }
 
-  // Running in parallel might be heavy if there are many roots (init runs concurrent)
-  // But for now, let's keep it parallel as per original implementation logic (implied).
-  const promises = roots.map(r => analyzeRoot(r, workspaceRoot, repoName));
-  const results = await Promise.all(promises);
+  const rootDependencies = buildRootDependencies(sorted, existing.dependencyOverrides || {}, logs);
+  const allModules = new Set([...Object.keys(moduleUsage), ...Object.keys(moduleConsumers)]);
 
-  return { results, roots };
+  const data = {
+    version: DEPS_SCHEMA_VERSION,
+    dirs: sorted.map(res => {
+      const dir = { path: res.root, providers: res.providers };
+      if (rootDependencies[res.root]) dir.dependsOn = rootDependencies[res.root];
+      if (res.stale) dir.stale = true;
+      const { tags, groups } = resolveLabels(res.root, existing.labels);
+      if (tags.length > 0) dir.tags = tags;
+      if (groups.length > 0) dir.group = groups[0];
+      return dir;
+    }),
+    modules: Array.from(allModules).sort().map(mod => {
+      const entry = {
+        source: mod,
+        usedIn: Array.from(moduleUsage[mod] || []).sort()
+      };
+      if (moduleConsumers[mod]) {
+        entry.usedInModules = Array.from(moduleConsumers[mod]).sort();
+      }
+      return entry;
+    }),
+    triggers: buildTriggers(sorted, existing.triggers || [])
+  };
+  if (existing.dependencyOverrides) {
+    data.dependencyOverrides = existing.dependencyOverrides;
+  }
+  if (existing.labels) {
+    data.labels = existing.labels;
+  }
+  return data;
 }
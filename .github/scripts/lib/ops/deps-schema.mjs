@@ -0,0 +1,314 @@
+import { loadJson } from '../utils.mjs';
+import { isGlob, matchGlob } from '../glob.mjs';
+
+export const DEPS_FILE = '.tfdeps.json';
+
+/**
+ * Current version of the `.tfdeps.json` format. Files written before the
+ * `version` field existed are treated as version 0.
+ */
+export const DEPS_SCHEMA_VERSION = 1;
+
+/**
+ * Migrations from each version to the next one.
+ * @type {Object<number, (data: object) => object>}
+ */
+const MIGRATIONS = {
+  // 0 -> 1: add `version`, make the top-level lists explicit
+  0: (data) => {
+    const { version, dirs, modules, triggers, ...rest } = data;
+    return {
+      version: 1,
+      dirs: dirs ?? [],
+      modules: modules ?? [],
+      triggers: triggers ?? [],
+      ...rest
+    };
+  }
+};
+
+/**
+ * Returns the version of a dependency graph (0 when the field is missing).
+ * @param {object} data
+ * @returns {number}
+ */
+export function getDepsVersion(data) {
+  return data?.version === undefined ? 0 : data.version;
+}
+
+/**
+ * Upgrades a dependency graph to the current version. The input is not modified.
+ * @param {object} data - Dependency graph data.
+ * @param {string} [source] - Name used in error messages.
+ * @returns {object} - Dependency graph data at DEPS_SCHEMA_VERSION.
+ * @throws {Error} If the version is unknown or newer than supported.
+ */
+export function migrateDepsData(data, source = DEPS_FILE) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid dependency graph in ${source}: expected an object`);
+  }
+  let version = getDepsVersion(data);
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Invalid dependency graph in ${source}:\n- version: expected a non-negative integer`);
+  }
+  if (version > DEPS_SCHEMA_VERSION) {
+    throw new Error(
+      `${source} has version ${version}, but this tool supports up to version ${DEPS_SCHEMA_VERSION}. Update the scripts.`
+    );
+  }
+
+  let migrated = data;
+  while (version < DEPS_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.version;
+  }
+  return migrated;
+}
+
+/**
+ * Validates the structure and the references of a dependency graph.
+ * @param {object} data - Dependency graph data at DEPS_SCHEMA_VERSION.
+ * @param {string} [source] - Name used in error messages.
+ * @throws {Error} Listing every problem with its location (e.g. `modules[2].usedIn[0]`).
+ */
+export function validateDepsData(data, source = DEPS_FILE) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid dependency graph in ${source}: expected an object`);
+  }
+
+  const errors = [];
+  if (data.version !== DEPS_SCHEMA_VERSION) {
+    errors.push(`version: expected ${DEPS_SCHEMA_VERSION}`);
+  }
+
+  // Roots
+  const roots = new Map(); // path -> index
+  const dirs = checkList(data.dirs, 'dirs', errors);
+  dirs.forEach((dir, i) => {
+    const at = `dirs[${i}]`;
+    if (!checkObject(dir, at, errors)) return;
+    if (checkPath(dir.path, `${at}.path`, errors)) {
+      if (roots.has(dir.path)) {
+        errors.push(`${at}.path: duplicate root "${dir.path}" (also dirs[${roots.get(dir.path)}])`);
+      } else {
+        roots.set(dir.path, i);
+      }
+    }
+    if (dir.providers !== undefined) checkStrings(dir.providers, `${at}.providers`, errors);
+    if (dir.stale !== undefined && typeof dir.stale !== 'boolean') errors.push(`${at}.stale: expected a boolean`);
+    if (dir.tags !== undefined) {
+      checkStrings(dir.tags, `${at}.tags`, errors).forEach((tag, j) => checkLabel(tag, `${at}.tags[${j}]`, errors));
+    }
+    if (dir.group !== undefined) checkLabel(dir.group, `${at}.group`, errors);
+  });
+  dirs.forEach((dir, i) => {
+    if (!dir || dir.dependsOn === undefined) return;
+    const at = `dirs[${i}].dependsOn`;
+    checkStrings(dir.dependsOn, at, errors).forEach((dep, j) => {
+      if (dep === dir.path) errors.push(`${at}[${j}]: root depends on itself`);
+      else if (!roots.has(dep)) errors.push(`${at}[${j}]: unknown root "${dep}"`);
+    });
+  });
+
+  // Modules
+  const modules = new Map(); // source -> index
+  const moduleList = checkList(data.modules, 'modules', errors);
+  moduleList.forEach((mod, i) => {
+    const at = `modules[${i}]`;
+    if (!checkObject(mod, at, errors)) return;
+    if (checkPath(mod.source, `${at}.source`, errors)) {
+      if (modules.has(mod.source)) {
+        errors.push(`${at}.source: duplicate module "${mod.source}" (also modules[${modules.get(mod.source)}])`);
+      } else {
+        modules.set(mod.source, i);
+      }
+    }
+  });
+  moduleList.forEach((mod, i) => {
+    if (!mod || typeof mod !== 'object') return;
+    const at = `modules[${i}]`;
+    const usedIn = checkStrings(mod.usedIn, `${at}.usedIn`, errors);
+    usedIn.forEach((root, j) => {
+      if (!roots.has(root)) errors.push(`${at}.usedIn[${j}]: unknown root "${root}"`);
+    });
+    if (mod.usedInModules !== undefined) {
+      checkStrings(mod.usedInModules, `${at}.usedInModules`, errors).forEach((parent, j) => {
+        if (!modules.has(parent)) errors.push(`${at}.usedInModules[${j}]: unknown module "${parent}"`);
+      });
+    }
+    if (typeof mod.source !== 'string') return;
+
+    // A change inside a root only plans that root, so a module that is a root
+    // (or lives in one) would never reach its other consumers
+    for (const root of roots.keys()) {
+      if (mod.source === root) {
+        errors.push(`${at}.source: "${mod.source}" is also a root`);
+      } else if (mod.source.startsWith(root + '/') && usedIn.some(r => r !== root)) {
+        errors.push(`${at}.source: "${mod.source}" is inside root "${root}" but used by other roots`);
+      }
+    }
+  });
+
+  // Triggers
+  if (data.triggers !== undefined) {
+    checkList(data.triggers, 'triggers', errors).forEach((trigger, i) => {
+      const at = `triggers[${i}]`;
+      if (!checkObject(trigger, at, errors)) return;
+      if (typeof trigger.pattern !== 'string' || trigger.pattern === '') {
+        errors.push(`${at}.pattern: expected a non-empty string`);
+      }
+      checkStrings(trigger.roots, `${at}.roots`, errors).forEach((root, j) => {
+        if (!roots.has(root)) errors.push(`${at}.roots[${j}]: unknown root "${root}"`);
+      });
+      if (trigger.generated !== undefined && typeof trigger.generated !== 'boolean') {
+        errors.push(`${at}.generated: expected a boolean`);
+      }
+    });
+  }
+
+  // Dependency overrides
+  const overrides = data.dependencyOverrides;
+  if (overrides !== undefined) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      errors.push('dependencyOverrides: expected an object');
+    } else {
+      for (const [root, override] of Object.entries(overrides)) {
+        const at = `dependencyOverrides["${root}"]`;
+        if (!roots.has(root)) errors.push(`${at}: unknown root "${root}"`);
+        if (!checkObject(override, at, errors)) continue;
+        for (const key of ['add', 'remove']) {
+          if (override[key] === undefined) continue;
+          checkStrings(override[key], `${at}.${key}`, errors).forEach((dep, j) => {
+            if (!roots.has(dep)) errors.push(`${at}.${key}[${j}]: unknown root "${dep}"`);
+          });
+        }
+      }
+    }
+  }
+
+  // Labels
+  const labels = data.labels;
+  if (labels !== undefined && checkObject(labels, 'labels', errors)) {
+    for (const [pattern, label] of Object.entries(labels)) {
+      const at = `labels["${pattern}"]`;
+      if (!isGlob(pattern) && !roots.has(pattern)) errors.push(`${at}: unknown root "${pattern}"`);
+      if (!checkObject(label, at, errors)) continue;
+      if (label.tags !== undefined) {
+        checkStrings(label.tags, `${at}.tags`, errors).forEach((tag, j) => checkLabel(tag, `${at}.tags[${j}]`, errors));
+      }
+      if (label.group !== undefined) checkLabel(label.group, `${at}.group`, errors);
+    }
+    for (const root of roots.keys()) {
+      const { groups } = resolveLabels(root, labels);
+      if (groups.length > 1) errors.push(`labels: root "${root}" is in more than one group (${groups.join(', ')})`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid dependency graph in ${source}:\n- ${errors.join('\n- ')}`);
+  }
+}
+
+/**
+ * Upgrades and validates a dependency graph.
+ * @param {object} data - Dependency graph data as read from disk.
+ * @param {string} [source] - Name used in error messages.
+ * @returns {object} - Valid dependency graph data at DEPS_SCHEMA_VERSION.
+ */
+export function prepareDepsData(data, source = DEPS_FILE) {
+  const migrated = migrateDepsData(data, source);
+  validateDepsData(migrated, source);
+  return migrated;
+}
+
+/**
+ * Collects the tags and groups that the hand-written `labels` give a root.
+ * Keys of `labels` are root paths or glob patterns.
+ * @param {string} root - Root path.
+ * @param {Object<string, {tags?: string[], group?: string}>} [labels] - `labels` from `.tfdeps.json`.
+ * @returns {{tags: string[], groups: string[]}} - Sorted, without duplicates.
+ */
+export function resolveLabels(root, labels = {}) {
+  const tags = new Set();
+  const groups = new Set();
+  for (const [pattern, label] of Object.entries(labels)) {
+    if (!label || typeof label !== 'object') continue;
+    if (pattern !== root && !(isGlob(pattern) && matchGlob(root, pattern))) continue;
+    (Array.isArray(label.tags) ? label.tags : []).forEach(tag => tags.add(tag));
+    if (typeof label.group === 'string') groups.add(label.group);
+  }
+  return { tags: Array.from(tags).sort(), groups: Array.from(groups).sort() };
+}
+
+/**
+ * Returns the `tags` and `group` of a `dirs[]` entry, leaving out the ones that are not set.
+ * @param {{tags?: string[], group?: string}} dir
+ * @returns {{tags?: string[], group?: string}}
+ */
+export function pickLabels(dir) {
+  const picked = {};
+  if (dir?.tags?.length > 0) picked.tags = dir.tags;
+  if (dir?.group) picked.group = dir.group;
+  return picked;
+}
+
+/**
+ * Loads, upgrades and validates a dependency graph file.
+ * @param {string} path - Path to the dependency graph file.
+ * @returns {Promise<object>} - Valid dependency graph data at DEPS_SCHEMA_VERSION.
+ */
+export async function loadDepsData(path) {
+  return prepareDepsData(await loadJson(path), path);
+}
+
+function checkList(value, at, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`${at}: expected an array`);
+    return [];
+  }
+  return value;
+}
+
+function checkObject(value, at, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${at}: expected an object`);
+    return false;
+  }
+  return true;
+}
+
+function checkPath(value, at, errors) {
+  if (typeof value !== 'string' || value === '') {
+    errors.push(`${at}: expected a non-empty string`);
+    return false;
+  }
+  if (value.startsWith('/') || value.endsWith('/')) {
+    errors.push(`${at}: expected a relative path without leading or trailing "/"`);
+    return false;
+  }
+  return true;
+}
+
+// Tags and groups are used in target selectors (`@prod`, `tag:team:data`)
+function checkLabel(value, at, errors) {
+  if (typeof value !== 'string' || !/^[\w.:-]+$/.test(value)) {
+    errors.push(`${at}: expected a name of letters, digits, "_", ".", ":" or "-"`);
+  }
+}
+
+/**
+ * Checks that a value is an array of strings.
+ * @returns {string[]} - The strings found (empty when the value is not an array).
+ */
+function checkStrings(value, at, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`${at}: expected an array`);
+    return [];
+  }
+  const strings = [];
+  value.forEach((item, i) => {
+    if (typeof item === 'string') strings.push(item);
+    else errors.push(`${at}[${i}]: expected a string`);
+  });
+  return strings;
+}
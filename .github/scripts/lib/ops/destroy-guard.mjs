@@ -0,0 +1,113 @@
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { exists } from '../utils.mjs';
+import { parsePlanJson } from '../plan-parser.mjs';
+import { findPlanArtifacts } from './plan-verifier.mjs';
+
+const DEFAULT_OVERRIDE_HINT =
+  'To proceed, re-run with `--allow-destroy` (e.g. `$terraform apply <targets> --allow-destroy`) or get an approving review from a second person.';
+
+/**
+ * Checks whether a resource address matches a protected pattern.
+ * `*` matches any characters, including dots. Patterns are matched against the
+ * full address and against the address without its `module.` prefix, so
+ * `aws_db_instance.*` also protects `module.db.aws_db_instance.main`.
+ * @param {string} pattern - e.g. `aws_db_instance.*`, `*.prod_*`.
+ * @param {string} address - Resource address from the plan.
+ * @returns {boolean}
+ */
+export function matchResourceAddress(pattern, address) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  const regex = new RegExp(`^${source}$`);
+  const localAddress = address.replace(/^(?:module\.[^.[]+(?:\[[^\]]*\])?\.)+/, '');
+  return regex.test(address) || regex.test(localAddress);
+}
+
+/**
+ * Finds deletions and replacements of protected resources in a plan.
+ * @param {object} plan - Model returned by parsePlanJson.
+ * @param {string[]} patterns - Protected resource patterns.
+ * @returns {Array<{address: string, action: string}>}
+ */
+export function findProtectedChanges(plan, patterns) {
+  return plan.resources
+    .filter(r => r.action === 'delete' || r.action === 'replace')
+    .filter(r => patterns.some(p => matchResourceAddress(p, r.address)))
+    .map(r => ({ address: r.address, action: r.action }));
+}
+
+/**
+ * Loads saved plans from a directory of plan artifacts.
+ * Each artifact directory contains an `info.json` with the root `path` and a `plan.json`.
+ * @param {string} dir - Directory holding downloaded artifacts.
+ * @returns {Promise<Map<string, object>>} - Root path -> plan model.
+ */
+export async function loadSavedPlans(dir) {
+  const plans = new Map();
+  for (const [path, artifact] of await findPlanArtifacts(dir)) {
+    const planFile = join(artifact.dir, 'plan.json');
+    if (await exists(planFile)) {
+      plans.set(path, parsePlanJson(await readFile(planFile, 'utf-8')));
+    }
+  }
+  return plans;
+}
+
+/**
+ * Checks the saved plan of every target for destructive changes to protected resources.
+ * Targets without a saved plan are blocked, since their changes are unknown.
+ * @param {string[]} targets - Root paths.
+ * @param {Map<string, object>} plans - Root path -> plan model.
+ * @param {string[]} patterns - Protected resource patterns.
+ * @returns {Array<{path: string, reason: string, addresses: string[]}>} - Blocked targets.
+ */
+export function checkDestructiveChanges(targets, plans, patterns) {
+  if (!patterns || patterns.length === 0) return [];
+
+  const blocked = [];
+  for (const target of targets) {
+    const plan = plans.get(target);
+    if (!plan) {
+      blocked.push({
+        path: target,
+        reason: 'No saved plan found. Run `$terraform plan` first.',
+        addresses: []
+      });
+      continue;
+    }
+    const changes = findProtectedChanges(plan, patterns);
+    if (changes.length > 0) {
+      blocked.push({
+        path: target,
+        reason: 'Plan deletes or replaces protected resources.',
+        addresses: changes.map(c => `${c.address} (${c.action})`)
+      });
+    }
+  }
+  return blocked;
+}
+
+/**
+ * Formats blocked targets as a Markdown message.
+ * @param {Array<{path: string, reason: string, addresses: string[]}>} blocked
+ * @param {string} [hint] - How to override the guardrail.
+ * @returns {string}
+ */
+export function formatBlocked(blocked, hint = DEFAULT_OVERRIDE_HINT) {
+  const lines = [];
+  for (const b of blocked) {
+    lines.push(`- \`${b.path}\`: ${b.reason}`);
+    for (const address of b.addresses) {
+      lines.push(`  - \`${address}\``);
+    }
+  }
+  return [
+    '`apply` was refused by the destructive-change guardrail:',
+    ...lines,
+    '',
+    hint
+  ].join('\n');
+}
@@ -0,0 +1,135 @@
+/**
+ * Number of wave jobs (`wave-0` ... `wave-7`) defined by the PRComment and ManualOps workflows.
+ */
+export const MAX_WAVES = 8;
+
+/**
+ * Builds the root -> dependencies map from the `dirs[].dependsOn` edges of the dependency graph.
+ * @param {Object} depsData - The dependency graph data.
+ * @returns {Map<string, string[]>}
+ */
+export function buildDependsOnMap(depsData) {
+  const map = new Map();
+  for (const d of (depsData.dirs || [])) {
+    if (d.path) map.set(d.path, d.dependsOn || []);
+  }
+  return map;
+}
+
+/**
+ * Finds a dependency cycle between roots.
+ * @param {Map<string, string[]>} dependsOnMap - Root -> dependencies.
+ * @returns {string[]|null} - The cycle (first root repeated at the end), or null.
+ */
+export function findCycle(dependsOnMap) {
+  const state = new Map(); // undefined: unvisited, 1: in progress, 2: done
+  const stack = [];
+
+  function visit(node) {
+    state.set(node, 1);
+    stack.push(node);
+    for (const dep of dependsOnMap.get(node) || []) {
+      if (state.get(dep) === 1) {
+        return [...stack.slice(stack.indexOf(dep)), dep];
+      }
+      if (!state.has(dep)) {
+        const cycle = visit(dep);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state.set(node, 2);
+    return null;
+  }
+
+  for (const node of Array.from(dependsOnMap.keys()).sort()) {
+    if (!state.has(node)) {
+      const cycle = visit(node);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+/**
+ * Groups roots into execution waves. Every root runs after all roots it depends on,
+ * directly or through roots that are not selected.
+ * @param {string[]} paths - Selected root paths.
+ * @param {Object} depsData - The dependency graph data.
+ * @returns {string[][]} - Waves in execution order, each sorted by path.
+ * @throws {Error} If the dependency graph has a cycle.
+ */
+export function computeWaves(paths, depsData) {
+  const dependsOnMap = buildDependsOnMap(depsData);
+  const cycle = findCycle(dependsOnMap);
+  if (cycle) {
+    throw new Error(`Dependency cycle detected: ${cycle.join(' -> ')}`);
+  }
+
+  const selected = new Set(paths);
+  const levels = new Map();
+
+  // Number of selected roots that must run before the node
+  function level(node) {
+    if (levels.has(node)) return levels.get(node);
+    let max = 0;
+    for (const dep of dependsOnMap.get(node) || []) {
+      max = Math.max(max, level(dep) + (selected.has(dep) ? 1 : 0));
+    }
+    levels.set(node, max);
+    return max;
+  }
+
+  const waves = [];
+  for (const path of selected) {
+    const wave = level(path);
+    while (waves.length <= wave) waves.push([]);
+    waves[wave].push(path);
+  }
+  return waves.filter(w => w.length > 0).map(w => w.sort());
+}
+
+/**
+ * Adds a `wave` index to every target and sorts them in execution order.
+ * @param {Array<{path: string}>} targets - Matrix entries.
+ * @param {Object} depsData - The dependency graph data.
+ * @returns {Array<{path: string, wave: number}>}
+ */
+export function assignWaves(targets, depsData) {
+  const waves = computeWaves(targets.map(t => t.path), depsData);
+  const waveOf = new Map();
+  waves.forEach((paths, i) => {
+    for (const p of paths) waveOf.set(p, i);
+  });
+
+  return sortByWave(targets.map(t => ({ ...t, wave: waveOf.get(t.path) })));
+}
+
+/**
+ * Reverses the execution order of targets returned by assignWaves,
+ * so dependents run first (e.g. for destroy).
+ * @param {Array<{path: string, wave: number}>} targets
+ * @returns {Array<{path: string, wave: number}>}
+ */
+export function reverseWaves(targets) {
+  if (!targets.every(t => Number.isInteger(t.wave))) return targets;
+  const last = Math.max(...targets.map(t => t.wave));
+  return sortByWave(targets.map(t => ({ ...t, wave: last - t.wave })));
+}
+
+/**
+ * Checks that targets fit in the wave jobs of the workflows.
+ * @param {Array<{wave?: number}>} targets - Matrix entries.
+ * @param {number} [maxWaves] - Number of wave jobs (Default: MAX_WAVES).
+ * @throws {Error} If the targets need more waves.
+ */
+export function checkWaveCount(targets, maxWaves = MAX_WAVES) {
+  const count = Math.max(0, ...targets.map(t => (Number.isInteger(t.wave) ? t.wave + 1 : 1)));
+  if (count > maxWaves) {
+    throw new Error(`The targets need ${count} waves of dependent roots, but at most ${maxWaves} can run at once. Select fewer roots.`);
+  }
+}
+
+function sortByWave(targets) {
+  return targets.sort((a, b) => a.wave - b.wave || a.path.localeCompare(b.path));
+}
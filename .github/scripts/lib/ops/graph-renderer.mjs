@@ -0,0 +1,181 @@
+import { suggestNames } from '../suggest.mjs';
+
+export const GRAPH_FORMATS = ['dot', 'mermaid', 'json'];
+
+/**
+ * Builds a graph of roots and modules from the dependency graph data.
+ * Edges point from the consumer to what it needs: root -> module and module -> nested
+ * module (`uses`), and root -> root (`dependsOn`).
+ * @param {Object} depsData - The dependency graph data.
+ * @returns {{nodes: Map<string, {id: string, type: string}>, edges: Array<{from: string, to: string, type: string}>}}
+ */
+export function buildGraph(depsData) {
+  const nodes = new Map();
+  const edges = [];
+
+  for (const dir of depsData.dirs || []) {
+    nodes.set(dir.path, { id: dir.path, type: 'root' });
+  }
+  for (const mod of depsData.modules || []) {
+    if (!nodes.has(mod.source)) nodes.set(mod.source, { id: mod.source, type: 'module' });
+  }
+  for (const dir of depsData.dirs || []) {
+    for (const dep of dir.dependsOn || []) {
+      edges.push({ from: dir.path, to: dep, type: 'dependsOn' });
+    }
+  }
+  for (const mod of depsData.modules || []) {
+    for (const root of mod.usedIn || []) {
+      edges.push({ from: root, to: mod.source, type: 'uses' });
+    }
+    for (const parent of mod.usedInModules || []) {
+      edges.push({ from: parent, to: mod.source, type: 'uses' });
+    }
+  }
+
+  edges.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+  return { nodes, edges };
+}
+
+/**
+ * Keeps the neighborhood of a node: what it needs (upstream) and what needs it
+ * (downstream), directly or transitively.
+ * @param {{nodes: Map, edges: Array}} graph - Graph returned by buildGraph.
+ * @param {string} focus - Root or module path.
+ * @param {number} [depth] - Maximum number of edges from the focus (Default: unlimited).
+ * @returns {{nodes: Map, edges: Array, focus: string}}
+ * @throws {Error} If the focus is not in the graph.
+ */
+export function focusGraph(graph, focus, depth = Infinity) {
+  const id = focus.replace(/\/$/, '');
+  if (!graph.nodes.has(id)) {
+    const suggestions = suggestNames(id, Array.from(graph.nodes.keys()));
+    const hint = suggestions.length > 0 ? ` (did you mean ${suggestions.join(', ')}?)` : '';
+    throw new Error(`Unknown root or module: ${focus}${hint}`);
+  }
+
+  const kept = new Set([id]);
+  const walk = (next) => {
+    let frontier = [id];
+    const seen = new Set([id]);
+    for (let level = 0; level < depth && frontier.length > 0; level++) {
+      const following = [];
+      for (const node of frontier) {
+        for (const neighbor of next(node)) {
+          if (seen.has(neighbor)) continue;
+          seen.add(neighbor);
+          kept.add(neighbor);
+          following.push(neighbor);
+        }
+      }
+      frontier = following;
+    }
+  };
+  walk((node) => graph.edges.filter(e => e.from === node).map(e => e.to));
+  walk((node) => graph.edges.filter(e => e.to === node).map(e => e.from));
+
+  return {
+    nodes: new Map(Array.from(graph.nodes).filter(([node]) => kept.has(node))),
+    edges: graph.edges.filter(e => kept.has(e.from) && kept.has(e.to)),
+    focus: id
+  };
+}
+
+function sortedNodes(graph) {
+  return Array.from(graph.nodes.values()).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Renders a graph as Graphviz DOT.
+ * @param {{nodes: Map, edges: Array, focus?: string}} graph
+ * @returns {string}
+ */
+export function toDot(graph) {
+  const quote = (s) => `"${s.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = ['digraph tfdeps {', '  rankdir=LR;', '  node [fontname="Helvetica"];'];
+
+  for (const node of sortedNodes(graph)) {
+    const attrs = [node.type === 'root' ? 'shape=box' : 'shape=ellipse'];
+    if (node.id === graph.focus) attrs.push('penwidth=3');
+    lines.push(`  ${quote(node.id)} [${attrs.join(', ')}];`);
+  }
+  for (const edge of graph.edges) {
+    const attrs = edge.type === 'dependsOn' ? ' [style=dashed, label="dependsOn"]' : '';
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${attrs};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Renders a graph as a Mermaid flowchart.
+ * Roots are boxes, modules are rounded, and `dependsOn` edges are dotted.
+ * @param {{nodes: Map, edges: Array, focus?: string}} graph
+ * @returns {string}
+ */
+export function toMermaid(graph) {
+  const nodes = sortedNodes(graph);
+  const ids = new Map(nodes.map((node, i) => [node.id, `n${i}`]));
+  const label = (s) => `"${s.replace(/"/g, '#quot;')}"`;
+  const lines = ['flowchart LR'];
+
+  for (const node of nodes) {
+    const id = ids.get(node.id);
+    lines.push(node.type === 'root' ? `  ${id}[${label(node.id)}]` : `  ${id}([${label(node.id)}])`);
+  }
+  for (const edge of graph.edges) {
+    const arrow = edge.type === 'dependsOn' ? '-.->|dependsOn|' : '-->';
+    lines.push(`  ${ids.get(edge.from)} ${arrow} ${ids.get(edge.to)}`);
+  }
+  if (graph.focus) {
+    lines.push(`  style ${ids.get(graph.focus)} stroke-width:3px`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Renders a graph as adjacency JSON. Each node lists its edges in both directions.
+ * @param {{nodes: Map, edges: Array, focus?: string}} graph
+ * @returns {{focus: string|null, nodes: Object<string, {type: string, uses: string[], usedBy: string[], dependsOn: string[], dependents: string[]}>}}
+ */
+export function toAdjacency(graph) {
+  const nodes = {};
+  for (const node of sortedNodes(graph)) {
+    nodes[node.id] = { type: node.type, uses: [], usedBy: [], dependsOn: [], dependents: [] };
+  }
+  for (const edge of graph.edges) {
+    if (edge.type === 'uses') {
+      nodes[edge.from].uses.push(edge.to);
+      nodes[edge.to].usedBy.push(edge.from);
+    } else {
+      nodes[edge.from].dependsOn.push(edge.to);
+      nodes[edge.to].dependents.push(edge.from);
+    }
+  }
+  for (const node of Object.values(nodes)) {
+    node.usedBy.sort();
+    node.dependents.sort();
+  }
+  return { focus: graph.focus || null, nodes };
+}
+
+/**
+ * Renders a graph in one of GRAPH_FORMATS.
+ * @param {{nodes: Map, edges: Array, focus?: string}} graph
+ * @param {string} format
+ * @returns {string}
+ */
+export function renderGraph(graph, format) {
+  switch (format) {
+    case 'dot':
+      return toDot(graph);
+    case 'mermaid':
+      return toMermaid(graph);
+    case 'json':
+      return JSON.stringify(toAdjacency(graph), null, 2);
+    default:
+      throw new Error(`Unknown format: ${format} (expected ${GRAPH_FORMATS.join(', ')})`);
+  }
+}
@@ -0,0 +1,128 @@
+import { createHash } from 'node:crypto';
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { exists } from '../utils.mjs';
+
+export const PLAN_FILE = 'tfplan';
+export const LOCK_FILE = '.terraform.lock.hcl';
+export const DEFAULT_MAX_AGE_HOURS = 24;
+
+/**
+ * Computes the SHA-256 checksum of a file.
+ * @param {string} path
+ * @returns {Promise<string|null>} - Hex digest, or null if the file does not exist.
+ */
+export async function hashFile(path) {
+  if (!(await exists(path))) return null;
+  return createHash('sha256').update(await readFile(path)).digest('hex');
+}
+
+/**
+ * Finds plan artifacts in a directory.
+ * Every directory containing an `info.json` with a root `path` is an artifact.
+ * @param {string} dir - Directory holding downloaded artifacts.
+ * @returns {Promise<Map<string, {dir: string, info: object}>>} - Root path -> artifact.
+ */
+export async function findPlanArtifacts(dir) {
+  const artifacts = new Map();
+  if (!dir || !(await exists(dir))) return artifacts;
+
+  async function walk(current) {
+    const entries = await readdir(current, { withFileTypes: true });
+    if (entries.some(e => e.isFile() && e.name === 'info.json')) {
+      const info = JSON.parse(await readFile(join(current, 'info.json'), 'utf-8'));
+      if (info.path) {
+        artifacts.set(info.path, { dir: current, info });
+      }
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory()) await walk(join(current, entry.name));
+    }
+  }
+
+  await walk(dir);
+  return artifacts;
+}
+
+/**
+ * Verifies that a stored plan can be applied.
+ * The plan stage records a fingerprint in `info.json`:
+ * `{ root, headSha, lockfileHash, planChecksum, createdAt }`.
+ * @param {string} target - Root path.
+ * @param {{dir: string, info: object}|undefined} artifact - Artifact returned by findPlanArtifacts.
+ * @param {object} options
+ * @param {string} options.headSha - Current PR head SHA.
+ * @param {string} [options.workspaceRoot] - Checkout used to hash the current lockfile. Skipped when omitted.
+ * @param {number} [options.maxAgeHours] - Plans older than this are expired.
+ * @param {Date} [options.now]
+ * @returns {Promise<string|null>} - Reason the plan is stale, or null if it is valid.
+ */
+export async function verifyPlan(target, artifact, { headSha, workspaceRoot, maxAgeHours = DEFAULT_MAX_AGE_HOURS, now = new Date() }) {
+  if (!artifact) return 'No saved plan found.';
+
+  const { info, dir } = artifact;
+  const fingerprint = info.fingerprint;
+  if (!fingerprint) return 'Saved plan has no fingerprint.';
+  if (info.outcome && info.outcome !== 'success') return `Saved plan did not succeed (${info.outcome}).`;
+  if (fingerprint.root !== target) return `Saved plan is for \`${fingerprint.root}\`.`;
+
+  if (fingerprint.headSha !== headSha) {
+    return `Saved plan was created for ${short(fingerprint.headSha)}, but the PR head is ${short(headSha)}.`;
+  }
+
+  const createdAt = new Date(fingerprint.createdAt);
+  if (isNaN(createdAt.getTime())) return 'Saved plan has no valid creation time.';
+  const ageHours = (now.getTime() - createdAt.getTime()) / 3_600_000;
+  if (ageHours > maxAgeHours) {
+    return `Saved plan expired (created ${Math.floor(ageHours)} hours ago, limit is ${maxAgeHours} hours).`;
+  }
+
+  if (workspaceRoot) {
+    const lockfileHash = await hashFile(join(workspaceRoot, target, LOCK_FILE));
+    if ((lockfileHash || null) !== (fingerprint.lockfileHash || null)) {
+      return `\`${LOCK_FILE}\` has changed since the plan was created.`;
+    }
+  }
+
+  const planChecksum = await hashFile(join(dir, PLAN_FILE));
+  if (!planChecksum) return `Saved plan file \`${PLAN_FILE}\` is missing.`;
+  if (planChecksum !== fingerprint.planChecksum) return 'Saved plan file does not match its checksum.';
+
+  return null;
+}
+
+/**
+ * Verifies the stored plans of every target.
+ * @param {string[]} targets - Root paths.
+ * @param {string} plansDir - Directory holding downloaded plan artifacts.
+ * @param {object} options - Options passed to verifyPlan.
+ * @returns {Promise<Array<{path: string, reason: string}>>} - Stale targets.
+ */
+export async function verifyPlans(targets, plansDir, options) {
+  const artifacts = await findPlanArtifacts(plansDir);
+  const stale = [];
+  for (const target of targets) {
+    const reason = await verifyPlan(target, artifacts.get(target), options);
+    if (reason) stale.push({ path: target, reason });
+  }
+  return stale;
+}
+
+/**
+ * Formats stale targets as a Markdown message.
+ * @param {Array<{path: string, reason: string}>} stale
+ * @returns {string}
+ */
+export function formatStale(stale) {
+  const lines = stale.map(s => `- \`${s.path}\`: ${s.reason}`);
+  return [
+    'Refusing to apply because the reviewed plan is missing or stale:',
+    ...lines,
+    '',
+    'Re-run `$terraform plan` and apply again.'
+  ].join('\n');
+}
+
+function short(sha) {
+  return sha ? `\`${String(sha).slice(0, 7)}\`` : '(unknown)';
+}
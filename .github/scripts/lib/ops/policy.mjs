@@ -0,0 +1,278 @@
+import { loadJson } from '../utils.mjs';
+import { globToRegExp } from '../glob.mjs';
+
+export const POLICY_FILE = '.tfpolicy.json';
+
+const DEFAULT_BUSINESS_HOURS = {
+  timeZone: 'UTC',
+  days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  start: '09:00',
+  end: '18:00'
+};
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Builds a policy equivalent to the legacy `APPLIERS` / `DESTROYERS` variables.
+ * Everybody can plan, appliers can apply, destroyers can destroy.
+ * @param {{appliers?: string[], destroyers?: string[]}} [legacy]
+ * @returns {object} - Policy object.
+ */
+export function buildLegacyPolicy({ appliers = [], destroyers = [] } = {}) {
+  return {
+    roles: {
+      planner: { members: ['*'], commands: ['plan'], paths: ['**'] },
+      applier: { members: appliers, commands: ['plan', 'apply'], paths: ['**'] },
+      destroyer: { members: destroyers, commands: ['destroy'], paths: ['**'] }
+    },
+    deny: []
+  };
+}
+
+/**
+ * Reads the legacy role lists from the `APPLIERS` / `DESTROYERS` variables (JSON arrays).
+ * @param {object} env - Environment variables.
+ * @returns {{appliers: string[], destroyers: string[]}}
+ */
+export function legacyRolesFromEnv(env = process.env) {
+  const parse = (value) => {
+    try {
+      const list = JSON.parse(value || '[]');
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
+    }
+  };
+  return { appliers: parse(env.APPLIERS), destroyers: parse(env.DESTROYERS) };
+}
+
+/**
+ * Loads the policy file. Uses the legacy policy when no file is given.
+ * The workspace copy of `.tfpolicy.json` is never read: the workspace may be the code under
+ * review, so the caller passes a policy taken from a trusted ref (e.g. the default branch).
+ * @param {object} [options]
+ * @param {string} [options.policyFile] - Path to the trusted policy file.
+ * @param {{appliers?: string[], destroyers?: string[]}} [options.legacy] - Legacy role lists.
+ * @returns {Promise<object>} - Validated policy object.
+ */
+export async function loadPolicy({ policyFile, legacy } = {}) {
+  if (!policyFile) {
+    return buildLegacyPolicy(legacy);
+  }
+  const policy = await loadJson(policyFile);
+  validatePolicy(policy, policyFile);
+  return policy;
+}
+
+/**
+ * Validates the structure of a policy object.
+ * @param {object} policy
+ * @param {string} [source] - Name used in error messages.
+ * @throws {Error} If the policy is malformed.
+ */
+export function validatePolicy(policy, source = POLICY_FILE) {
+  const errors = [];
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error(`Invalid policy in ${source}: expected an object`);
+  }
+  if (policy.businessHours !== undefined) checkBusinessHours(policy.businessHours, errors);
+  const roleNames = policy.roles && typeof policy.roles === 'object' ? Object.keys(policy.roles) : [];
+  if (!policy.roles || typeof policy.roles !== 'object' || Array.isArray(policy.roles)) {
+    errors.push('roles: expected an object');
+  } else {
+    for (const [name, role] of Object.entries(policy.roles)) {
+      for (const key of ['members', 'commands', 'paths']) {
+        if (!Array.isArray(role?.[key])) errors.push(`roles.${name}.${key}: expected an array`);
+      }
+      if (role?.when !== undefined) checkWhen(role.when, `roles.${name}.when`, errors);
+    }
+  }
+  if (policy.deny !== undefined) {
+    if (!Array.isArray(policy.deny)) {
+      errors.push('deny: expected an array');
+    } else {
+      policy.deny.forEach((rule, i) => {
+        if (!Array.isArray(rule?.commands)) errors.push(`deny[${i}].commands: expected an array`);
+        for (const key of ['paths', 'members']) {
+          if (rule?.[key] !== undefined && !Array.isArray(rule[key])) errors.push(`deny[${i}].${key}: expected an array`);
+        }
+        if (!rule?.paths?.length && !rule?.members?.length) {
+          errors.push(`deny[${i}]: expected non-empty paths or members to select roots or actors`);
+        }
+        if (rule?.exceptRoles !== undefined) {
+          if (!Array.isArray(rule.exceptRoles)) {
+            errors.push(`deny[${i}].exceptRoles: expected an array`);
+          } else {
+            for (const name of rule.exceptRoles.filter(n => !roleNames.includes(n))) {
+              errors.push(`deny[${i}].exceptRoles: unknown role "${name}"`);
+            }
+          }
+        }
+        if (rule?.when !== undefined) checkWhen(rule.when, `deny[${i}].when`, errors);
+      });
+    }
+  }
+  if (policy.protectedResources !== undefined &&
+      (!Array.isArray(policy.protectedResources) || policy.protectedResources.some(p => typeof p !== 'string'))) {
+    errors.push('protectedResources: expected an array of strings');
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid policy in ${source}:\n- ${errors.join('\n- ')}`);
+  }
+}
+
+function checkBusinessHours(hours, errors) {
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    errors.push('businessHours: expected an object');
+    return;
+  }
+  if (hours.timeZone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: hours.timeZone });
+    } catch {
+      errors.push(`businessHours.timeZone: unknown time zone "${hours.timeZone}"`);
+    }
+  }
+  if (hours.days !== undefined &&
+      (!Array.isArray(hours.days) || hours.days.some(d => !WEEKDAYS.includes(d)))) {
+    errors.push(`businessHours.days: expected an array of ${WEEKDAYS.join(', ')}`);
+  }
+  for (const key of ['start', 'end']) {
+    if (hours[key] !== undefined && !TIME_PATTERN.test(hours[key])) {
+      errors.push(`businessHours.${key}: expected HH:MM between 00:00 and 23:59`);
+    }
+  }
+}
+
+function checkWhen(when, path, errors) {
+  if (when !== 'business-hours' && when !== 'outside-business-hours') {
+    errors.push(`${path}: expected "business-hours" or "outside-business-hours"`);
+  }
+}
+
+/**
+ * Checks whether a principal matches a member entry.
+ * Members are GitHub usernames, `team:<slug>` or `*`.
+ */
+function isMember(members, principal) {
+  const actor = (principal.actor || '').toLowerCase();
+  const teams = (principal.teams || []).map(t => t.toLowerCase());
+  return members.some(m => {
+    const member = String(m).toLowerCase();
+    if (member === '*') return true;
+    if (member.startsWith('team:')) return teams.includes(member.slice(5));
+    return member === actor;
+  });
+}
+
+function matchesPath(patterns, target) {
+  return patterns.some(p => globToRegExp(p).test(target));
+}
+
+/**
+ * Checks whether a date falls inside business hours.
+ * @param {Date} now
+ * @param {object} [hours] - `{ timeZone, days, start, end }`.
+ * @returns {boolean}
+ */
+export function isBusinessHours(now, hours = {}) {
+  const { timeZone, days, start, end } = { ...DEFAULT_BUSINESS_HOURS, ...hours };
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const get = (type) => parts.find(p => p.type === type).value;
+
+  const day = get('weekday').toLowerCase();
+  const time = `${get('hour')}:${get('minute')}`;
+  return days.includes(day) && time >= start && time < end;
+}
+
+function whenHolds(when, policy, now) {
+  if (!when) return true;
+  const inHours = isBusinessHours(now, policy.businessHours);
+  return when === 'business-hours' ? inHours : !inHours;
+}
+
+/**
+ * Evaluates the policy for a single target.
+ * A target is allowed when at least one of the principal's roles grants the
+ * command on the path, and no deny rule matches. Deny rules take precedence.
+ * @param {object} policy - Policy object.
+ * @param {{actor: string, teams?: string[]}} principal - The GitHub user and their team slugs.
+ * @param {string} command - Terraform command (`plan`, `apply`, ...).
+ * @param {string} target - Root path.
+ * @param {Date} [now] - Evaluation time.
+ * @returns {{allowed: boolean, reason: string}}
+ */
+export function evaluatePolicy(policy, principal, command, target, now = new Date()) {
+  const roles = Object.entries(policy.roles || {})
+    .filter(([, role]) => isMember(role.members, principal));
+
+  const grant = roles.find(([, role]) =>
+    role.commands.includes(command) &&
+    matchesPath(role.paths, target) &&
+    whenHolds(role.when, policy, now)
+  );
+
+  if (!grant) {
+    const roleNames = roles.map(([name]) => name).join(', ') || 'none';
+    return {
+      allowed: false,
+      reason: `No role grants \`${command}\` on this path (roles: ${roleNames}).`
+    };
+  }
+
+  for (const rule of policy.deny || []) {
+    if (rule.members && !isMember(rule.members, principal)) continue;
+    if (rule.exceptRoles && roles.some(([name]) => rule.exceptRoles.includes(name))) continue;
+    if (!rule.commands.includes(command)) continue;
+    if (rule.paths?.length && !matchesPath(rule.paths, target)) continue;
+    if (!whenHolds(rule.when, policy, now)) continue;
+    return {
+      allowed: false,
+      reason: rule.reason || (rule.paths?.length ? `Denied by policy for paths ${rule.paths.join(', ')}.` : 'Denied by policy.')
+    };
+  }
+
+  return { allowed: true, reason: `Granted by role \`${grant[0]}\`.` };
+}
+
+/**
+ * Authorizes every target individually.
+ * @param {object} policy - Policy object.
+ * @param {{actor: string, teams?: string[]}} principal
+ * @param {string} command
+ * @param {string[]} targets - Root paths.
+ * @param {Date} [now]
+ * @returns {{allowed: string[], denied: Array<{path: string, reason: string}>}}
+ */
+export function authorizeTargets(policy, principal, command, targets, now = new Date()) {
+  const allowed = [];
+  const denied = [];
+  for (const target of targets) {
+    const decision = evaluatePolicy(policy, principal, command, target, now);
+    if (decision.allowed) {
+      allowed.push(target);
+    } else {
+      denied.push({ path: target, reason: decision.reason });
+    }
+  }
+  return { allowed, denied };
+}
+
+/**
+ * Formats a denial as a Markdown message.
+ * @param {string} actor
+ * @param {string} command
+ * @param {Array<{path: string, reason: string}>} denied
+ * @returns {string}
+ */
+export function formatDenials(actor, command, denied) {
+  const lines = denied.map(d => `- \`${d.path}\`: ${d.reason}`);
+  return `@${actor} is not authorized to run \`${command}\` on the following targets:\n${lines.join('\n')}`;
+}
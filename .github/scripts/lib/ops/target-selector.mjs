@@ -1,61 +1,175 @@
 
+/**
+ * Checks whether a target is a tag or group selector (`@prod`, `tag:eu`).
+ * @param {string} target - Target without the `!` prefix.
+ * @returns {boolean}
+ */
+export function isSelector(target) {
+  return target.startsWith('@') || target.startsWith('tag:');
+}
+
+/**
+ * Checks whether targets contain glob patterns, selectors or negations.
+ * @param {string[]} targets - List of target paths.
+ * @returns {boolean}
+ */
+export function hasPatterns(targets) {
+  return targets.some(t => t.startsWith('!') || isGlob(t) || isSelector(t));
+}
+
 /**
  * Resolves a list of target paths against the dependency graph.
+ * A target is one of:
+ * - a root path, or the basename of exactly one root (`test1` for `environments/test1`),
+ * - a glob pattern (`environments/prod-*`, `environments/**`),
+ * - `@name`: roots whose `group` is `name` or that have the tag `name`,
+ * - `tag:name`: roots that have the tag `name`.
+ * Any of them prefixed with `!` removes the matching roots from the selection,
+ * wherever it appears in the list.
  * @param {string[]} targets - List of target paths.
  * @param {Object} depsData - The dependency graph data.
- * @returns {{includeList: Array<{path: string, providers: string[]}>, failedTargets: string[]}}
+ * @param {{exact?: boolean}} [options] - `exact` accepts only full root paths, never basenames (used by `destroy`).
+ * @returns {{
+ *   includeList: Array<{path: string, providers: string[], tags?: string[], group?: string}>,
+ *   failedTargets: string[],
+ *   resolved: Array<{target: string, path: string}>
+ * }} - `failedTargets` lists the targets that matched no root, `resolved` the basenames resolved to a root.
  */
-export function resolveTargets(targets, depsData) {
+export function resolveTargets(targets, depsData, { exact = false } = {}) {
   const dirsMap = new Map();
   for (const d of (depsData.dirs || [])) {
     if (d.path) {
-      dirsMap.set(d.path, d.providers || []);
+      dirsMap.set(d.path, d);
     }
   }
+  const paths = Array.from(dirsMap.keys()).sort();
+  const hasTag = (path, tag) => (dirsMap.get(path).tags || []).includes(tag);
 
-  const includeList = [];
+  const selected = new Set();
+  const excluded = new Set();
   const failedTargets = [];
+  const resolved = [];
 
   for (const t of targets) {
-    if (dirsMap.has(t)) {
-      includeList.push({
-        path: t,
-        providers: dirsMap.get(t)
-      });
+    const negated = t.startsWith('!');
+    const pattern = (negated ? t.slice(1) : t).replace(/\/$/, '');
+    let matches;
+    if (pattern.startsWith('@')) {
+      const name = pattern.slice(1);
+      matches = paths.filter(path => dirsMap.get(path).group === name || hasTag(path, name));
+    } else if (pattern.startsWith('tag:')) {
+      matches = paths.filter(path => hasTag(path, pattern.slice(4)));
+    } else if (isGlob(pattern)) {
+      matches = paths.filter(path => matchGlob(path, pattern));
+    } else if (dirsMap.has(pattern)) {
+      matches = [pattern];
     } else {
-      // Try stripping trailing slash
-      const tStripped = t.replace(/\/$/, '');
-      if (dirsMap.has(tStripped)) {
-        includeList.push({
-          path: tStripped,
-          providers: dirsMap.get(tStripped)
-        });
-      } else {
-        failedTargets.push(t);
-      }
+      const sameBase = exact || pattern.includes('/') ? [] : paths.filter(path => posix.basename(path) === pattern);
+      matches = sameBase.length === 1 ? sameBase : [];
+      if (matches.length === 1) resolved.push({ target: t, path: matches[0] });
+    }
+
+    if (matches.length === 0) {
+      failedTargets.push(t);
+      continue;
+    }
+    matches.forEach(path => (negated ? excluded : selected).add(path));
+  }
+
+  const includeList = Array.from(selected)
+    .filter(path => !excluded.has(path))
+    .map(path => ({ path, providers: dirsMap.get(path).providers || [], ...pickLabels(dirsMap.get(path)) }));
+
+  return { includeList, failedTargets, resolved };
+}
+
+/**
+ * Suggests targets close to one that matched nothing: root paths for paths and globs,
+ * known groups and tags for `@name` and `tag:name`.
+ * @param {string} target - Target as given by the user.
+ * @param {Object} depsData - The dependency graph data.
+ * @returns {string[]} - Suggested targets, closest first.
+ */
+export function suggestTargets(target, depsData) {
+  const negation = target.startsWith('!') ? '!' : '';
+  const pattern = target.slice(negation.length).replace(/\/$/, '');
+  const dirs = depsData.dirs || [];
+  const tags = new Set(dirs.flatMap(d => d.tags || []));
+
+  let candidates;
+  if (pattern.startsWith('@')) {
+    const groups = dirs.map(d => d.group).filter(Boolean);
+    candidates = [...new Set([...groups, ...tags])].map(name => `@${name}`);
+  } else if (pattern.startsWith('tag:')) {
+    candidates = Array.from(tags).map(tag => `tag:${tag}`);
+  } else {
+    candidates = dirs.map(d => d.path);
+  }
+  return suggestNames(pattern, candidates).map(name => negation + name);
+}
+
+/**
+ * Formats the error for targets that matched no root, with suggestions.
+ * @param {string[]} failedTargets - Targets that matched nothing.
+ * @param {Object} depsData - The dependency graph data.
+ * @returns {string}
+ */
+export function formatFailedTargets(failedTargets, depsData) {
+  const lines = [`The following targets were not found in .tfdeps.json: ${failedTargets.join(', ')}`];
+  for (const target of failedTargets) {
+    const suggestions = suggestTargets(target, depsData);
+    if (suggestions.length > 0) {
+      lines.push(`- \`${target}\`: did you mean ${suggestions.map(s => `\`${s}\``).join(', ')}?`);
     }
   }
+  return lines.join('\n');
+}
 
-  return { includeList, failedTargets };
+/**
+ * Formats the roots that glob, selector or negated targets expanded to.
+ * @param {string[]} targets - Targets as given by the user.
+ * @param {string[]} paths - Resolved root paths.
+ * @returns {string} - Markdown message.
+ */
+export function formatResolvedTargets(targets, paths) {
+  const lines = [`Targets \`${targets.join(' ')}\` matched ${paths.length} root${paths.length === 1 ? '' : 's'}:`];
+  paths.forEach(path => lines.push(`- \`${path}\``));
+  return lines.join('\n');
 }
 
-import { join } from 'node:path';
-import { getWorkspaceRoot, loadJson } from '../utils.mjs';
+import { join, posix } from 'node:path';
+import { getWorkspaceRoot } from '../utils.mjs';
+import { isGlob, matchGlob } from '../glob.mjs';
+import { suggestNames } from '../suggest.mjs';
+import { assignWaves } from './execution-order.mjs';
+import { DEPS_FILE, loadDepsData, pickLabels } from './deps-schema.mjs';
 
-export async function selectTargets(targetsInput) {
+/**
+ * Resolves space-separated targets against `.tfdeps.json`. See resolveTargets for the syntax.
+ * @param {string} targetsInput - Space-separated target paths or patterns.
+ * @param {string[]} [notes] - Array to accumulate messages for the user (e.g. resolved basenames).
+ * @param {{exact?: boolean}} [options] - `exact` accepts only full root paths, see resolveTargets.
+ * @returns {Promise<Array<{path: string, providers: string[], wave: number}>>} - Roots in execution order.
+ */
+export async function selectTargets(targetsInput, notes = [], options = {}) {
   if (!targetsInput) {
     throw new Error('Missing required argument: targets');
   }
 
   const root = await getWorkspaceRoot();
   const targets = targetsInput.split(/\s+/).filter(Boolean);
-  const depsFile = join(root, '.tfdeps.json');
-  const depsData = await loadJson(depsFile);
-  const { includeList, failedTargets } = resolveTargets(targets, depsData);
+  const depsData = await loadDepsData(join(root, DEPS_FILE));
+  const { includeList, failedTargets, resolved } = resolveTargets(targets, depsData, options);
 
   if (failedTargets.length > 0) {
-    throw new Error(`The following targets were not found in .tfdeps.json: ${failedTargets.join(', ')}`);
+    throw new Error(formatFailedTargets(failedTargets, depsData));
+  }
+  for (const { target, path } of resolved) {
+    notes.push(`Resolved \`${target}\` to \`${path}\`.`);
+  }
+  if (includeList.length === 0) {
+    throw new Error(`No roots are left after removing the negated targets: ${targets.join(' ')}`);
   }
 
-  return includeList;
+  return assignWaves(includeList, depsData);
 }
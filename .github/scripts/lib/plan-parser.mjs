@@ -0,0 +1,91 @@
+/**
+ * Actions in the order they are reported.
+ */
+export const PLAN_ACTIONS = ['replace', 'delete', 'create', 'update', 'read', 'forget', 'no-op'];
+
+/**
+ * Normalizes the `change.actions` array of a resource change into a single action.
+ * @param {string[]} actions - e.g. `["create"]`, `["delete", "create"]`.
+ * @returns {string} - One of PLAN_ACTIONS.
+ */
+export function normalizeActions(actions = []) {
+  if (actions.includes('delete') && actions.includes('create')) return 'replace';
+  if (actions.length === 1 && PLAN_ACTIONS.includes(actions[0])) return actions[0];
+  return 'no-op';
+}
+
+/**
+ * Parses plan JSON into a resource-level change model.
+ * @param {object|string} planJson - Parsed or raw `terraform show -json` output.
+ * @returns {{
+ *   resources: Array<{address: string, type: string, mode: string, provider: string, action: string, importing: boolean, movedFrom: string|null}>,
+ *   summary: {add: number, change: number, destroy: number, replace: number, read: number, import: number, move: number, forget: number},
+ *   hasChanges: boolean,
+ *   errored: boolean
+ * }}
+ */
+export function parsePlanJson(planJson) {
+  const plan = typeof planJson === 'string' ? JSON.parse(planJson) : planJson;
+  if (!plan || typeof plan !== 'object') {
+    throw new Error('Invalid plan JSON: expected an object');
+  }
+
+  const summary = { add: 0, change: 0, destroy: 0, replace: 0, read: 0, import: 0, move: 0, forget: 0 };
+  const resources = [];
+
+  for (const rc of plan.resource_changes || []) {
+    const change = rc.change || {};
+    const action = normalizeActions(change.actions);
+    const importing = Boolean(change.importing);
+    const movedFrom = rc.previous_address && rc.previous_address !== rc.address ? rc.previous_address : null;
+
+    // Unchanged resources are only interesting when they are imported or moved
+    if (action === 'no-op' && !importing && !movedFrom) continue;
+
+    resources.push({
+      address: rc.address,
+      type: rc.type,
+      mode: rc.mode,
+      provider: rc.provider_name,
+      action,
+      importing,
+      movedFrom
+    });
+
+    if (action === 'create') summary.add++;
+    if (action === 'update') summary.change++;
+    if (action === 'delete') summary.destroy++;
+    if (action === 'replace') summary.replace++;
+    if (action === 'read') summary.read++;
+    if (action === 'forget') summary.forget++;
+    if (importing) summary.import++;
+    if (movedFrom) summary.move++;
+  }
+
+  const hasChanges = ['add', 'change', 'destroy', 'replace', 'import', 'move', 'forget']
+    .some(key => summary[key] > 0);
+
+  return {
+    resources,
+    summary,
+    hasChanges,
+    errored: plan.errored === true
+  };
+}
+
+/**
+ * Formats a plan summary in a compact form (e.g. `+1 add, ±2 replace`).
+ * @param {object} summary - Summary returned by parsePlanJson.
+ * @returns {string}
+ */
+export function formatPlanSummary(summary) {
+  const parts = [];
+  if (summary.add > 0) parts.push(`+${summary.add} add`);
+  if (summary.change > 0) parts.push(`~${summary.change} change`);
+  if (summary.replace > 0) parts.push(`±${summary.replace} replace`);
+  if (summary.destroy > 0) parts.push(`-${summary.destroy} destroy`);
+  if (summary.import > 0) parts.push(`${summary.import} import`);
+  if (summary.move > 0) parts.push(`${summary.move} move`);
+  if (summary.forget > 0) parts.push(`${summary.forget} forget`);
+  return parts.join(', ');
+}
@@ -0,0 +1,48 @@
+import { posix } from 'node:path';
+
+/**
+ * Computes the Levenshtein distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Number of single-character insertions, deletions or substitutions.
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Suggests the known names closest to an unknown one, for "did you mean" messages.
+ * Names with the same basename come first (`test1` -> `environments/test1`), then names
+ * within a small edit distance of the input or of its basename.
+ * @param {string} input - The unknown name.
+ * @param {string[]} names - Known names (e.g. root paths).
+ * @param {number} [limit] - Maximum number of suggestions (Default: 3).
+ * @returns {string[]} - Suggestions, closest first.
+ */
+export function suggestNames(input, names, limit = 3) {
+  const base = posix.basename(input);
+  const maxDistance = Math.max(2, Math.floor(input.length / 4));
+
+  const scored = [];
+  for (const name of names) {
+    const nameBase = posix.basename(name);
+    const score = nameBase === base
+      ? 0
+      : Math.min(editDistance(input, name), editDistance(base, nameBase) + 1);
+    if (score <= maxDistance) scored.push({ name, score });
+  }
+
+  return scored
+    .sort((a, b) => a.score - b.score || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ name }) => name);
+}
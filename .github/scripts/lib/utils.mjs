@@ -117,3 +117,83 @@ export function requireArgs(args, requiredKeys) {
     throw new Error(`Missing required arguments: ${missing.join(', ')}`);
   }
 }
+
+/**
+ * Maps items with an async function, running at most `limit` calls at a time.
+ * @param {Array} items - Items to process.
+ * @param {number} limit - Maximum number of concurrent calls.
+ * @param {(item: any, index: number) => Promise<any>} fn - Async mapper.
+ * @returns {Promise<Array>} - Results in the order of the items.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Runs an async function with a time limit. The function receives an AbortSignal
+ * that is aborted on timeout, so child processes started with it are killed.
+ * @param {(signal: AbortSignal) => Promise<any>} fn - Async function.
+ * @param {number} ms - Time limit in milliseconds.
+ * @param {string} [message] - Error message on timeout.
+ * @returns {Promise<any>}
+ * @throws {Error} With `timedOut: true` when the time limit is reached.
+ */
+export async function withTimeout(fn, ms, message = `Timed out after ${ms / 1000}s`) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      error.timedOut = true;
+      reject(error);
+      controller.abort(error);
+    }, ms);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Calls an async function again when it fails with a retryable error.
+ * @param {() => Promise<any>} fn - Async function.
+ * @param {object} [options]
+ * @param {number} [options.retries] - Number of retries after the first attempt (Default: 2).
+ * @param {number} [options.delayMs] - Delay before the first retry, doubled after each one (Default: 2000).
+ * @param {(error: Error) => boolean} [options.shouldRetry] - Whether an error is retryable (Default: always).
+ * @param {(error: Error, attempt: number) => void} [options.onRetry] - Called before each retry.
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ * @returns {Promise<any>}
+ */
+export async function retry(fn, {
+  retries = 2,
+  delayMs = 2000,
+  shouldRetry = () => true,
+  onRetry = () => {},
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error)) throw error;
+      onRetry(error, attempt);
+      await sleep(delayMs * 2 ** (attempt - 1));
+    }
+  }
+}
@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { run } from '../../../scripts/cli/commands/check-deps.mjs';
+
+describe('cli/commands/check-deps', () => {
+  const mockLogger = {
+    info: () => {},
+    warning: () => {},
+    error: () => {}
+  };
+
+  const committed = {
+    version: 1,
+    dirs: [{ path: 'env/dev', providers: ['aws'] }],
+    modules: [],
+    triggers: [{ pattern: '.github/env.d/env/dev/.env', roots: ['env/dev'] }]
+  };
+
+  const mockGetWorkspaceRoot = async () => '/mock/root';
+  const mockLoadIgnorePatterns = async () => [];
+  const mockExists = async () => true;
+  const mockLoadJson = async () => committed;
+
+  const devResult = { root: 'env/dev', status: 'success', providers: ['aws'], modules: [], logs: [] };
+
+  it('should report an up-to-date graph', async () => {
+    const printed = [];
+
+    const diff = await run({}, {
+      logger: mockLogger,
+      print: (text) => printed.push(text),
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      exists: mockExists,
+      loadJson: mockLoadJson,
+      generateDependencyGraph: async () => ({ results: [devResult], roots: ['env/dev'] })
+    });
+
+    assert.strictEqual(diff.upToDate, true);
+    assert.deepStrictEqual(printed, ['✅ .tfdeps.json is up to date.']);
+  });
+
+  it('should report added roots and print JSON', async (context) => {
+    const writeFile = context.mock.fn();
+    const printed = [];
+    const results = [devResult, { ...devResult, root: 'env/prod' }];
+
+    const diff = await run({ format: 'json', output: 'diff.json' }, {
+      logger: mockLogger,
+      print: (text) => printed.push(text),
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      exists: mockExists,
+      loadJson: mockLoadJson,
+      generateDependencyGraph: async () => ({ results, roots: ['env/dev', 'env/prod'] }),
+      writeFile
+    });
+
+    assert.strictEqual(diff.upToDate, false);
+    assert.deepStrictEqual(diff.roots.added, ['env/prod']);
+    assert.deepStrictEqual(JSON.parse(printed[0]), diff);
+    assert.strictEqual(writeFile.mock.calls[0].arguments[0], 'diff.json');
+  });
+
+  it('should report a graph written before the version field', async () => {
+    const { version, ...unversioned } = committed;
+    const printed = [];
+
+    const diff = await run({}, {
+      logger: mockLogger,
+      print: (text) => printed.push(text),
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      exists: mockExists,
+      loadJson: async () => unversioned,
+      generateDependencyGraph: async () => ({ results: [devResult], roots: ['env/dev'] })
+    });
+
+    assert.strictEqual(diff.upToDate, false);
+    assert.deepStrictEqual(diff.version, { from: null, to: version });
+    assert.match(printed[0], /Version: \(none\) -> 1/);
+  });
+
+  it('should fail when the committed graph is invalid', async () => {
+    const deps = {
+      logger: mockLogger,
+      print: () => {},
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      exists: mockExists,
+      loadJson: async () => ({ ...committed, modules: [{ source: 'modules/vpc', usedIn: ['env/gone'] }] }),
+      generateDependencyGraph: async () => ({ results: [], roots: [] })
+    };
+
+    await assert.rejects(async () => await run({}, deps), /modules\[0\]\.usedIn\[0\]: unknown root "env\/gone"/);
+  });
+
+  it('should compare with an empty graph when the file is missing', async () => {
+    const diff = await run({}, {
+      logger: mockLogger,
+      print: () => {},
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      exists: async () => false,
+      loadJson: mockLoadJson,
+      generateDependencyGraph: async () => ({ results: [devResult], roots: ['env/dev'] })
+    });
+
+    assert.deepStrictEqual(diff.roots.added, ['env/dev']);
+  });
+
+  it('should fail when a root cannot be analyzed', async () => {
+    const deps = {
+      logger: mockLogger,
+      print: () => {},
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      exists: mockExists,
+      loadJson: mockLoadJson,
+      generateDependencyGraph: async () => ({
+        results: [{ root: 'env/dev', status: 'failed', providers: [], modules: [], logs: ['boom'] }],
+        roots: ['env/dev']
+      })
+    };
+
+    await assert.rejects(async () => await run({}, deps), /Analysis failed for 1 roots: env\/dev/);
+  });
+
+  it('should reject unknown modes and formats', async () => {
+    await assert.rejects(async () => await run({ mode: 'magic' }, {}), /Unknown mode: magic/);
+    await assert.rejects(async () => await run({ format: 'yaml' }, {}), /Unknown format: yaml/);
+  });
+});
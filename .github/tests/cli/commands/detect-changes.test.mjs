@@ -8,6 +8,10 @@ describe('cli/commands/detect-changes', () => {
     return depGraph ? ['path/to/affected'] : ['path/to/changed'];
   };
 
+  const mockDetectRemovedRoots = async () => [];
+
+  const mockFindMergeBase = async () => 'merge-base';
+
   const mockLoadJson = async (path) => {
     if (path === 'valid-deps.json') return { dependencies: {} };
     throw new Error('File not found');
@@ -20,14 +24,14 @@ describe('cli/commands/detect-changes', () => {
 
   it('should throw error if required args are missing', async () => {
     await assert.rejects(
-      async () => await run({}, { detectChanges: mockDetectChanges }),
+      async () => await run({}, { detectChanges: mockDetectChanges, detectRemovedRoots: mockDetectRemovedRoots, findMergeBase: mockFindMergeBase }),
       /Missing required arguments: base, head/
     );
   });
 
   it('should detect changes without dependency graph', async () => {
     const args = { base: 'main', head: 'feature' };
-    const result = await run(args, { detectChanges: mockDetectChanges });
+    const result = await run(args, { detectChanges: mockDetectChanges, detectRemovedRoots: mockDetectRemovedRoots, findMergeBase: mockFindMergeBase });
     assert.deepStrictEqual(result, ['path/to/changed']);
   });
 
@@ -35,6 +39,8 @@ describe('cli/commands/detect-changes', () => {
     const args = { base: 'main', head: 'feature', 'deps-file': 'valid-deps.json' };
     const result = await run(args, { 
         detectChanges: mockDetectChanges,
+        detectRemovedRoots: mockDetectRemovedRoots,
+        findMergeBase: mockFindMergeBase,
         loadJson: mockLoadJson
     });
     assert.deepStrictEqual(result, ['path/to/affected']);
@@ -47,6 +53,8 @@ describe('cli/commands/detect-changes', () => {
     // Should fallback to basic detection (mock returns ['path/to/changed'] when depGraph is null)
     const result = await run(args, { 
         detectChanges: mockDetectChanges,
+        detectRemovedRoots: mockDetectRemovedRoots,
+        findMergeBase: mockFindMergeBase,
         loadJson: mockLoadJson
     });
     
@@ -60,13 +68,45 @@ describe('cli/commands/detect-changes', () => {
     
     await run(args, { 
         detectChanges: mockDetectChanges,
+        detectRemovedRoots: mockDetectRemovedRoots,
+        findMergeBase: mockFindMergeBase,
         saveJson: mockSave
     });
 
     assert.strictEqual(mockSave.mock.callCount(), 1);
     const [path, data] = mockSave.mock.calls[0].arguments;
     assert.strictEqual(path, 'result.json');
-    assert.deepStrictEqual(data, { include: ['path/to/changed'] });
+    assert.deepStrictEqual(data, { include: ['path/to/changed'], removed: [] });
+  });
+
+  it('should find the merge-base once for both diffs', async (context) => {
+    const findMergeBase = context.mock.fn(async () => 'merge-base');
+    const detectChanges = context.mock.fn(async () => []);
+    const detectRemovedRoots = context.mock.fn(async () => []);
+
+    await run({ base: 'main', head: 'feature' }, { detectChanges, detectRemovedRoots, findMergeBase });
+
+    assert.strictEqual(findMergeBase.mock.callCount(), 1);
+    assert.deepStrictEqual(detectChanges.mock.calls[0].arguments[3], { mergeBase: 'merge-base' });
+    assert.deepStrictEqual(detectRemovedRoots.mock.calls[0].arguments[2], { mergeBase: 'merge-base' });
+  });
+
+  it('should report removed roots separately', async (context) => {
+    const mockConsoleWarn = context.mock.method(console, 'warn', () => {});
+    const mockSave = context.mock.fn();
+    const removed = [{ path: 'env/old' }, { path: 'env/a', movedTo: 'env/b' }];
+    const result = await run({ base: 'main', head: 'feature', output: 'result.json' }, {
+        detectChanges: mockDetectChanges,
+        detectRemovedRoots: async () => removed,
+        findMergeBase: mockFindMergeBase,
+        saveJson: mockSave
+    });
+
+    assert.deepStrictEqual(result, ['path/to/changed']);
+    assert.deepStrictEqual(mockSave.mock.calls[0].arguments[1], { include: ['path/to/changed'], removed });
+    assert.strictEqual(mockConsoleWarn.mock.callCount(), 2);
+    assert.match(mockConsoleWarn.mock.calls[0].arguments[0], /env\/old was deleted/);
+    assert.match(mockConsoleWarn.mock.calls[1].arguments[0], /env\/a was moved to env\/b/);
   });
 
 });
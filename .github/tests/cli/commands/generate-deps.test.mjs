@@ -68,6 +68,112 @@ describe('cli/commands/generate-deps', () => {
     assert.deepStrictEqual(json.modules[0].usedIn, ['env/dev', 'env/prod']);
   });
 
+  it('should record module-to-module edges', async (context) => {
+    const mockGenerateDependencyGraph = async () => ({
+      results: [
+        {
+          root: 'env/prod',
+          status: 'success',
+          providers: ['aws'],
+          modules: ['modules/platform'],
+          moduleEdges: { 'modules/platform': ['modules/network'] },
+          logs: []
+        }
+      ],
+      roots: ['env/prod']
+    });
+
+    const mockWriteFile = context.mock.fn();
+
+    await run({ output: 'deps.json' }, {
+      logger: mockLogger,
+      runCommand: mockRunCommand,
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      generateDependencyGraph: mockGenerateDependencyGraph,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      getRepoName: mockGetRepoName,
+      writeFile: mockWriteFile
+    });
+
+    const json = JSON.parse(mockWriteFile.mock.calls[0].arguments[1]);
+    assert.deepStrictEqual(json.modules, [
+      { source: 'modules/network', usedIn: [], usedInModules: ['modules/platform'] },
+      { source: 'modules/platform', usedIn: ['env/prod'] }
+    ]);
+  });
+
+  it('should write root dependencies and keep overrides', async (context) => {
+    const mockGenerateDependencyGraph = async () => ({
+      results: [
+        {
+          root: 'eks', status: 'success', providers: [], modules: [], logs: [],
+          backend: { type: 'local', config: { path: 'eks/terraform.tfstate' } },
+          remoteStates: [{ name: 'network', backend: 'local', config: { path: 'network/terraform.tfstate' } }]
+        },
+        {
+          root: 'network', status: 'success', providers: [], modules: [], logs: [],
+          backend: { type: 'local', config: { path: 'network/terraform.tfstate' } },
+          remoteStates: []
+        },
+        { root: 'apps', status: 'success', providers: [], modules: [], logs: [] }
+      ],
+      roots: ['eks', 'network', 'apps']
+    });
+    const dependencyOverrides = { apps: { add: ['eks'] } };
+    const mockWriteFile = context.mock.fn();
+
+    await run({ output: 'deps.json' }, {
+      logger: mockLogger,
+      runCommand: mockRunCommand,
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      generateDependencyGraph: mockGenerateDependencyGraph,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      getRepoName: mockGetRepoName,
+      loadJson: async () => ({ dirs: [], dependencyOverrides }),
+      writeFile: mockWriteFile
+    });
+
+    const json = JSON.parse(mockWriteFile.mock.calls[0].arguments[1]);
+    assert.deepStrictEqual(json.dirs, [
+      { path: 'apps', providers: [], dependsOn: ['eks'] },
+      { path: 'eks', providers: [], dependsOn: ['network'] },
+      { path: 'network', providers: [] }
+    ]);
+    assert.deepStrictEqual(json.dependencyOverrides, dependencyOverrides);
+  });
+
+  it('should write triggers and keep hand-written ones', async (context) => {
+    const mockGenerateDependencyGraph = async () => ({
+      results: [
+        { root: 'env/prod', status: 'success', providers: [], modules: [], files: ['scripts/a.sh'], logs: [] }
+      ],
+      roots: ['env/prod']
+    });
+    const mockLoadJson = async () => ({
+      dirs: [],
+      triggers: [{ pattern: 'vars/*.tfvars', roots: ['env/prod'] }]
+    });
+    const mockWriteFile = context.mock.fn();
+
+    await run({ output: 'deps.json' }, {
+      logger: mockLogger,
+      runCommand: mockRunCommand,
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      generateDependencyGraph: mockGenerateDependencyGraph,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      getRepoName: mockGetRepoName,
+      loadJson: mockLoadJson,
+      writeFile: mockWriteFile
+    });
+
+    const json = JSON.parse(mockWriteFile.mock.calls[0].arguments[1]);
+    assert.deepStrictEqual(json.triggers, [
+      { pattern: '.github/env.d/env/prod/.env', roots: ['env/prod'] },
+      { pattern: 'scripts/a.sh', roots: ['env/prod'], generated: true },
+      { pattern: 'vars/*.tfvars', roots: ['env/prod'] }
+    ]);
+  });
+
   it('should exit if terraform command fails', async (context) => {
       // We need to mock process.exit to prevent test runner from exiting
       const mockExit = context.mock.method(process, 'exit', () => { throw new Error('Process exited'); });
@@ -84,11 +190,94 @@ describe('cli/commands/generate-deps', () => {
         writeFile: async () => {} 
       };
 
-      await assert.rejects(async () => await run({}, deps), /Process exited/);
+      await assert.rejects(async () => await run({ mode: 'terraform' }, deps), /Process exited/);
       assert.strictEqual(mockExit.mock.callCount(), 1);
       assert.strictEqual(mockExit.mock.calls[0].arguments[0], 1);
   });
 
+  it('should not require terraform in static mode', async (context) => {
+    const mockRunCommandFail = context.mock.fn(async () => { throw new Error('Terraform not found'); });
+    let receivedOptions = null;
+    const mockGenerateDependencyGraph = async (root, patterns, options) => {
+      receivedOptions = options;
+      return { results: [], roots: [] };
+    };
+
+    await run({ output: 'deps.json' }, {
+      logger: mockLogger,
+      runCommand: mockRunCommandFail,
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      generateDependencyGraph: mockGenerateDependencyGraph,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      getRepoName: mockGetRepoName,
+      writeFile: async () => {}
+    });
+
+    assert.strictEqual(mockRunCommandFail.mock.callCount(), 0);
+    assert.strictEqual(receivedOptions.mode, 'static');
+  });
+
+  it('should pass the concurrency, timeout and retries', async () => {
+    let receivedOptions = null;
+    const mockGenerateDependencyGraph = async (root, patterns, options) => {
+      receivedOptions = options;
+      return { results: [], roots: [] };
+    };
+
+    await run({ output: 'deps.json', concurrency: '8', timeout: '120', retries: '1' }, {
+      logger: mockLogger,
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      generateDependencyGraph: mockGenerateDependencyGraph,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      getRepoName: mockGetRepoName,
+      writeFile: async () => {}
+    });
+
+    assert.deepStrictEqual(receivedOptions, { mode: 'static', concurrency: 8, timeoutMs: 120000, initRetries: 1 });
+  });
+
+  it('should reuse the current graph with --since', async () => {
+    let receivedOptions = null;
+    const previous = { version: 1, dirs: [{ path: 'env/dev', providers: [] }], modules: [], triggers: [] };
+    const mockGenerateDependencyGraph = async (root, patterns, options) => {
+      receivedOptions = options;
+      return { results: [{ root: 'env/dev', status: 'success', providers: [], modules: [], logs: [], reused: true }], roots: ['env/dev'] };
+    };
+
+    await run({ output: 'deps.json', since: 'abc123' }, {
+      logger: mockLogger,
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      generateDependencyGraph: mockGenerateDependencyGraph,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      getRepoName: mockGetRepoName,
+      loadJson: async () => previous,
+      getChangedFilesSince: async (sha) => (sha === 'abc123' ? ['env/dev/main.tf'] : []),
+      writeFile: async () => {}
+    });
+
+    assert.deepStrictEqual(receivedOptions.previous, previous);
+    assert.deepStrictEqual(receivedOptions.changedFiles, ['env/dev/main.tf']);
+  });
+
+  it('should require an existing graph with --since', async () => {
+    await assert.rejects(
+      async () => await run({ output: 'deps.json', since: 'abc123' }, {
+        logger: mockLogger,
+        getWorkspaceRoot: mockGetWorkspaceRoot,
+        loadJson: async () => { throw new Error('File not found: deps.json'); }
+      }),
+      /--since needs an existing dependency graph: deps\.json not found/
+    );
+  });
+
+  it('should reject an invalid --concurrency', async () => {
+    await assert.rejects(async () => await run({ concurrency: 'many' }, {}), /Invalid --concurrency: many/);
+  });
+
+  it('should reject an unknown mode', async () => {
+    await assert.rejects(async () => await run({ mode: 'fast' }, {}), /Unknown mode: fast/);
+  });
+
   it('should exit if analysis has failures', async (context) => {
     const mockExit = context.mock.method(process, 'exit', () => { throw new Error('Process exited'); });
 
@@ -112,4 +301,95 @@ describe('cli/commands/generate-deps', () => {
     await assert.rejects(async () => await run({}, deps), /Process exited/);
     assert.strictEqual(mockExit.mock.callCount(), 1);
   });
+
+  describe('--keep-going', () => {
+    const previous = {
+      version: 1,
+      dirs: [
+        { path: 'env/dev', providers: ['aws'] },
+        { path: 'env/prod', providers: ['aws', 'random'] }
+      ],
+      modules: [{ source: 'modules/vpc', usedIn: ['env/dev', 'env/prod'] }],
+      triggers: []
+    };
+
+    const makeDeps = (results, writeFile, logger = mockLogger, graph = previous) => ({
+      logger,
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      loadIgnorePatterns: mockLoadIgnorePatterns,
+      getRepoName: mockGetRepoName,
+      loadJson: async () => graph,
+      generateDependencyGraph: async () => ({ results, roots: results.map(r => r.root) }),
+      writeFile
+    });
+
+    const results = [
+      { root: 'env/dev', status: 'success', providers: ['aws'], modules: ['modules/vpc'], logs: [] },
+      { root: 'env/prod', status: 'error', logs: ['❌ Initialization failed'], durationMs: 1200 },
+      { root: 'env/new', status: 'error', logs: ['❌ Timed out'], durationMs: 600000 }
+    ];
+
+    it('should write the graph with stale entries, a report, and exit over the threshold', async (context) => {
+      const mockExit = context.mock.method(process, 'exit', () => { throw new Error('Process exited'); });
+      const written = {};
+      const writeFile = async (path, content) => { written[path] = JSON.parse(content); };
+      const warnings = [];
+      const logger = { ...mockLogger, warning: (message) => warnings.push(message) };
+
+      await assert.rejects(
+        async () => await run({ output: 'deps.json', 'keep-going': true, report: 'report.json' }, makeDeps(results, writeFile, logger)),
+        /Process exited/
+      );
+
+      assert.strictEqual(mockExit.mock.calls[0].arguments[0], 1);
+      assert.ok(warnings.includes('⚠️  Dependency graph written to deps.json with 2 failed roots: 1 kept from the previous graph (stale), 1 left out.'));
+      assert.deepStrictEqual(written['deps.json'].dirs, [
+        { path: 'env/dev', providers: ['aws'] },
+        { path: 'env/prod', providers: ['aws', 'random'], stale: true }
+      ]);
+      assert.deepStrictEqual(written['deps.json'].modules, [{ source: 'modules/vpc', usedIn: ['env/dev', 'env/prod'] }]);
+      assert.deepStrictEqual(written['report.json'], {
+        total: 3,
+        succeeded: 1,
+        failures: [
+          { root: 'env/new', logs: ['❌ Timed out'], durationMs: 600000, carriedForward: false },
+          { root: 'env/prod', logs: ['❌ Initialization failed'], durationMs: 1200, carriedForward: true }
+        ]
+      });
+    });
+
+    it('should write the report before exiting on a dependency cycle', async (context) => {
+      const mockExit = context.mock.method(process, 'exit', () => { throw new Error('Process exited'); });
+      const written = {};
+      const writeFile = async (path, content) => { written[path] = JSON.parse(content); };
+      const cyclic = {
+        ...previous,
+        dependencyOverrides: { 'env/dev': { add: ['env/prod'] }, 'env/prod': { add: ['env/dev'] } }
+      };
+
+      await assert.rejects(
+        async () => await run({ output: 'deps.json', 'keep-going': true, report: 'report.json' }, makeDeps(results, writeFile, mockLogger, cyclic)),
+        /Process exited/
+      );
+
+      assert.strictEqual(mockExit.mock.callCount(), 1);
+      assert.strictEqual(written['deps.json'], undefined);
+      assert.deepStrictEqual(written['report.json'].failures.map(f => f.root), ['env/new', 'env/prod']);
+    });
+
+    it('should succeed within the threshold', async (context) => {
+      const mockExit = context.mock.method(process, 'exit', () => { throw new Error('Process exited'); });
+      const writeFile = context.mock.fn(async () => {});
+
+      await run({ output: 'deps.json', 'keep-going': true, 'max-failures': '2' }, makeDeps(results, writeFile));
+      await run({ output: 'deps.json', 'keep-going': true, 'max-failures': '70%' }, makeDeps(results, writeFile));
+
+      assert.strictEqual(mockExit.mock.callCount(), 0);
+      assert.strictEqual(writeFile.mock.callCount(), 2);
+    });
+
+    it('should reject an invalid threshold', async () => {
+      await assert.rejects(async () => await run({ 'max-failures': 'some' }, {}), /Invalid --max-failures: some/);
+    });
+  });
 });
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { run } from '../../../scripts/cli/commands/graph.mjs';
+
+describe('cli/commands/graph', () => {
+  const depsData = {
+    version: 1,
+    dirs: [{ path: 'env/dev', providers: [] }, { path: 'env/prod', providers: [] }],
+    modules: [{ source: 'modules/vpc', usedIn: ['env/dev', 'env/prod'] }],
+    triggers: []
+  };
+
+  const mockLoadDepsData = async () => depsData;
+  const mockGetWorkspaceRoot = async () => '/repo';
+
+  it('should print DOT by default', async () => {
+    let loadedPath = null;
+    const printed = [];
+
+    await run({}, {
+      loadDepsData: async (path) => { loadedPath = path; return depsData; },
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      print: (text) => printed.push(text)
+    });
+
+    assert.strictEqual(loadedPath, '/repo/.tfdeps.json');
+    assert.match(printed[0], /^digraph tfdeps \{/);
+    assert.match(printed[0], /"env\/prod" -> "modules\/vpc";/);
+  });
+
+  it('should focus and write to a file', async (context) => {
+    const writeFile = context.mock.fn(async () => {});
+    const print = context.mock.fn();
+
+    await run({ format: 'mermaid', focus: 'env/dev', depth: '1', output: 'graph.mmd' }, {
+      loadDepsData: mockLoadDepsData,
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      print,
+      writeFile
+    });
+
+    assert.strictEqual(print.mock.callCount(), 0);
+    const [path, content] = writeFile.mock.calls[0].arguments;
+    assert.strictEqual(path, 'graph.mmd');
+    assert.doesNotMatch(content, /env\/prod/);
+    assert.match(content, /^flowchart LR\n/);
+  });
+
+  it('should validate options', async () => {
+    const deps = { loadDepsData: mockLoadDepsData, getWorkspaceRoot: mockGetWorkspaceRoot, print: () => {} };
+    await assert.rejects(async () => await run({ format: 'svg' }, deps), /Unknown format: svg/);
+    await assert.rejects(async () => await run({ depth: '0', focus: 'env/dev' }, deps), /Invalid --depth: 0/);
+    await assert.rejects(async () => await run({ depth: '2' }, deps), /--depth requires --focus/);
+    await assert.rejects(async () => await run({ focus: 'env/nope' }, deps), /Unknown root or module: env\/nope/);
+  });
+});
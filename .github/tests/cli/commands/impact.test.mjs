@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { run } from '../../../scripts/cli/commands/impact.mjs';
+
+describe('cli/commands/impact', () => {
+  const depsData = {
+    version: 1,
+    dirs: [{ path: 'env/dev', providers: ['aws'] }, { path: 'env/prod', providers: ['aws'] }],
+    modules: [{ source: 'modules/foo', usedIn: ['env/prod', 'env/dev'] }],
+    triggers: []
+  };
+
+  const mockLoadDepsData = async () => depsData;
+  const mockGetWorkspaceRoot = async () => '/repo';
+
+  it('should throw error if neither files nor base and head are given', async () => {
+    await assert.rejects(
+      async () => await run({ base: 'main' }, { loadDepsData: mockLoadDepsData, getWorkspaceRoot: mockGetWorkspaceRoot }),
+      /Missing required arguments: file paths, or base and head/
+    );
+  });
+
+  it('should throw error if files are combined with base or head', async () => {
+    const deps = { loadDepsData: mockLoadDepsData, getWorkspaceRoot: mockGetWorkspaceRoot };
+    await assert.rejects(
+      async () => await run({ files: ['env/dev/main.tf'], base: 'abc', head: 'def' }, deps),
+      /File paths cannot be combined with --base or --head/
+    );
+    await assert.rejects(
+      async () => await run({ files: ['env/dev/main.tf'], head: 'def' }, deps),
+      /File paths cannot be combined with --base or --head/
+    );
+  });
+
+  it('should explain file paths', async () => {
+    const printed = [];
+
+    const result = await run({ files: ['modules/foo/main.tf', 'docs/a.md'] }, {
+      loadDepsData: mockLoadDepsData,
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      print: (text) => printed.push(text)
+    });
+
+    assert.deepStrictEqual(result.roots.map(r => r.path), ['env/dev', 'env/prod']);
+    assert.strictEqual(printed[0], [
+      'env/dev',
+      '  - modules/foo/main.tf → module modules/foo → used by env/dev',
+      'env/prod',
+      '  - modules/foo/main.tf → module modules/foo → used by env/prod',
+      '',
+      'Changed files that matched nothing:',
+      '  - docs/a.md'
+    ].join('\n'));
+  });
+
+  it('should read the changes between base and head and print JSON', async () => {
+    let diffArgs = null;
+    const printed = [];
+
+    await run({ base: 'abc', head: 'def', format: 'json' }, {
+      loadDepsData: mockLoadDepsData,
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      runGitDiff: async (...args) => {
+        diffArgs = args;
+        return ['env/dev/main.tf'];
+      },
+      print: (text) => printed.push(text)
+    });
+
+    assert.deepStrictEqual(diffArgs, ['abc', 'def', '/repo']);
+    assert.deepStrictEqual(JSON.parse(printed[0]), {
+      roots: [{ path: 'env/dev', providers: ['aws'], reasons: [{ type: 'root', files: ['env/dev/main.tf'] }] }],
+      unmatched: []
+    });
+  });
+
+  it('should report when nothing is affected', async () => {
+    const printed = [];
+    await run({ files: ['README.md'] }, {
+      loadDepsData: mockLoadDepsData,
+      getWorkspaceRoot: mockGetWorkspaceRoot,
+      print: (text) => printed.push(text)
+    });
+    assert.match(printed[0], /^No roots affected\./);
+  });
+});
@@ -1,6 +1,6 @@
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert';
-import { run } from '../../../scripts/cli/commands/operate-command.mjs';
+import { run, buildMatrix } from '../../../scripts/cli/commands/operate-command.mjs';
 
 describe('cli/commands/operate-command', () => {
 
@@ -9,8 +9,39 @@ describe('cli/commands/operate-command', () => {
       'comment-body': 'MOCK_BODY', // Value doesn't matter because we mock the parser
       'base-sha': 'base',
       'head-sha': 'head',
+      actor: 'alice',
     };
 
+    // Without --policy-file, the legacy APPLIERS / DESTROYERS variables authorize the actor
+    const env = { APPLIERS: process.env.APPLIERS, DESTROYERS: process.env.DESTROYERS };
+    before(() => {
+      process.env.APPLIERS = '["alice"]';
+      process.env.DESTROYERS = '["alice"]';
+    });
+    after(() => {
+      for (const [key, value] of Object.entries(env)) {
+        if (value === undefined) delete process.env[key]; else process.env[key] = value;
+      }
+    });
+
+    it('should refuse to run without an actor', async () => {
+      const _parseCommand = () => ({ command: 'plan', targets: [] });
+      await assert.rejects(
+        run({ ...baseArgs, actor: '' }, { _parseCommand }),
+        /Missing required arguments: actor/
+      );
+    });
+
+    it('should authorize with the legacy variables when no policy file is given', async () => {
+      const _parseCommand = () => ({ command: 'apply', targets: ['dev/app'] });
+      const _selectTargets = async () => [{ path: 'dev/app' }];
+
+      const result = await run({ ...baseArgs, actor: 'bob' }, { _parseCommand, _selectTargets });
+
+      assert.strictEqual(result.command, 'error');
+      assert.deepStrictEqual(result.denied.map(d => d.path), ['dev/app']);
+    });
+
     it('should call detectChanges when parser returns no explicit targets', async () => {
       // Mock Parser: returns a valid command but NO targets
       const _parseCommand = () => ({ command: 'apply', targets: [] });
@@ -60,6 +91,41 @@ describe('cli/commands/operate-command', () => {
       
       assert.strictEqual(result.command, 'apply');
       assert.deepStrictEqual(result.targets, [{ path: 'manual/target' }]);
+      assert.strictEqual(result.message, '');
+    });
+
+    it('should show what glob targets expanded to', async () => {
+      const _parseCommand = () => ({ command: 'plan', targets: ['env/prod-*', '!env/prod-old'] });
+      const _selectTargets = async () => [{ path: 'env/prod-eu' }, { path: 'env/prod-us' }];
+
+      const result = await run({ ...baseArgs }, { _parseCommand, _selectTargets });
+
+      assert.strictEqual(result.done, false);
+      assert.deepStrictEqual(result.targets.map(t => t.path), ['env/prod-eu', 'env/prod-us']);
+      assert.strictEqual(result.message, 'Targets `env/prod-* !env/prod-old` matched 2 roots:\n- `env/prod-eu`\n- `env/prod-us`');
+    });
+
+    it('should return the validated terraform flags', async () => {
+      const _parseCommand = () => ({ command: 'plan', targets: ['env/a'], flags: ['-target=module.db', '-var=replicas=3'] });
+      const _selectTargets = async () => [{ path: 'env/a' }];
+
+      const result = await run({ ...baseArgs }, { _parseCommand, _selectTargets });
+
+      assert.strictEqual(result.done, false);
+      assert.deepStrictEqual(result.flags, ['-target=module.db', '-var=replicas=3']);
+    });
+
+    it('should say when a basename was resolved', async () => {
+      const _parseCommand = () => ({ command: 'plan', targets: ['test1'] });
+      const _selectTargets = async (targets, notes) => {
+        notes.push('Resolved `test1` to `environments/test1`.');
+        return [{ path: 'environments/test1' }];
+      };
+
+      const result = await run({ ...baseArgs }, { _parseCommand, _selectTargets });
+
+      assert.strictEqual(result.done, false);
+      assert.strictEqual(result.message, 'Resolved `test1` to `environments/test1`.');
     });
 
     it('should return error when command parsing fails (invalid syntax)', async () => {
@@ -126,6 +192,231 @@ describe('cli/commands/operate-command', () => {
       assert.strictEqual(result.message, msg);
     });
 
+    it('should return destroy command for explicit targets', async () => {
+      const _parseCommand = () => ({ command: 'destroy', targets: ['dev/app'] });
+      const _selectTargets = async () => [{ path: 'dev/app' }];
+
+      const result = await run(
+        { ...baseArgs },
+        { _parseCommand, _selectTargets }
+      );
+
+      assert.strictEqual(result.command, 'destroy');
+      assert.strictEqual(result.done, false);
+      assert.deepStrictEqual(result.targets, [{ path: 'dev/app' }]);
+    });
+
+    it('should select only exact root paths for destroy', async () => {
+      const _parseCommand = () => ({ command: 'destroy', targets: ['dev/app'] });
+      let selectOptions;
+      const _selectTargets = async (targets, notes, options) => {
+        selectOptions = options;
+        return [{ path: 'dev/app' }];
+      };
+
+      await run({ ...baseArgs }, { _parseCommand, _selectTargets });
+
+      assert.deepStrictEqual(selectOptions, { exact: true });
+    });
+
+    it('should never auto-detect targets for destroy', async () => {
+      const _parseCommand = () => ({ command: 'destroy', targets: [] });
+      const _detectChanges = async () => { throw new Error('Should not be called'); };
+
+      const result = await run(
+        { ...baseArgs },
+        { _parseCommand, _detectChanges }
+      );
+
+      assert.strictEqual(result.command, 'error');
+      assert.ok(result.message.includes('requires explicit targets'));
+    });
+
+    it('should refuse targets denied by the policy', async () => {
+      const _parseCommand = () => ({ command: 'apply', targets: ['dev/app', 'prod/app'] });
+      const _selectTargets = async () => [{ path: 'dev/app' }, { path: 'prod/app' }];
+      const _loadPolicy = async () => ({
+        roles: {
+          planner: { members: ['*'], commands: ['plan'], paths: ['**'] },
+          dev: { members: ['bob'], commands: ['apply'], paths: ['dev/**'] }
+        }
+      });
+
+      const result = await run(
+        { ...baseArgs, actor: 'bob' },
+        { _parseCommand, _selectTargets, _loadPolicy }
+      );
+
+      assert.strictEqual(result.command, 'error');
+      assert.strictEqual(result.done, true);
+      assert.deepStrictEqual(result.denied.map(d => d.path), ['prod/app']);
+      assert.ok(result.message.includes('`prod/app`'));
+    });
+
+    it('should pass when the policy allows every target', async () => {
+      const _parseCommand = () => ({ command: 'apply', targets: ['dev/app'] });
+      const _selectTargets = async () => [{ path: 'dev/app' }];
+      const _loadPolicy = async () => ({
+        roles: { dev: { members: ['team:dev'], commands: ['apply'], paths: ['dev/**'] } }
+      });
+
+      const result = await run(
+        { ...baseArgs, actor: 'bob', teams: 'dev,ops' },
+        { _parseCommand, _selectTargets, _loadPolicy }
+      );
+
+      assert.strictEqual(result.command, 'apply');
+      assert.deepStrictEqual(result.targets, [{ path: 'dev/app' }]);
+    });
+
+    describe('destructive-change guardrail', () => {
+      const _selectTargets = async () => [{ path: 'env/prod' }];
+      const _loadPolicy = async () => ({
+        roles: { applier: { members: ['*'], commands: ['apply'], paths: ['**'] } },
+        protectedResources: ['aws_db_instance.*']
+      });
+      const _loadSavedPlans = async () => new Map([
+        ['env/prod', {
+          resources: [{ address: 'aws_db_instance.main', action: 'replace' }]
+        }]
+      ]);
+      const _verifyPlans = async () => [];
+      const guardArgs = { ...baseArgs, actor: 'bob', 'plans-dir': 'plans' };
+
+      it('should refuse apply with protected deletions', async () => {
+        const _parseCommand = () => ({ command: 'apply', targets: ['env/prod'], allowDestroy: false });
+        const result = await run(guardArgs, { _parseCommand, _selectTargets, _loadPolicy, _loadSavedPlans, _verifyPlans });
+
+        assert.strictEqual(result.command, 'error');
+        assert.deepStrictEqual(result.blocked[0].addresses, ['aws_db_instance.main (replace)']);
+        assert.ok(result.message.includes('aws_db_instance.main'));
+      });
+
+      it('should allow apply with --allow-destroy', async () => {
+        const _parseCommand = () => ({ command: 'apply', targets: ['env/prod'], allowDestroy: true });
+        const result = await run(guardArgs, { _parseCommand, _selectTargets, _loadPolicy, _loadSavedPlans, _verifyPlans });
+        assert.strictEqual(result.command, 'apply');
+      });
+
+      it('should allow apply with a second approver only', async () => {
+        const _parseCommand = () => ({ command: 'apply', targets: ['env/prod'], allowDestroy: false });
+
+        const selfApproved = await run(
+          { ...guardArgs, approvers: 'Bob' },
+          { _parseCommand, _selectTargets, _loadPolicy, _loadSavedPlans, _verifyPlans }
+        );
+        assert.strictEqual(selfApproved.command, 'error');
+
+        const approved = await run(
+          { ...guardArgs, approvers: 'bob,alice' },
+          { _parseCommand, _selectTargets, _loadPolicy, _loadSavedPlans, _verifyPlans }
+        );
+        assert.strictEqual(approved.command, 'apply');
+      });
+
+      it('should ignore approvers who may not apply the targets', async () => {
+        const _parseCommand = () => ({ command: 'apply', targets: ['env/prod'], allowDestroy: false });
+        const _loadAppliers = async () => ({
+          roles: {
+            planner: { members: ['*'], commands: ['plan'], paths: ['**'] },
+            applier: { members: ['bob', 'carol'], commands: ['apply'], paths: ['**'] }
+          },
+          protectedResources: ['aws_db_instance.*']
+        });
+
+        const planner = await run(
+          { ...guardArgs, approvers: 'mallory' },
+          { _parseCommand, _selectTargets, _loadPolicy: _loadAppliers, _loadSavedPlans, _verifyPlans }
+        );
+        assert.strictEqual(planner.command, 'error');
+        assert.ok(planner.blocked);
+
+        const applier = await run(
+          { ...guardArgs, approvers: 'mallory,carol' },
+          { _parseCommand, _selectTargets, _loadPolicy: _loadAppliers, _loadSavedPlans, _verifyPlans }
+        );
+        assert.strictEqual(applier.command, 'apply');
+      });
+
+      it('should count approvers who may apply through a team', async () => {
+        const _parseCommand = () => ({ command: 'apply', targets: ['env/prod'], allowDestroy: false });
+        const _loadTeamPolicy = async () => ({
+          roles: {
+            actor: { members: ['bob'], commands: ['apply'], paths: ['**'] },
+            platform: { members: ['team:platform'], commands: ['apply'], paths: ['**'] }
+          },
+          protectedResources: ['aws_db_instance.*']
+        });
+        const deps = { _parseCommand, _selectTargets, _loadPolicy: _loadTeamPolicy, _loadSavedPlans, _verifyPlans };
+
+        const withoutTeams = await run({ ...guardArgs, approvers: 'carol' }, deps);
+        assert.strictEqual(withoutTeams.command, 'error');
+
+        const withTeams = await run({ ...guardArgs, approvers: 'carol', 'approver-teams': '{"carol":["platform"]}' }, deps);
+        assert.strictEqual(withTeams.command, 'apply');
+
+        const invalid = await run({ ...guardArgs, approvers: 'carol', 'approver-teams': '{carol' }, deps);
+        assert.match(invalid.message, /Invalid --approver-teams/);
+      });
+    });
+
+    it('should refuse apply when the reviewed plan is stale', async () => {
+      const _parseCommand = () => ({ command: 'apply', targets: ['env/prod'] });
+      const _selectTargets = async () => [{ path: 'env/prod' }];
+      let received = null;
+      const _verifyPlans = async (targets, plansDir, options) => {
+        received = { targets, plansDir, headSha: options.headSha };
+        return [{ path: 'env/prod', reason: 'No saved plan found.' }];
+      };
+
+      const result = await run(
+        { ...baseArgs, 'plans-dir': 'plans' },
+        { _parseCommand, _selectTargets, _verifyPlans }
+      );
+
+      assert.deepStrictEqual(received, { targets: ['env/prod'], plansDir: 'plans', headSha: 'head' });
+      assert.strictEqual(result.command, 'error');
+      assert.strictEqual(result.done, true);
+      assert.deepStrictEqual(result.stale, [{ path: 'env/prod', reason: 'No saved plan found.' }]);
+      assert.match(result.message, /Re-run `\$terraform plan`/);
+    });
+
+    it('should not verify plans for plan commands', async () => {
+      const _parseCommand = () => ({ command: 'plan', targets: ['env/prod'] });
+      const _selectTargets = async () => [{ path: 'env/prod' }];
+      const _verifyPlans = async () => { throw new Error('Should not be called'); };
+
+      const result = await run(
+        { ...baseArgs, 'plans-dir': 'plans' },
+        { _parseCommand, _selectTargets, _verifyPlans }
+      );
+      assert.strictEqual(result.command, 'plan');
+    });
+
+    it('should reverse the waves for destroy', async () => {
+      const _parseCommand = () => ({ command: 'destroy', targets: ['network', 'eks'] });
+      const _selectTargets = async () => [
+        { path: 'network', providers: [], wave: 0 },
+        { path: 'eks', providers: [], wave: 1 }
+      ];
+
+      const result = await run({ ...baseArgs }, { _parseCommand, _selectTargets });
+      assert.deepStrictEqual(result.targets, [
+        { path: 'eks', providers: [], wave: 0 },
+        { path: 'network', providers: [], wave: 1 }
+      ]);
+    });
+
+    it('should refuse targets that need more waves than the workflows run', async () => {
+      const _parseCommand = () => ({ command: 'apply', targets: ['env/*'] });
+      const _selectTargets = async () => Array.from({ length: 9 }, (_, wave) => ({ path: `env/${wave}`, wave }));
+
+      const result = await run({ ...baseArgs }, { _parseCommand, _selectTargets });
+
+      assert.strictEqual(result.command, 'error');
+      assert.match(result.message, /need 9 waves/);
+    });
+
     it('should return error when dependencies fail', async () => {
       const _parseCommand = () => ({ command: 'apply', targets: [] });
       const _detectChanges = async () => { throw new Error('Git Error'); };
@@ -138,5 +429,80 @@ describe('cli/commands/operate-command', () => {
       assert.strictEqual(result.command, 'error');
       assert.strictEqual(result.message, 'Git Error');
     });
+
+    describe('multi-line comments', () => {
+      const roots = {
+        'env/a': { path: 'env/a', wave: 0 },
+        'env/b': { path: 'env/b', wave: 1 },
+        'env/c': { path: 'env/c', wave: 0 },
+      };
+      const _selectTargets = async (targets) => targets.split(' ').map(t => roots[t]);
+
+      it('should prepare every command in order and keep the reason', async () => {
+        const commentBody = 'Release 1.2\n$terraform plan env/a env/b\n$terraform apply env/c -parallelism=5';
+
+        const result = await run({ ...baseArgs, 'comment-body': commentBody }, { _selectTargets });
+
+        assert.strictEqual(result.command, 'batch');
+        assert.strictEqual(result.done, false);
+        assert.strictEqual(result.reason, 'Release 1.2');
+        assert.deepStrictEqual(result.operations.map(o => [o.line, o.command, o.targets.map(t => t.path), o.flags]), [
+          ['$terraform plan env/a env/b', 'plan', ['env/a', 'env/b'], []],
+          ['$terraform apply env/c -parallelism=5', 'apply', ['env/c'], ['-parallelism=5']],
+        ]);
+        assert.deepStrictEqual(result.matrix.map(m => [m.path, m.operation, m.command, m.wave]), [
+          ['env/a', 0, 'plan', 0],
+          ['env/b', 0, 'plan', 0],
+          ['env/c', 1, 'apply', 1],
+        ]);
+      });
+
+      it('should refuse the whole comment when one command is invalid', async () => {
+        const commentBody = '$terraform plan env/a\n$terraform destroy env/b';
+
+        const result = await run({ ...baseArgs, 'comment-body': commentBody }, { _selectTargets });
+
+        assert.strictEqual(result.command, 'error');
+        assert.match(result.message, /^`\$terraform destroy env\/b`: /);
+      });
+
+      it('should refuse a root that appears in more than one command', async () => {
+        const commentBody = '$terraform plan env/a\n$terraform apply env/a';
+
+        const result = await run({ ...baseArgs, 'comment-body': commentBody }, { _selectTargets });
+
+        assert.strictEqual(result.command, 'error');
+        assert.strictEqual(result.message, '`env/a` appears in more than one command. Run them in separate comments.');
+      });
+
+      it('should return a single command with its matrix and reason', async () => {
+        const commentBody = '$terraform apply env/a env/b\nHotfix for the outage';
+
+        const result = await run({ ...baseArgs, 'comment-body': commentBody }, { _selectTargets });
+
+        assert.strictEqual(result.command, 'apply');
+        assert.strictEqual(result.reason, 'Hotfix for the outage');
+        assert.strictEqual(result.operations.length, 1);
+        assert.deepStrictEqual(result.matrix.map(m => [m.path, m.wave]), [['env/a', 0], ['env/b', 1]]);
+      });
+    });
+  });
+
+  describe('buildMatrix', () => {
+    it('should run the waves of each operation after those of the previous one', () => {
+      const matrix = buildMatrix([
+        { command: 'apply', targets: [{ path: 'a', wave: 0 }, { path: 'b', wave: 2 }], flags: [] },
+        { command: 'plan', targets: [{ path: 'c', wave: 1 }, { path: 'd', wave: 3 }], flags: ['-refresh=false'] },
+        { command: 'destroy', targets: [{ path: 'e', wave: 0 }], flags: [] },
+      ]);
+
+      assert.deepStrictEqual(matrix, [
+        { path: 'a', wave: 0, operation: 0, command: 'apply', flags: [] },
+        { path: 'b', wave: 2, operation: 0, command: 'apply', flags: [] },
+        { path: 'c', wave: 3, operation: 1, command: 'plan', flags: ['-refresh=false'] },
+        { path: 'd', wave: 3, operation: 1, command: 'plan', flags: ['-refresh=false'] },
+        { path: 'e', wave: 4, operation: 2, command: 'destroy', flags: [] },
+      ]);
+    });
   });
 });
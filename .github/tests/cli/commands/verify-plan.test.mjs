@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { run } from '../../../scripts/cli/commands/verify-plan.mjs';
+
+describe('cli/commands/verify-plan', () => {
+  const args = { 'plans-dir': 'plans', targets: 'env/dev env/prod', 'head-sha': 'abc', root: '/repo' };
+
+  it('should throw error if required args are missing', async () => {
+    await assert.rejects(
+      async () => await run({}),
+      /Missing required arguments: plans-dir, targets, head-sha/
+    );
+  });
+
+  it('should pass every target and option to verifyPlans', async () => {
+    let received = null;
+    const verifyPlans = async (targets, plansDir, options) => {
+      received = { targets, plansDir, options };
+      return [];
+    };
+
+    const result = await run({ ...args, 'max-age': '6' }, { verifyPlans });
+
+    assert.deepStrictEqual(result, { valid: true, targets: ['env/dev', 'env/prod'] });
+    assert.deepStrictEqual(received.targets, ['env/dev', 'env/prod']);
+    assert.strictEqual(received.plansDir, 'plans');
+    assert.strictEqual(received.options.headSha, 'abc');
+    assert.strictEqual(received.options.workspaceRoot, '/repo');
+    assert.strictEqual(received.options.maxAgeHours, 6);
+  });
+
+  it('should throw when a plan is stale', async () => {
+    const verifyPlans = async () => [{ path: 'env/prod', reason: 'No saved plan found.' }];
+    await assert.rejects(
+      async () => await run(args, { verifyPlans }),
+      (error) => {
+        assert.match(error.message, /Re-run `\$terraform plan`/);
+        assert.deepStrictEqual(error.stale, [{ path: 'env/prod', reason: 'No saved plan found.' }]);
+        return true;
+      }
+    );
+  });
+
+  it('should reject an invalid --max-age', async () => {
+    await assert.rejects(
+      async () => await run({ ...args, 'max-age': 'soon' }, { verifyPlans: async () => [] }),
+      /Invalid --max-age: soon/
+    );
+  });
+});
@@ -1,7 +1,7 @@
 import { describe, it, mock, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { PlanCommentBuilder, ApplyCommentBuilder } from '../../scripts/lib/comment-builder.mjs';
-import postComment from '../../scripts/gh-scripts/post-comment.mjs';
+import { PlanCommentBuilder, ApplyCommentBuilder, DestroyCommentBuilder } from '../../scripts/lib/comment-builder.mjs';
+import postComment, { formatOperationPreface, MAX_REASON_LENGTH } from '../../scripts/gh-scripts/post-comment.mjs';
 
 // Setup Mock for fs and path
 const fs = {
@@ -116,6 +116,26 @@ describe('post-comment.mjs', () => {
         assert.ok(body.includes('+1 add')); // From mock plan content
     });
 
+    it('should use plan.json when present', async () => {
+        glob.create.mock.mockImplementation(async () => globberMock);
+        globberMock.glob.mock.mockImplementation(async () => ['plans/test/info.json']);
+
+        fs.readFileSync.mock.mockImplementation((filepath) => {
+            if (filepath.endsWith('info.json')) return JSON.stringify({ path: 'test/path' });
+            if (filepath.endsWith('plan.txt')) return 'Plan: 1 to add, 0 to change, 1 to destroy.';
+            if (filepath.endsWith('plan.json')) return JSON.stringify({
+                resource_changes: [{ address: 'aws_instance.web', change: { actions: ['create', 'delete'] } }]
+            });
+            return '';
+        });
+        fs.existsSync.mock.mockImplementation(() => true);
+
+        await postComment({ github, context, core, glob }, { mode: 'plan' }, { fs, path });
+
+        const body = github.rest.issues.createComment.mock.calls[0].arguments[0].body;
+        assert.ok(body.includes('±1 replace'));
+    });
+
     it('should execute Apply logic without cleanup', async () => {
         // Setup data
         glob.create.mock.mockImplementation(async () => globberMock);
@@ -143,6 +163,25 @@ describe('post-comment.mjs', () => {
         assert.ok(body.includes('| `prod/app` | ✅ |'));
     });
 
+    it('should execute Destroy logic', async () => {
+        glob.create.mock.mockImplementation(async () => globberMock);
+        globberMock.glob.mock.mockImplementation(async () => ['destroys/preview/info.json']);
+
+        fs.readFileSync.mock.mockImplementation((filepath) => {
+            if (filepath.endsWith('info.json')) return JSON.stringify({ path: 'dev/preview', outcome: 'success' });
+            if (filepath.endsWith('destroy.txt')) return 'Destroy complete! Resources: 2 destroyed.';
+            return '';
+        });
+        fs.existsSync.mock.mockImplementation(() => true);
+
+        await postComment({ github, context, core, glob }, { mode: 'destroy' }, { fs, path });
+
+        assert.equal(github.rest.issues.createComment.mock.calls.length, 1);
+        const body = github.rest.issues.createComment.mock.calls[0].arguments[0].body;
+        assert.ok(body.includes(DestroyCommentBuilder.COMMENT_HEADER));
+        assert.ok(body.includes('| `dev/preview` | ✅ | -2 |'));
+    });
+
     it('should fallback log message if log file not found', async () => {
         glob.create.mock.mockImplementation(async () => globberMock);
         globberMock.glob.mock.mockImplementation(async () => ['plans/missing/info.json']);
@@ -177,4 +216,68 @@ describe('post-comment.mjs', () => {
         assert.ok(body.includes('No changes were detected for this run.'));
     });
 
+    it('should report only the roots of one command of a multi-command comment', async () => {
+        glob.create.mock.mockImplementation(async () => globberMock);
+        globberMock.glob.mock.mockImplementation(async () => ['results/apply-a/info.json', 'results/apply-b/info.json']);
+
+        fs.readFileSync.mock.mockImplementation((filepath) => {
+            if (filepath === 'results/apply-a/info.json') return JSON.stringify({ path: 'env/a', outcome: 'success' });
+            if (filepath === 'results/apply-b/info.json') return JSON.stringify({ path: 'env/b', outcome: 'success' });
+            return 'Apply complete! Resources: 1 added, 0 changed, 0 destroyed.';
+        });
+        fs.existsSync.mock.mockImplementation(() => true);
+
+        const operation = { index: 1, count: 2, line: '$terraform apply env/a', reason: 'Hotfix' };
+        await postComment({ github, context, core, glob }, { mode: 'apply', artifactDir: 'results', paths: ['env/a'], operation }, { fs, path });
+
+        assert.equal(glob.create.mock.calls.at(-1).arguments[0], 'results/apply-*/info.json');
+        assert.equal(github.rest.issues.createComment.mock.calls.length, 1);
+        const body = github.rest.issues.createComment.mock.calls[0].arguments[0].body;
+        assert.ok(body.startsWith('#### 2/2: `$terraform apply env/a`\n\n> Hotfix\n\n'));
+        assert.ok(body.includes('| `env/a` | ✅ |'));
+        assert.ok(!body.includes('env/b'));
+    });
+
+    it('should prefix the no results message with the command', async () => {
+        glob.create.mock.mockImplementation(async () => globberMock);
+        globberMock.glob.mock.mockImplementation(async () => ['results/plan-b/info.json']);
+        fs.readFileSync.mock.mockImplementation(() => JSON.stringify({ path: 'env/b' }));
+
+        const operation = { index: 0, count: 2, line: '$terraform plan env/a' };
+        await postComment({ github, context, core, glob }, { mode: 'plan', artifactDir: 'results', paths: ['env/a'], operation }, { fs, path });
+
+        const body = github.rest.issues.createComment.mock.calls[0].arguments[0].body;
+        assert.ok(body.startsWith('#### 1/2: `$terraform plan env/a`\n\n### Terraform Plan Result'));
+    });
+
+    it('should keep the first plan comment with the preface within the limit', async () => {
+        glob.create.mock.mockImplementation(async () => globberMock);
+        globberMock.glob.mock.mockImplementation(async () => ['results/plan-a/info.json', 'results/plan-b/info.json']);
+        fs.readFileSync.mock.mockImplementation((filepath) => {
+            if (filepath === 'results/plan-a/info.json') return JSON.stringify({ path: 'env/a' });
+            if (filepath === 'results/plan-b/info.json') return JSON.stringify({ path: 'env/b' });
+            return 'x'.repeat(59000) + '\nPlan: 1 to add, 0 to change, 0 to destroy.';
+        });
+        fs.existsSync.mock.mockImplementation((filepath) => filepath.endsWith('plan.txt'));
+
+        const operation = { index: 0, count: 1, line: '$terraform plan', reason: 'r'.repeat(10000) };
+        await postComment({ github, context, core, glob }, { mode: 'plan', artifactDir: 'results', operation }, { fs, path });
+
+        const bodies = github.rest.issues.createComment.mock.calls.map(call => call.arguments[0].body);
+        assert.ok(bodies[0].startsWith('#### 1/1: `$terraform plan`'));
+        for (const body of bodies) {
+            assert.ok(body.length <= 60000, `comment of ${body.length} characters`);
+        }
+    });
+
+    it('should cut long reasons', () => {
+        const preface = formatOperationPreface({ index: 0, count: 1, line: '$terraform plan', reason: 'r'.repeat(MAX_REASON_LENGTH + 10) });
+        assert.ok(preface.endsWith(`> ${'r'.repeat(MAX_REASON_LENGTH)}… (truncated)`));
+    });
+
+    it('should quote every line of the reason', () => {
+        const preface = formatOperationPreface({ index: 0, count: 1, line: '$terraform plan', reason: 'Line one\nLine two' });
+        assert.equal(preface, '#### 1/1: `$terraform plan`\n\n> Line one\n> Line two');
+    });
+
 });
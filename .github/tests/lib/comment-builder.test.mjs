@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { PlanCommentBuilder, ApplyCommentBuilder } from '../../scripts/lib/comment-builder.mjs';
+import { PlanCommentBuilder, ApplyCommentBuilder, DestroyCommentBuilder } from '../../scripts/lib/comment-builder.mjs';
 
 describe('ApplyCommentBuilder', () => {
     it('should generate empty string when no results', () => {
@@ -70,6 +70,25 @@ Apply failed.
     });
 });
 
+describe('DestroyCommentBuilder', () => {
+    it('should parse destroy output correctly', () => {
+        const builder = new DestroyCommentBuilder();
+        builder.addResult('dev/preview', 'Destroy complete! Resources: 4 destroyed.', 'success');
+
+        const comment = builder.build();
+        assert.ok(comment.includes('## 💥 Terraform Destroy Result'));
+        assert.ok(comment.includes('| `dev/preview` | ✅ | -4 |'));
+    });
+
+    it('should handle failed destroy output', () => {
+        const builder = new DestroyCommentBuilder();
+        builder.addResult('dev/preview', 'Error: resource in use', 'failure');
+
+        const comment = builder.build();
+        assert.ok(comment.includes('| `dev/preview` | ❌ | **Error** |'));
+    });
+});
+
 describe('PlanCommentBuilder', () => {
 
   it('Test Case 1: No changes', () => {
@@ -158,4 +177,62 @@ Plan: 1 to add, 0 to change, 0 to destroy.
     const chunks = builder.buildChunks();
     assert.strictEqual(chunks.length, 0);
   });
+
+  it('Test Case 6: Structured plan JSON', () => {
+    const builder = new PlanCommentBuilder();
+    const planJson = {
+      resource_changes: [
+        { address: 'aws_db_instance.main', change: { actions: ['delete', 'create'] } },
+        { address: 'null_resource.msg', change: { actions: ['create'], after: { value: 'Error: text' } } }
+      ]
+    };
+    // Text output contains "Error:" but the JSON model takes precedence
+    builder.addResult('env/prod', 'Error: text inside an attribute', planJson);
+
+    const chunks = builder.buildChunks();
+    assert.ok(chunks[0].includes('| `env/prod` | ⚠️ | +1 add, ±1 replace |'));
+  });
+
+  it('Test Case 7: Invalid plan JSON falls back to text', () => {
+    const builder = new PlanCommentBuilder();
+    builder.addResult('env/dev', 'Plan: 2 to add, 0 to change, 0 to destroy.', '{not json');
+
+    const chunks = builder.buildChunks();
+    assert.ok(chunks[0].includes('+2 add'));
+  });
+
+  it('Test Case 8: Resource table with destructive changes first', () => {
+    const builder = new PlanCommentBuilder();
+    builder.addResult('env/prod', 'raw plan text', {
+      resource_changes: [
+        { address: 'aws_instance.web', change: { actions: ['create'] } },
+        { address: 'aws_db_instance.main', change: { actions: ['delete', 'create'] } },
+        { address: 'aws_s3_bucket.old', change: { actions: ['delete'] } },
+        { address: 'aws_iam_role.app', previous_address: 'aws_iam_role.legacy', change: { actions: ['no-op'] } }
+      ]
+    });
+
+    const body = builder.buildChunks()[0];
+    assert.ok(body.includes('> **⚠️ Destructive changes**\n> - `env/prod`: `aws_db_instance.main` (replace), `aws_s3_bucket.old` (delete)\n'));
+    assert.ok(body.indexOf('Destructive changes') < body.indexOf('Show Detailed Plans'), 'The callout should stay outside the collapsed details');
+    assert.ok(body.includes('<details><summary>Resource changes (4)</summary>'));
+    assert.ok(body.includes('| 🟢 create | `aws_instance.web` |  |'));
+    assert.ok(body.includes('| ⚪ no-op | `aws_iam_role.app` | moved from `aws_iam_role.legacy` |'));
+    assert.ok(body.indexOf('aws_db_instance.main` |') < body.indexOf('aws_instance.web` |'), 'Replacements should be listed first');
+    assert.ok(body.includes('<details><summary>Plan output</summary>'));
+    assert.ok(body.includes('raw plan text'));
+  });
+
+  it('Test Case 9: Long resource lists are capped', () => {
+    const builder = new PlanCommentBuilder({ maxResourcesPerRoot: 3 });
+    const resourceChanges = Array.from({ length: 8 }, (_, i) => ({
+      address: `null_resource.r${i}`,
+      change: { actions: ['create'] }
+    }));
+    builder.addResult('env/dev', '', { resource_changes: resourceChanges });
+
+    const body = builder.buildChunks()[0];
+    assert.ok(body.includes('| | _+5 more_ | |'));
+    assert.ok(!body.includes('null_resource.r7'));
+  });
 });
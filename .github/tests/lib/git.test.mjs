@@ -0,0 +1,121 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { runCommand } from '../../scripts/lib/utils.mjs';
+import { parseNameStatus, getMergeBase, runGitDiff, isShallowRepository, ensureCommits, hasCommit } from '../../scripts/lib/git.mjs';
+
+async function git(cwd, ...args) {
+  const { stdout } = await runCommand('git', args, { cwd });
+  return stdout;
+}
+
+async function commit(cwd, file) {
+  await writeFile(join(cwd, file), file);
+  await git(cwd, 'add', file);
+  await git(cwd, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', file);
+  return git(cwd, 'rev-parse', 'HEAD');
+}
+
+describe('lib/git', () => {
+
+  describe('parseNameStatus', () => {
+    it('should parse modifications, deletions and renames', () => {
+      const stdout = [
+        'M\tenv/dev/main.tf',
+        'D\tenv/old/.terraform-version',
+        'R087\tmodules/a/main.tf\tmodules/b/main.tf',
+        'C100\tenv/dev/backend.tf\tenv/prd/backend.tf',
+        ''
+      ].join('\n');
+
+      assert.deepStrictEqual(parseNameStatus(stdout), [
+        { status: 'M', path: 'env/dev/main.tf' },
+        { status: 'D', path: 'env/old/.terraform-version' },
+        { status: 'R', path: 'modules/b/main.tf', oldPath: 'modules/a/main.tf' },
+        { status: 'C', path: 'env/prd/backend.tf', oldPath: 'env/dev/backend.tf' }
+      ]);
+    });
+
+    it('should return an empty list for an empty diff', () => {
+      assert.deepStrictEqual(parseNameStatus(''), []);
+    });
+  });
+
+  describe('getMergeBase', () => {
+    let dir;
+    let origin;
+    let forkPoint;
+    let base;
+    let head;
+
+    before(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'git-'));
+      origin = join(dir, 'origin');
+      await git(dir, 'init', '-q', '-b', 'main', origin);
+      for (const file of ['a', 'b', 'c', 'd']) forkPoint = await commit(origin, file);
+      await git(origin, 'checkout', '-q', '-b', 'feature');
+      await commit(origin, 'feature1');
+      head = await commit(origin, 'feature2');
+      await git(origin, 'checkout', '-q', 'main');
+      base = await commit(origin, 'main1');
+    });
+
+    after(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should diff from the merge-base like git diff base...head', async () => {
+      assert.strictEqual(await getMergeBase(base, head, origin), forkPoint);
+      assert.deepStrictEqual((await runGitDiff(base, head, origin)).sort(), ['feature1', 'feature2']);
+    });
+
+    it('should fetch missing commits and deepen a shallow clone', async (context) => {
+      context.mock.method(console, 'warn', () => {});
+      const clone = join(dir, 'shallow');
+      await git(dir, 'clone', '-q', '--depth=1', '--branch', 'feature', `file://${origin}`, clone);
+      assert.strictEqual(await isShallowRepository(clone), true);
+
+      assert.strictEqual(await getMergeBase(base, head, clone, { deepenSteps: [1, 2] }), forkPoint);
+    });
+
+    it('should fetch a missing commit into a full clone without making it shallow', async (context) => {
+      context.mock.method(console, 'warn', () => {});
+      const clone = join(dir, 'full');
+      await git(dir, 'clone', '-q', `file://${origin}`, clone);
+      await git(origin, 'checkout', '-q', '-b', 'later');
+      const later = await commit(origin, 'later1');
+      await git(origin, 'checkout', '-q', 'main');
+
+      await ensureCommits([later], clone);
+
+      assert.strictEqual(await hasCommit(later, clone), true);
+      assert.strictEqual(await isShallowRepository(clone), false);
+    });
+
+    it('should explain when history is missing', async (context) => {
+      context.mock.method(console, 'warn', () => {});
+      const clone = join(dir, 'too-shallow');
+      await git(dir, 'clone', '-q', '--depth=1', '--branch', 'feature', `file://${origin}`, clone);
+
+      await assert.rejects(
+        getMergeBase(base, head, clone, { deepenSteps: [] }),
+        /Could not find a merge-base .* Fetch more history/
+      );
+      await assert.rejects(
+        getMergeBase('0'.repeat(40), head, clone),
+        /not available locally and could not be fetched from origin/
+      );
+    });
+
+    it('should explain when the commits have no common history', async (context) => {
+      context.mock.method(console, 'warn', () => {});
+      await git(origin, 'checkout', '-q', '--orphan', 'rewritten');
+      const rewritten = await commit(origin, 'rewritten');
+      await git(origin, 'checkout', '-q', 'main');
+
+      await assert.rejects(getMergeBase(rewritten, head, origin), /have no common history/);
+    });
+  });
+});
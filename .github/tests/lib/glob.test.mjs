@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { globToRegExp, matchGlob, isGlob } from '../../scripts/lib/glob.mjs';
+
+describe('lib/glob', () => {
+
+  describe('matchGlob', () => {
+    it('should match single-segment wildcards', () => {
+      assert.ok(matchGlob('sandbox-foo', 'sandbox-*'));
+      assert.ok(!matchGlob('sandbox-foo/bar', 'sandbox-*'));
+      assert.ok(matchGlob('app1', 'app?'));
+      assert.ok(!matchGlob('app10', 'app?'));
+    });
+
+    it('should match across directories with **', () => {
+      assert.ok(matchGlob('a/b/c', '**/c'));
+      assert.ok(matchGlob('c', '**/c'));
+      assert.ok(matchGlob('a/b/c', 'a/**'));
+      assert.ok(matchGlob('a/c', 'a/**/c'));
+      assert.ok(matchGlob('a/x/y/c', 'a/**/c'));
+      assert.ok(!matchGlob('b/c', 'a/**/c'));
+    });
+
+    it('should support character classes', () => {
+      assert.ok(matchGlob('env1', 'env[0-9]'));
+      assert.ok(!matchGlob('envx', 'env[0-9]'));
+      assert.ok(matchGlob('envx', 'env[!0-9]'));
+    });
+
+    it('should treat regex metacharacters literally', () => {
+      assert.ok(matchGlob('v1.0', 'v1.0'));
+      assert.ok(!matchGlob('v1x0', 'v1.0'));
+      assert.ok(globToRegExp('a+b').test('a+b'));
+    });
+  });
+
+  describe('isGlob', () => {
+    it('should detect glob metacharacters', () => {
+      assert.ok(isGlob('environments/*'));
+      assert.ok(isGlob('env?'));
+      assert.ok(!isGlob('environments/test1'));
+    });
+  });
+});
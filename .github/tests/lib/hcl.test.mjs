@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { stripComments, findBlocks, parseStringAttributes } from '../../scripts/lib/hcl.mjs';
+
+describe('lib/hcl', () => {
+  describe('stripComments', () => {
+    it('should remove comments and keep line breaks', () => {
+      const content = [
+        '# module "old" { source = "../old" }',
+        'module "a" { // inline',
+        '  source = "../a" /* block',
+        '  comment */',
+        '}'
+      ].join('\n');
+      assert.strictEqual(stripComments(content), [
+        '',
+        'module "a" { ',
+        '  source = "../a" ',
+        '',
+        '}'
+      ].join('\n'));
+    });
+
+    it('should keep comment markers inside strings and heredocs', () => {
+      const content = [
+        'url = "https://example.com/#anchor"',
+        'policy = <<-EOT',
+        '  # not a comment',
+        '  EOT',
+        '# comment'
+      ].join('\n');
+      assert.strictEqual(stripComments(content), [
+        'url = "https://example.com/#anchor"',
+        'policy = <<-EOT',
+        '  # not a comment',
+        '  EOT',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('findBlocks', () => {
+    it('should match nested braces and ignore braces in strings', () => {
+      const content = [
+        'locals {',
+        '  name = "${var.prefix}-}"',
+        '  tags = { env = "dev" }',
+        '}',
+        'locals { single = "x" }'
+      ].join('\n');
+      const blocks = findBlocks(content, /^\s*locals\s*\{/gm);
+      assert.strictEqual(blocks.length, 2);
+      assert.ok(blocks[0].body.includes('tags = { env = "dev" }'));
+      assert.strictEqual(blocks[1].body, ' single = "x" ');
+    });
+  });
+
+  describe('parseStringAttributes', () => {
+    it('should read top-level literal attributes only', () => {
+      const body = [
+        '  bucket = "tfstate"',
+        '  key    = "${var.env}/terraform.tfstate"',
+        '  nested = {',
+        '    bucket = "other"',
+        '  }',
+        '  region = "us-east-1"'
+      ].join('\n');
+      assert.deepStrictEqual(parseStringAttributes(body), { bucket: 'tfstate', region: 'us-east-1' });
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import { deepStrictEqual } from 'node:assert';
-import { calculateExecutionPaths } from '../../../scripts/lib/ops/change-detector.mjs';
+import { calculateExecutionPaths, explainExecutionPaths, formatReason, findRemovedRoots } from '../../../scripts/lib/ops/change-detector.mjs';
 
 describe('detect-changes', () => {
     const depsData = {
@@ -50,10 +50,145 @@ describe('detect-changes', () => {
         deepStrictEqual(result, []);
     });
 
+    it('should resolve nested modules transitively', () => {
+        const nestedDeps = {
+            dirs: [
+                { path: 'app1', providers: ['aws'] },
+                { path: 'app2', providers: ['google'] }
+            ],
+            modules: [
+                { source: 'modules/network', usedIn: [], usedInModules: ['modules/platform'] },
+                { source: 'modules/platform', usedIn: ['app1'], usedInModules: ['modules/stack'] },
+                { source: 'modules/stack', usedIn: ['app2'] }
+            ]
+        };
+        const result = calculateExecutionPaths(['modules/network/main.tf'], nestedDeps);
+        deepStrictEqual(result.sort((a, b) => a.path.localeCompare(b.path)), [
+            { path: 'app1', providers: ['aws'] },
+            { path: 'app2', providers: ['google'] }
+        ]);
+    });
+
+    it('should not loop on cyclic module edges', () => {
+        const cyclicDeps = {
+            dirs: [{ path: 'app1', providers: ['aws'] }],
+            modules: [
+                { source: 'modules/a', usedIn: [], usedInModules: ['modules/b'] },
+                { source: 'modules/b', usedIn: ['app1'], usedInModules: ['modules/a'] }
+            ]
+        };
+        const result = calculateExecutionPaths(['modules/a/main.tf'], cyclicDeps);
+        deepStrictEqual(result, [{ path: 'app1', providers: ['aws'] }]);
+    });
+
+    it('should map extra files to roots through triggers', () => {
+        const triggerDeps = {
+            ...depsData,
+            triggers: [
+                { pattern: '.github/env.d/app1/.env', roots: ['app1'] },
+                { pattern: 'vars/**/*.tfvars', roots: ['app2', 'app3'] },
+                { pattern: 'policies/*.json', roots: ['unknown'] }
+            ]
+        };
+        deepStrictEqual(calculateExecutionPaths(['.github/env.d/app1/.env'], triggerDeps), [
+            { path: 'app1', providers: ['aws'] }
+        ]);
+        deepStrictEqual(
+            calculateExecutionPaths(['vars/shared/common.tfvars'], triggerDeps).map(r => r.path).sort(),
+            ['app2', 'app3']
+        );
+        // Roots missing from dirs are ignored
+        deepStrictEqual(calculateExecutionPaths(['policies/a.json'], triggerDeps), []);
+    });
+
     it('should handle new files inside new folder (root)', () => {
         const changedFiles = ['app4/main.tf'];
         // app4 is not in depsData
         const result = calculateExecutionPaths(changedFiles, depsData);
         deepStrictEqual(result, []);
     });
+
+    it('should explain why each root is affected', () => {
+        const explainDeps = {
+            dirs: [
+                { path: 'app1', providers: ['aws'] },
+                { path: 'app2', providers: ['google'] }
+            ],
+            modules: [
+                { source: 'modules/network', usedIn: [], usedInModules: ['modules/platform'] },
+                { source: 'modules/platform', usedIn: ['app1'] }
+            ],
+            triggers: [{ pattern: 'vars/*.tfvars', roots: ['app2'] }]
+        };
+        const result = explainExecutionPaths(
+            ['app2/main.tf', 'vars/common.tfvars', 'modules/network/main.tf', 'modules/network/vars.tf', 'README.md'],
+            explainDeps
+        );
+
+        deepStrictEqual(result, {
+            roots: [
+                {
+                    path: 'app2',
+                    providers: ['google'],
+                    reasons: [
+                        { type: 'root', files: ['app2/main.tf'] },
+                        { type: 'trigger', pattern: 'vars/*.tfvars', files: ['vars/common.tfvars'] }
+                    ]
+                },
+                {
+                    path: 'app1',
+                    providers: ['aws'],
+                    reasons: [{
+                        type: 'module',
+                        chain: ['modules/network', 'modules/platform'],
+                        files: ['modules/network/main.tf', 'modules/network/vars.tf']
+                    }]
+                }
+            ],
+            unmatched: ['README.md']
+        });
+        deepStrictEqual(
+            formatReason(result.roots[1].reasons[0], 'app1'),
+            'modules/network/main.tf, modules/network/vars.tf → module modules/network → used by module modules/platform → used by app1'
+        );
+        deepStrictEqual(formatReason(result.roots[0].reasons[0], 'app2'), 'app2/main.tf: directly inside root');
+        deepStrictEqual(formatReason(result.roots[0].reasons[1], 'app2'), 'vars/common.tfvars → trigger vars/*.tfvars → app2');
+    });
+
+    it('should report deleted and moved roots', () => {
+        const entries = [
+            { status: 'D', path: 'env/old/.terraform-version' },
+            { status: 'D', path: 'env/old/main.tf' },
+            { status: 'R', path: 'env/new/.terraform-version', oldPath: 'env/moved/.terraform-version' },
+            { status: 'R', path: 'env/other/main.tf', oldPath: 'env/dev/main.tf' },
+            { status: 'M', path: 'env/dev/.terraform-version' },
+            { status: 'D', path: '.terraform-version' }
+        ];
+        deepStrictEqual(findRemovedRoots(entries), [
+            { path: 'env/moved', movedTo: 'env/new' },
+            { path: 'env/old' }
+        ]);
+    });
+
+    it('should only report roots of the base graph', () => {
+        const entries = [
+            { status: 'D', path: 'env/old/.terraform-version' },
+            { status: 'D', path: 'examples/demo/.terraform-version' }
+        ];
+        deepStrictEqual(findRemovedRoots(entries, { dirs: [{ path: 'env/old' }] }), [{ path: 'env/old' }]);
+    });
+
+    it('should include the tags and group of the roots', () => {
+        const depsData = {
+            dirs: [
+                { path: 'app1', providers: ['aws'], tags: ['prod'], group: 'team:data' },
+                { path: 'app2', providers: ['google'] }
+            ],
+            modules: []
+        };
+        deepStrictEqual(calculateExecutionPaths(['app1/main.tf', 'app2/main.tf'], depsData), [
+            { path: 'app1', providers: ['aws'], tags: ['prod'], group: 'team:data' },
+            { path: 'app2', providers: ['google'] }
+        ]);
+    });
 });
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { parseCommand } from '../../../scripts/lib/ops/command-parser.mjs';
+import { parseCommand, splitComment } from '../../../scripts/lib/ops/command-parser.mjs';
 
 describe('lib/ops/command-parser', () => {
 
@@ -59,11 +59,131 @@ describe('lib/ops/command-parser', () => {
       assert.match(result.message, /Directory traversal "\.\." is invalid/);
     });
 
+    it('should parse --allow-destroy for apply', () => {
+      const result = parseCommand('$terraform apply env/prod --allow-destroy');
+      assert.strictEqual(result.command, 'apply');
+      assert.deepStrictEqual(result.targets, ['env/prod']);
+      assert.strictEqual(result.allowDestroy, true);
+      assert.strictEqual(parseCommand('$terraform apply env/prod').allowDestroy, false);
+    });
+
+    it('should parse $terraform destroy with matching confirmation', () => {
+      const result = parseCommand('$terraform destroy environments/test1 --confirm environments/test1');
+      assert.strictEqual(result.command, 'destroy');
+      assert.deepStrictEqual(result.targets, ['environments/test1']);
+    });
+
+    it('should accept destroy confirmation in any order', () => {
+      const result = parseCommand('$terraform destroy dev/a dev/b --confirm dev/b dev/a/');
+      assert.strictEqual(result.command, 'destroy');
+      assert.deepStrictEqual(result.targets, ['dev/a', 'dev/b']);
+    });
+
+    it('should reject destroy without targets', () => {
+      const result = parseCommand('$terraform destroy');
+      assert.strictEqual(result.command, 'error');
+      assert.match(result.message, /requires explicit targets/);
+    });
+
+    it('should reject destroy without confirmation', () => {
+      const result = parseCommand('$terraform destroy environments/test1');
+      assert.strictEqual(result.command, 'error');
+      assert.match(result.message, /requires confirmation/);
+    });
+
+    it('should reject destroy with mismatched confirmation', () => {
+      const result = parseCommand('$terraform destroy environments/test1 --confirm environments/test2');
+      assert.strictEqual(result.command, 'error');
+      assert.match(result.message, /does not match/);
+    });
+
     it('should return error for invalid target characters', () => {
       // Test for command injection or invalid chars
       const result = parseCommand('$terraform plan "dev/app; rm -rf /"');
       assert.strictEqual(result.command, 'error');
       assert.match(result.message, /Invalid target path provided/);
     });
+
+    it('should accept glob and negated targets', () => {
+      const result = parseCommand('$terraform plan environments/prod-* environments/** !environments/legacy app[12]');
+      assert.deepStrictEqual(result, {
+        command: 'plan',
+        targets: ['environments/prod-*', 'environments/**', '!environments/legacy', 'app[12]'],
+        flags: []
+      });
+    });
+
+    it('should pass through allowed terraform flags', () => {
+      const result = parseCommand('$terraform plan environments/test1 -target=module.db -var=replicas=3 -refresh=false -replace=aws_instance.web');
+      assert.deepStrictEqual(result, {
+        command: 'plan',
+        targets: ['environments/test1'],
+        flags: ['-target=module.db', '-var=replicas=3', '-refresh=false', '-replace=aws_instance.web']
+      });
+      assert.deepStrictEqual(
+        parseCommand('$terraform plan -target=module.app["eu"].aws_s3_bucket.logs -target=aws_instance.web[0] -refresh-only').flags,
+        ['-target=module.app["eu"].aws_s3_bucket.logs', '-target=aws_instance.web[0]', '-refresh-only']
+      );
+      assert.deepStrictEqual(parseCommand('$terraform apply env/a -parallelism=5 -lock-timeout=30s').flags, ['-parallelism=5', '-lock-timeout=30s']);
+      assert.deepStrictEqual(
+        parseCommand('$terraform destroy env/a -target=module.db --confirm env/a').flags,
+        ['-target=module.db']
+      );
+    });
+
+    it('should reject unknown flags and invalid values', () => {
+      const cases = [
+        ['$terraform plan env/a -chdir=/tmp', /Unsupported flag "-chdir"/],
+        ['$terraform plan env/a -var-file=secrets.tfvars', /Unsupported flag "-var-file"/],
+        ['$terraform plan env/a "-var=cmd=$(id)"', /Invalid value for `-var`/],
+        ['$terraform plan env/a -var=x=`id`', /Invalid value for `-var`/],
+        ['$terraform plan env/a -target=aws_instance.web;rm', /Invalid value for `-target`/],
+        ['$terraform plan env/a -target', /Invalid value for `-target`/],
+        ['$terraform plan env/a -refresh=maybe', /Invalid value for `-refresh`/],
+        ['$terraform plan env/a -refresh-only=true', /`-refresh-only` does not take a value/],
+        ['$terraform plan env/a -parallelism=1000', /Invalid value for `-parallelism`/],
+        ['$terraform apply env/a -target=module.db', /`-target` is not allowed for `apply`.*pass it to `\$terraform plan`/],
+        ['$terraform destroy env/a -replace=aws_instance.web --confirm env/a', /`-replace` is not allowed for `destroy`/]
+      ];
+      for (const [body, message] of cases) {
+        const result = parseCommand(body);
+        assert.strictEqual(result.command, 'error', body);
+        assert.match(result.message, message, body);
+      }
+    });
+
+    it('should accept tag and group selectors', () => {
+      const result = parseCommand('$terraform plan @prod @team:data !tag:eu');
+      assert.deepStrictEqual(result, { command: 'plan', targets: ['@prod', '@team:data', '!tag:eu'], flags: [] });
+      assert.strictEqual(parseCommand('$terraform destroy @prod --confirm @prod').command, 'error');
+      assert.strictEqual(parseCommand('$terraform destroy tag:eu --confirm tag:eu').command, 'error');
+      assert.strictEqual(parseCommand('$terraform plan dev/@app').command, 'error');
+    });
+
+    it('should reject glob and negated targets for destroy', () => {
+      const result = parseCommand('$terraform destroy dev/* --confirm dev/*');
+      assert.strictEqual(result.command, 'error');
+      assert.match(result.message, /does not accept glob, tag or negated targets/);
+      assert.strictEqual(parseCommand('$terraform destroy !dev/a --confirm !dev/a').command, 'error');
+    });
+
+    it('should only allow "!" at the start of a target', () => {
+      assert.strictEqual(parseCommand('$terraform plan dev/!app').command, 'error');
+    });
+  });
+
+  describe('splitComment', () => {
+    it('should return every command line in order and the rest as the reason', () => {
+      const body = '$terraform plan env/a\r\n  $terraform apply env/b\n\nRolling out the new cluster.\nSee #42.';
+      assert.deepStrictEqual(splitComment(body), {
+        lines: ['$terraform plan env/a', '$terraform apply env/b'],
+        reason: 'Rolling out the new cluster.\nSee #42.'
+      });
+    });
+
+    it('should not treat words starting with $terraform as commands', () => {
+      assert.deepStrictEqual(splitComment('$terraform\n$terraformx plan'), { lines: ['$terraform'], reason: '$terraformx plan' });
+      assert.deepStrictEqual(splitComment(''), { lines: [], reason: '' });
+    });
   });
 });
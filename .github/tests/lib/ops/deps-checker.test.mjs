@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { diffDepsData, formatDepsDiff } from '../../../scripts/lib/ops/deps-checker.mjs';
+
+describe('lib/ops/deps-checker', () => {
+  const committed = {
+    dirs: [
+      { path: 'env/dev', providers: ['aws'] },
+      { path: 'env/old', providers: ['aws'] }
+    ],
+    modules: [
+      { source: 'modules/vpc', usedIn: ['env/dev', 'env/old'], usedInModules: [] }
+    ],
+    triggers: [
+      { pattern: 'env/dev/**', roots: ['env/dev'] }
+    ]
+  };
+
+  it('should report an identical graph as up to date', () => {
+    const diff = diffDepsData(committed, structuredClone(committed));
+    assert.strictEqual(diff.upToDate, true);
+    assert.strictEqual(formatDepsDiff(diff), '✅ .tfdeps.json is up to date.');
+  });
+
+  it('should report roots, providers, module edges and triggers', () => {
+    const generated = {
+      dirs: [
+        { path: 'env/dev', providers: ['aws', 'random'], dependsOn: ['env/new'] },
+        { path: 'env/new', providers: ['aws'] }
+      ],
+      modules: [
+        { source: 'modules/vpc', usedIn: ['env/dev', 'env/new'], usedInModules: [] },
+        { source: 'modules/dns', usedIn: ['env/new'], usedInModules: [] }
+      ],
+      triggers: [
+        { pattern: 'env/dev/**', roots: ['env/dev', 'env/new'] }
+      ]
+    };
+
+    const diff = diffDepsData(committed, generated);
+
+    assert.strictEqual(diff.upToDate, false);
+    assert.deepStrictEqual(diff.roots, { added: ['env/new'], removed: ['env/old'] });
+    assert.deepStrictEqual(diff.providers, [{ path: 'env/dev', added: ['random'], removed: [] }]);
+    assert.deepStrictEqual(diff.dependsOn, [{ path: 'env/dev', added: ['env/new'], removed: [] }]);
+    assert.deepStrictEqual(diff.modules.added, ['modules/dns']);
+    assert.deepStrictEqual(diff.modules.changed, [{
+      source: 'modules/vpc',
+      usedIn: { added: ['env/new'], removed: ['env/old'] },
+      usedInModules: { added: [], removed: [] }
+    }]);
+    assert.deepStrictEqual(diff.triggers.changed, [{ pattern: 'env/dev/**', roots: { added: ['env/new'], removed: [] } }]);
+
+    const text = formatDepsDiff(diff);
+    assert.match(text, /^❌ \.tfdeps\.json is out of date:/);
+    assert.match(text, /  \+ env\/new\n  - env\/old/);
+    assert.match(text, /~ env\/dev: \+random/);
+    assert.match(text, /~ modules\/vpc usedIn: \+env\/new, -env\/old/);
+    assert.match(text, /generate-deps` and commit \.tfdeps\.json\.$/);
+  });
+
+  it('should report tags and groups that do not match the labels', () => {
+    const labeled = structuredClone(committed);
+    labeled.dirs[0].tags = ['eu', 'prod'];
+    labeled.dirs[0].group = 'platform';
+    const generated = structuredClone(committed);
+    generated.dirs[0].tags = ['prod', 'us'];
+    generated.dirs[1].group = 'legacy';
+
+    const diff = diffDepsData(labeled, generated);
+
+    assert.strictEqual(diff.upToDate, false);
+    assert.deepStrictEqual(diff.tags, [{ path: 'env/dev', added: ['us'], removed: ['eu'] }]);
+    assert.deepStrictEqual(diff.groups, [
+      { path: 'env/dev', from: 'platform', to: null },
+      { path: 'env/old', from: null, to: 'legacy' }
+    ]);
+    const text = formatDepsDiff(diff);
+    assert.match(text, /Tags:\n  ~ env\/dev: \+us, -eu/);
+    assert.match(text, /Groups:\n  ~ env\/dev: platform -> \(none\)\n  ~ env\/old: \(none\) -> legacy/);
+  });
+
+  it('should treat a missing file as all roots added', () => {
+    const diff = diffDepsData({}, committed);
+    assert.strictEqual(diff.upToDate, false);
+    assert.deepStrictEqual(diff.roots.added, ['env/dev', 'env/old']);
+  });
+});
@@ -1,6 +1,29 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { generateDependencyGraph } from '../../../scripts/lib/ops/deps-generator.mjs';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  generateDependencyGraph,
+  extractModuleSources,
+  compileIgnorePatterns,
+  findTerraformRoots,
+  extractFileReferences,
+  buildTriggers,
+  extractBackend,
+  extractRemoteStates,
+  matchesBackend,
+  buildRootDependencies,
+  normalizeProviderSource,
+  extractProviderRequirements,
+  isTransientError,
+  formatTimingSummary,
+  parseAnalysisOptions,
+  findStaleRoots,
+  buildDepsData
+} from '../../../scripts/lib/ops/deps-generator.mjs';
+import { runCommand } from '../../../scripts/lib/utils.mjs';
+import { getChangedFilesSince } from '../../../scripts/lib/git.mjs';
 
 // Mock dependencies
 // Ideally we would mock runCommand/findTerraformRoots or use a fixture.
@@ -22,4 +45,458 @@ describe('lib/ops/generator', () => {
   it('should be imported successfully', () => {
      assert.ok(generateDependencyGraph);
   });
+
+  describe('extractModuleSources', () => {
+    it('should extract sources of module blocks', () => {
+      const content = `
+module "network" {
+  source = "../network"
+  cidr   = "10.0.0.0/16"
+}
+
+module "dns" { source = "git::https://example.com/org/repo.git//modules/dns?ref=v1" }
+`;
+      assert.deepStrictEqual(extractModuleSources(content), [
+        '../network',
+        'git::https://example.com/org/repo.git//modules/dns?ref=v1'
+      ]);
+    });
+
+    it('should ignore source keys inside nested objects', () => {
+      const content = `
+module "main" {
+  triggers = {
+    source = "not-a-module"
+  }
+  source = "../../modules"
+}
+
+resource "null_resource" "x" {
+  source = "ignored"
+}
+`;
+      assert.deepStrictEqual(extractModuleSources(content), ['../../modules']);
+    });
+
+    it('should ignore braces inside strings', () => {
+      const content = `
+module "app" {
+  description = "closes } early"
+  tags = { name = "{app}" }
+  source = "../app"
+}
+
+module "db" {
+  source = "../db"
+}
+`;
+      assert.deepStrictEqual(extractModuleSources(content), ['../app', '../db']);
+    });
+  });
+
+  describe('compileIgnorePatterns', () => {
+    it('should match bare names at any depth', () => {
+      const isIgnored = compileIgnorePatterns(['node_modules']);
+      assert.ok(isIgnored('node_modules', true));
+      assert.ok(isIgnored('a/b/node_modules', true));
+      assert.ok(!isIgnored('node_modules_x', true));
+    });
+
+    it('should anchor patterns with a leading or middle slash', () => {
+      const isIgnored = compileIgnorePatterns(['/sandbox', 'examples/*/fixtures']);
+      assert.ok(isIgnored('sandbox', true));
+      assert.ok(!isIgnored('envs/sandbox', true));
+      assert.ok(isIgnored('examples/foo/fixtures', true));
+      assert.ok(!isIgnored('other/examples/foo/fixtures', true));
+    });
+
+    it('should support ** and wildcards', () => {
+      const isIgnored = compileIgnorePatterns(['sandbox-*', 'legacy/**']);
+      assert.ok(isIgnored('sandbox-alice', true));
+      assert.ok(isIgnored('envs/sandbox-bob', true));
+      assert.ok(isIgnored('legacy/a/b', true));
+    });
+
+    it('should restrict trailing-slash patterns to directories', () => {
+      const isIgnored = compileIgnorePatterns(['build/']);
+      assert.ok(isIgnored('build', true));
+      assert.ok(!isIgnored('build', false));
+    });
+
+    it('should apply negation with last-match-wins', () => {
+      const isIgnored = compileIgnorePatterns(['sandbox-*', '!sandbox-shared']);
+      assert.ok(isIgnored('sandbox-alice', true));
+      assert.ok(!isIgnored('sandbox-shared', true));
+    });
+  });
+
+  describe('findTerraformRoots', () => {
+    it('should skip ignored directories', async (context) => {
+      const root = await mkdtemp(join(tmpdir(), 'tfroots-'));
+      context.after(() => rm(root, { recursive: true, force: true }));
+
+      for (const dir of ['envs/app', 'envs/sandbox-a', 'examples/x/fixtures', 'examples/x/app']) {
+        await mkdir(join(root, dir), { recursive: true });
+        await writeFile(join(root, dir, '.terraform-version'), '1.9.0\n');
+      }
+
+      const roots = await findTerraformRoots(root, ['sandbox-*', 'examples/*/fixtures']);
+      assert.deepStrictEqual(roots, ['envs/app', 'examples/x/app']);
+    });
+  });
+
+  describe('extractFileReferences', () => {
+    it('should extract literal paths of file functions', () => {
+      const content = `
+locals {
+  script = file("\${path.module}/../../scripts/init.sh")
+  policy = templatefile("policies/app.json.tpl", { name = var.name })
+  dynamic = file(var.path)
+}
+`;
+      assert.deepStrictEqual(extractFileReferences(content), [
+        '${path.module}/../../scripts/init.sh',
+        'policies/app.json.tpl'
+      ]);
+    });
+  });
+
+  describe('buildTriggers', () => {
+    it('should generate env.d triggers and file triggers', () => {
+      const triggers = buildTriggers([
+        { root: 'env/dev', files: ['scripts/init.sh'] },
+        { root: 'env/prod', files: ['scripts/init.sh'] }
+      ]);
+      assert.deepStrictEqual(triggers, [
+        { pattern: '.github/env.d/env/dev/.env', roots: ['env/dev'] },
+        { pattern: '.github/env.d/env/prod/.env', roots: ['env/prod'] },
+        { pattern: 'scripts/init.sh', roots: ['env/dev', 'env/prod'], generated: true }
+      ]);
+    });
+
+    it('should rebuild generated triggers and drop deleted roots from hand-written ones', () => {
+      const triggers = buildTriggers(
+        [{ root: 'env/b', files: ['shared/b.json'] }],
+        [
+          { pattern: 'shared/a.json', roots: ['env/a'], generated: true },
+          { pattern: 'shared/b.json', roots: ['env/a', 'env/b'], generated: true },
+          { pattern: 'vars/a.tfvars', roots: ['env/a'] },
+          { pattern: 'vars/*.tfvars', roots: ['env/a', 'env/b'] }
+        ]
+      );
+      assert.deepStrictEqual(triggers, [
+        { pattern: '.github/env.d/env/b/.env', roots: ['env/b'] },
+        { pattern: 'shared/b.json', roots: ['env/b'], generated: true },
+        { pattern: 'vars/*.tfvars', roots: ['env/b'] }
+      ]);
+    });
+
+    it('should keep a hand-written trigger for a generated file hand-written', () => {
+      const triggers = buildTriggers(
+        [{ root: 'env/a', files: ['shared/x.json'] }, { root: 'env/b' }],
+        [{ pattern: 'shared/x.json', roots: ['env/b'] }]
+      );
+      assert.deepStrictEqual(triggers.find(t => t.pattern === 'shared/x.json'), { pattern: 'shared/x.json', roots: ['env/a', 'env/b'] });
+    });
+
+    it('should keep hand-written triggers and regenerate env.d ones', () => {
+      const triggers = buildTriggers(
+        [{ root: 'env/dev' }],
+        [
+          { pattern: 'vars/*.tfvars', roots: ['env/dev'] },
+          { pattern: '.github/env.d/env/removed/.env', roots: ['env/removed'] }
+        ]
+      );
+      assert.deepStrictEqual(triggers, [
+        { pattern: '.github/env.d/env/dev/.env', roots: ['env/dev'] },
+        { pattern: 'vars/*.tfvars', roots: ['env/dev'] }
+      ]);
+    });
+  });
+  describe('extractBackend / extractRemoteStates', () => {
+    it('should read the backend block', () => {
+      const content = `
+terraform {
+  required_version = ">= 1.5"
+  backend "s3" {
+    bucket = "tfstate"
+    key    = "network/terraform.tfstate"
+    region = "\${var.region}"
+  }
+}`;
+      assert.deepStrictEqual(extractBackend(content), {
+        type: 's3',
+        config: { bucket: 'tfstate', key: 'network/terraform.tfstate' }
+      });
+      assert.strictEqual(extractBackend('resource "x" "y" {}'), null);
+    });
+
+    it('should read terraform_remote_state blocks', () => {
+      const content = `
+data "terraform_remote_state" "network" {
+  backend = "s3"
+  config = {
+    bucket = "tfstate"
+    key    = "network/terraform.tfstate"
+  }
+}
+
+data "terraform_remote_state" "local" {
+  config = { path = "../network/terraform.tfstate" }
+}`;
+      assert.deepStrictEqual(extractRemoteStates(content), [
+        { name: 'network', backend: 's3', config: { bucket: 'tfstate', key: 'network/terraform.tfstate' } },
+        { name: 'local', backend: 'local', config: { path: '../network/terraform.tfstate' } }
+      ]);
+    });
+  });
+
+  describe('buildRootDependencies', () => {
+    const network = { root: 'network', backend: { type: 's3', config: { bucket: 'tfstate', key: 'network.tfstate' } } };
+    const iam = { root: 'iam', backend: { type: 'local', config: { path: 'iam/terraform.tfstate' } } };
+    const eks = {
+      root: 'eks',
+      backend: { type: 's3', config: { bucket: 'tfstate', key: 'eks.tfstate' } },
+      remoteStates: [
+        { name: 'network', backend: 's3', config: { bucket: 'tfstate', key: 'network.tfstate' } },
+        { name: 'iam', backend: 'local', config: { path: 'iam/terraform.tfstate' } }
+      ]
+    };
+
+    it('should match remote states to backends', () => {
+      assert.ok(matchesBackend(eks.remoteStates[0], network.backend));
+      assert.ok(!matchesBackend(eks.remoteStates[0], eks.backend));
+      assert.ok(!matchesBackend({ backend: 's3', config: { bucket: 'tfstate' } }, network.backend));
+    });
+
+    it('should detect dependencies and apply overrides', () => {
+      const logs = [];
+      const dns = { root: 'dns', backend: null, remoteStates: [{ name: 'gone', backend: 'gcs', config: { prefix: 'x' } }] };
+      const dependencies = buildRootDependencies(
+        [network, iam, eks, dns],
+        { eks: { remove: ['iam'] }, dns: { add: ['network', 'unknown'] } },
+        logs
+      );
+      assert.deepStrictEqual(dependencies, { eks: ['network'], dns: ['network'] });
+      assert.deepStrictEqual(logs, [
+        '⚠️  dns: remote state "gone" does not match any root',
+        '⚠️  dns: dependency override "unknown" is not a known root'
+      ]);
+    });
+  });
+  describe('extractProviderRequirements', () => {
+    it('should read required_providers and referenced providers', () => {
+      const content = `
+terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 5.0"
+    }
+    datadog = { source = "DataDog/datadog" }
+    null = "~> 3.0"
+  }
+}
+
+provider "aws" {
+  region = "us-east-1"
+}
+
+resource "random_id" "main" {
+  byte_length = 8
+}
+
+data "terraform_remote_state" "network" {
+  backend = "local"
+}`;
+      assert.deepStrictEqual(extractProviderRequirements(content), {
+        required: { aws: 'hashicorp/aws', datadog: 'DataDog/datadog', null: null },
+        used: ['aws', 'random']
+      });
+    });
+
+    it('should normalize provider sources', () => {
+      assert.strictEqual(normalizeProviderSource('aws'), 'registry.terraform.io/hashicorp/aws');
+      assert.strictEqual(normalizeProviderSource('DataDog/datadog'), 'registry.terraform.io/datadog/datadog');
+      assert.strictEqual(normalizeProviderSource('example.com/acme/foo'), 'example.com/acme/foo');
+    });
+  });
+
+  describe('generateDependencyGraph (static mode)', () => {
+    it('should analyze roots without terraform', async (context) => {
+      const dir = await mkdtemp(join(tmpdir(), 'static-'));
+      context.after(() => rm(dir, { recursive: true, force: true }));
+
+      await mkdir(join(dir, 'modules', 'network'), { recursive: true });
+      await writeFile(join(dir, 'modules', 'network', 'main.tf'), 'resource "aws_vpc" "main" {}\n');
+      await mkdir(join(dir, 'env', 'dev'), { recursive: true });
+      await writeFile(join(dir, 'env', 'dev', '.terraform-version'), '1.5.0\n');
+      await writeFile(join(dir, 'env', 'dev', 'main.tf'), [
+        '# module "old" { source = "../../modules/old" }',
+        'module "network" {',
+        '  source = "../../modules/network"',
+        '}',
+        'module "registry" {',
+        '  source = "terraform-aws-modules/vpc/aws"',
+        '}',
+        'resource "random_id" "main" {}'
+      ].join('\n'));
+
+      const messages = [];
+      const log = { info: (m) => messages.push(m), warning: () => {}, error: () => {} };
+      const { results, roots } = await generateDependencyGraph(dir, [], { mode: 'static', logger: log, concurrency: 1 });
+      assert.deepStrictEqual(roots, ['env/dev']);
+      assert.ok(messages.some(m => /^\[1\/1\] env\/dev ✓ \d+\.\ds$/.test(m)));
+      assert.ok(messages.some(m => m.startsWith('⏱️  Analyzed 1 roots in ')));
+      assert.strictEqual(typeof results[0].durationMs, 'number');
+      assert.strictEqual(results[0].status, 'success');
+      assert.deepStrictEqual(results[0].modules, ['modules/network']);
+      assert.deepStrictEqual(results[0].providers, [
+        'registry.terraform.io/hashicorp/aws',
+        'registry.terraform.io/hashicorp/random'
+      ]);
+    });
+  });
+
+  describe('isTransientError', () => {
+    it('should recognize network and registry errors', () => {
+      assert.strictEqual(isTransientError(new Error('Command failed: terraform\nError: Failed to query available provider packages: dial tcp: i/o timeout')), true);
+      assert.strictEqual(isTransientError(Object.assign(new Error('Command failed'), { stderr: 'registry responded with 503' })), true);
+      assert.strictEqual(isTransientError(new Error('Command failed: terraform\nError: Unsupported argument')), false);
+    });
+  });
+
+  describe('formatTimingSummary', () => {
+    it('should list the slowest roots first', () => {
+      const summary = formatTimingSummary([
+        { root: 'env/a', status: 'success', durationMs: 1200 },
+        { root: 'env/b', status: 'error', durationMs: 15000 },
+        { root: 'env/c', status: 'success', durationMs: 300 }
+      ], 16000, 2);
+      assert.strictEqual(summary, [
+        '⏱️  Analyzed 3 roots in 16.0s. Slowest:',
+        '    15.0s  env/b (failed)',
+        '     1.2s  env/a'
+      ].join('\n'));
+    });
+  });
+
+  describe('parseAnalysisOptions', () => {
+    it('should apply defaults and convert the timeout to milliseconds', () => {
+      assert.deepStrictEqual(parseAnalysisOptions({}), { concurrency: 4, timeoutMs: 600000, initRetries: 2 });
+      assert.deepStrictEqual(
+        parseAnalysisOptions({ concurrency: '8', timeout: '30', retries: '0' }),
+        { concurrency: 8, timeoutMs: 30000, initRetries: 0 }
+      );
+    });
+
+    it('should reject invalid values', () => {
+      assert.throws(() => parseAnalysisOptions({ concurrency: '0' }), /Invalid --concurrency: 0/);
+      assert.throws(() => parseAnalysisOptions({ timeout: 'soon' }), /Invalid --timeout: soon/);
+      assert.throws(() => parseAnalysisOptions({ retries: '-1' }), /Invalid --retries: -1/);
+    });
+  });
+
+  describe('findStaleRoots', () => {
+    it('should return new roots and roots affected by the changes', () => {
+      const previous = {
+        dirs: [{ path: 'env/dev' }, { path: 'env/prod' }, { path: 'env/qa' }],
+        modules: [
+          { source: 'modules/network', usedIn: ['env/dev'] },
+          { source: 'modules/subnet', usedIn: [], usedInModules: ['modules/network'] }
+        ],
+        triggers: []
+      };
+      assert.deepStrictEqual(
+        findStaleRoots(['env/dev', 'env/prod', 'env/stage'], previous, ['modules/subnet/main.tf', 'README.md']),
+        ['env/dev', 'env/stage']
+      );
+      assert.deepStrictEqual(findStaleRoots(['env/dev', 'env/prod'], previous, []), []);
+    });
+  });
+
+  describe('buildDepsData (labels)', () => {
+    it('should apply labels to the roots and keep them', () => {
+      const labels = {
+        'env/prod-*': { tags: ['prod'] },
+        'env/prod-eu': { tags: ['eu'], group: 'team:data' }
+      };
+      const results = ['env/dev', 'env/prod-eu', 'env/prod-us'].map(root => ({ root, providers: [], modules: [] }));
+      const data = buildDepsData(results, { labels });
+
+      assert.deepStrictEqual(data.dirs, [
+        { path: 'env/dev', providers: [] },
+        { path: 'env/prod-eu', providers: [], tags: ['eu', 'prod'], group: 'team:data' },
+        { path: 'env/prod-us', providers: [], tags: ['prod'] }
+      ]);
+      assert.deepStrictEqual(data.labels, labels);
+    });
+  });
+
+  describe('generateDependencyGraph (incremental)', () => {
+    const quiet = { info: () => {}, warning: () => {}, error: () => {} };
+
+    it('should produce the same graph as a full regeneration', async (context) => {
+      const dir = await mkdtemp(join(tmpdir(), 'incremental-'));
+      context.after(() => rm(dir, { recursive: true, force: true }));
+      const write = async (path, content) => {
+        await mkdir(join(dir, path, '..'), { recursive: true });
+        await writeFile(join(dir, path), content);
+      };
+      const git = (...args) => runCommand('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: dir });
+
+      await write('modules/subnet/main.tf', 'resource "aws_subnet" "main" {}\n');
+      await write('modules/network/main.tf', 'module "subnet" {\n  source = "../subnet"\n}\n');
+      await write('modules/dns/main.tf', 'resource "aws_route53_zone" "main" {}\n');
+      for (const env of ['dev', 'prod', 'qa']) await write(`env/${env}/.terraform-version`, '1.5.0\n');
+      await write('env/dev/main.tf', 'module "network" {\n  source = "../../modules/network"\n}\n');
+      await write('env/prod/main.tf', [
+        'module "dns" {',
+        '  source = "../../modules/dns"',
+        '}',
+        'data "terraform_remote_state" "dev" {',
+        '  backend = "local"',
+        '  config = {',
+        '    path = "../dev/terraform.tfstate"',
+        '  }',
+        '}',
+        'locals {',
+        '  zones = file("../../shared/zones.json")',
+        '}'
+      ].join('\n'));
+      await write('env/qa/main.tf', 'resource "random_id" "main" {}\nlocals {\n  seed = file("../../shared/qa.json")\n}\n');
+
+      await git('init', '-q');
+      await git('add', '-A');
+      await git('commit', '-qm', 'initial');
+      const { stdout: sha } = await git('rev-parse', 'HEAD');
+      const { results: initial } = await generateDependencyGraph(dir, [], { logger: quiet });
+      const previous = buildDepsData(initial);
+
+      // A nested module changes, a root changes, a root is added and one is deleted
+      await write('modules/subnet/main.tf', 'resource "google_compute_subnetwork" "main" {}\n');
+      await write('env/dev/main.tf', 'module "network" {\n  source = "../../modules/network"\n}\nmodule "dns" {\n  source = "../../modules/dns"\n}\n');
+      await write('env/stage/.terraform-version', '1.5.0\n');
+      await write('env/stage/main.tf', 'module "dns" {\n  source = "../../modules/dns"\n}\n');
+      await rm(join(dir, 'env/qa'), { recursive: true });
+
+      const changedFiles = await getChangedFilesSince(sha, dir);
+      const full = await generateDependencyGraph(dir, [], { logger: quiet });
+      const incremental = await generateDependencyGraph(dir, [], { logger: quiet, previous, changedFiles });
+
+      assert.deepStrictEqual(
+        incremental.results.filter(r => !r.reused).map(r => r.root),
+        ['env/dev', 'env/stage']
+      );
+      assert.strictEqual(
+        JSON.stringify(buildDepsData(incremental.results, previous), null, 2),
+        JSON.stringify(buildDepsData(full.results, previous), null, 2)
+      );
+      assert.deepStrictEqual(buildDepsData(incremental.results, previous).dirs.find(d => d.path === 'env/prod').dependsOn, ['env/dev']);
+
+      // File triggers of reused roots are rebuilt, those of deleted roots are dropped
+      const triggers = buildDepsData(incremental.results, previous).triggers.filter(t => t.pattern.startsWith('shared/'));
+      assert.deepStrictEqual(triggers, [{ pattern: 'shared/zones.json', roots: ['env/prod'], generated: true }]);
+    });
+  });
 });
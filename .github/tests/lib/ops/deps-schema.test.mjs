@@ -0,0 +1,211 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFile } from 'node:fs/promises';
+import {
+  DEPS_SCHEMA_VERSION,
+  getDepsVersion,
+  migrateDepsData,
+  validateDepsData,
+  prepareDepsData,
+  resolveLabels
+} from '../../../scripts/lib/ops/deps-schema.mjs';
+
+const readJson = async (path) => JSON.parse(await readFile(new URL(path, import.meta.url), 'utf8'));
+
+/**
+ * Checks a value against the subset of JSON Schema used by tfdeps.schema.json.
+ * Fails on any other keyword so the schema cannot outgrow this check unnoticed.
+ */
+function schemaErrors(schema, value, root = schema, at = '$') {
+  const known = ['$schema', 'title', 'description', '$defs', '$ref', 'type', 'const', 'required',
+    'properties', 'additionalProperties', 'items', 'minLength', 'pattern'];
+  const unknown = Object.keys(schema).filter(key => !known.includes(key));
+  if (unknown.length > 0) throw new Error(`Unsupported schema keywords at ${at}: ${unknown.join(', ')}`);
+  if (schema.$ref) {
+    return schemaErrors(root.$defs[schema.$ref.replace('#/$defs/', '')], value, root, at);
+  }
+
+  const types = {
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: Array.isArray,
+    string: v => typeof v === 'string',
+    boolean: v => typeof v === 'boolean'
+  };
+  if (schema.type && !types[schema.type](value)) return [`${at}: expected ${schema.type}`];
+  if ('const' in schema && value !== schema.const) return [`${at}: expected ${schema.const}`];
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: too short`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: does not match ${schema.pattern}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...schemaErrors(schema.items, item, root, `${at}[${i}]`)));
+  }
+  if (types.object(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key}: required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemSchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (itemSchema && typeof itemSchema === 'object') errors.push(...schemaErrors(itemSchema, item, root, `${at}.${key}`));
+    }
+  }
+  return errors;
+}
+
+describe('lib/ops/deps-schema', () => {
+  const valid = {
+    version: DEPS_SCHEMA_VERSION,
+    dirs: [
+      { path: 'env/dev', providers: ['aws'] },
+      { path: 'env/prod', providers: ['aws'], dependsOn: ['env/dev'] }
+    ],
+    modules: [
+      { source: 'modules/vpc', usedIn: ['env/dev', 'env/prod'] },
+      { source: 'modules/subnet', usedIn: [], usedInModules: ['modules/vpc'] },
+      { source: 'env/dev/modules/local', usedIn: ['env/dev'] }
+    ],
+    triggers: [{ pattern: 'shared/**', roots: ['env/dev'] }],
+    dependencyOverrides: { 'env/prod': { remove: ['env/dev'] } }
+  };
+
+  const errorsOf = (data) => {
+    try {
+      validateDepsData(data, 'deps.json');
+      return [];
+    } catch (error) {
+      return error.message.split('\n- ').slice(1);
+    }
+  };
+
+  it('should accept a valid graph', () => {
+    assert.doesNotThrow(() => validateDepsData(valid));
+  });
+
+  it('should migrate a graph written before the version field', () => {
+    const legacy = { dirs: [{ path: 'env/dev', providers: [] }], modules: [] };
+    const migrated = migrateDepsData(legacy);
+
+    assert.strictEqual(getDepsVersion(legacy), 0);
+    assert.deepStrictEqual(migrated, {
+      version: DEPS_SCHEMA_VERSION,
+      dirs: [{ path: 'env/dev', providers: [] }],
+      modules: [],
+      triggers: []
+    });
+    assert.strictEqual(legacy.version, undefined);
+    assert.strictEqual(migrateDepsData(valid), valid);
+  });
+
+  it('should refuse graphs from a newer version', () => {
+    assert.throws(
+      () => migrateDepsData({ ...valid, version: DEPS_SCHEMA_VERSION + 1 }, 'deps.json'),
+      /deps\.json has version 2, but this tool supports up to version 1/
+    );
+    assert.throws(() => migrateDepsData({ version: 'one' }), /version: expected a non-negative integer/);
+  });
+
+  it('should report malformed entries with their location', () => {
+    assert.deepStrictEqual(errorsOf({
+      version: DEPS_SCHEMA_VERSION,
+      dirs: [{ providers: ['aws'] }, { path: 'env/dev', providers: 'aws' }, { path: 'env/dev/' }],
+      modules: [{ source: 'modules/vpc', usedIn: 'env/dev' }]
+    }), [
+      'dirs[0].path: expected a non-empty string',
+      'dirs[1].providers: expected an array',
+      'dirs[2].path: expected a relative path without leading or trailing "/"',
+      'modules[0].usedIn: expected an array'
+    ]);
+  });
+
+  it('should report duplicates and unknown references', () => {
+    assert.deepStrictEqual(errorsOf({
+      ...valid,
+      dirs: [...valid.dirs, { path: 'env/dev', providers: [], dependsOn: ['env/qa'] }],
+      modules: [
+        { source: 'modules/vpc', usedIn: ['env/qa'], usedInModules: ['modules/nope'] },
+        { source: 'modules/vpc', usedIn: [] }
+      ],
+      triggers: [{ pattern: 'shared/**', roots: ['env/qa'] }],
+      dependencyOverrides: { 'env/qa': { add: ['env/dev'] } }
+    }), [
+      'dirs[2].path: duplicate root "env/dev" (also dirs[0])',
+      'dirs[2].dependsOn[0]: unknown root "env/qa"',
+      'modules[1].source: duplicate module "modules/vpc" (also modules[0])',
+      'modules[0].usedIn[0]: unknown root "env/qa"',
+      'modules[0].usedInModules[0]: unknown module "modules/nope"',
+      'triggers[0].roots[0]: unknown root "env/qa"',
+      'dependencyOverrides["env/qa"]: unknown root "env/qa"'
+    ]);
+  });
+
+  it('should report modules overlapping roots', () => {
+    assert.deepStrictEqual(errorsOf({
+      ...valid,
+      modules: [
+        { source: 'env/dev', usedIn: ['env/prod'] },
+        { source: 'env/dev/modules/shared', usedIn: ['env/dev', 'env/prod'] }
+      ]
+    }), [
+      'modules[0].source: "env/dev" is also a root',
+      'modules[1].source: "env/dev/modules/shared" is inside root "env/dev" but used by other roots'
+    ]);
+  });
+
+  it('should validate labels', () => {
+    assert.doesNotThrow(() => validateDepsData({
+      ...valid,
+      dirs: [{ path: 'env/dev', tags: ['dev'] }, { path: 'env/prod', tags: ['prod', 'eu'], group: 'team:data' }],
+      labels: { 'env/*': { tags: ['eu'] }, 'env/prod': { tags: ['prod'], group: 'team:data' } }
+    }));
+    assert.deepStrictEqual(errorsOf({
+      ...valid,
+      dirs: [{ path: 'env/dev', tags: ['has space'] }, { path: 'env/prod', group: 7 }],
+      labels: {
+        'env/qa': { tags: ['qa'] },
+        'env/*': { group: 'ops' },
+        'env/prod': { group: 'team:data', tags: 'prod' }
+      }
+    }), [
+      'dirs[0].tags[0]: expected a name of letters, digits, "_", ".", ":" or "-"',
+      'dirs[1].group: expected a name of letters, digits, "_", ".", ":" or "-"',
+      'labels["env/qa"]: unknown root "env/qa"',
+      'labels["env/prod"].tags: expected an array',
+      'labels: root "env/prod" is in more than one group (ops, team:data)'
+    ]);
+  });
+
+  it('should resolve the labels of a root', () => {
+    const labels = { 'env/**': { tags: ['all'] }, 'env/prod': { tags: ['prod', 'all'], group: 'core' } };
+    assert.deepStrictEqual(resolveLabels('env/prod', labels), { tags: ['all', 'prod'], groups: ['core'] });
+    assert.deepStrictEqual(resolveLabels('other', labels), { tags: [], groups: [] });
+    assert.deepStrictEqual(resolveLabels('other'), { tags: [], groups: [] });
+  });
+
+  it('should describe the committed and migrated graphs in tfdeps.schema.json', async () => {
+    const schema = await readJson('../../../scripts/lib/ops/tfdeps.schema.json');
+    const committed = await readJson('../../../../.tfdeps.json');
+    const migrated = migrateDepsData({ dirs: [{ path: 'env/dev', providers: ['aws'] }], modules: [] });
+
+    assert.doesNotThrow(() => validateDepsData(committed));
+    assert.deepStrictEqual(schemaErrors(schema, committed), []);
+    assert.deepStrictEqual(schemaErrors(schema, migrated), []);
+    assert.deepStrictEqual(schemaErrors(schema, valid), []);
+    assert.deepStrictEqual(schemaErrors(schema, {
+      version: DEPS_SCHEMA_VERSION,
+      dirs: [{ path: 'env/dev/', tags: ['has space'] }],
+      modules: [{ source: 'modules/vpc' }]
+    }), [
+      '$.dirs[0].path: does not match ^[^/](.*[^/])?$',
+      '$.dirs[0].tags[0]: does not match ^[A-Za-z0-9_.:-]+$',
+      '$.modules[0].usedIn: required'
+    ]);
+  });
+
+  it('should migrate and validate in one step', () => {
+    assert.strictEqual(prepareDepsData({ dirs: [{ path: 'a' }], modules: [] }).version, DEPS_SCHEMA_VERSION);
+    assert.throws(() => prepareDepsData({ dirs: [{ path: 'a' }, { path: 'a' }], modules: [] }, 'x.json'),
+      /Invalid dependency graph in x\.json:\n- dirs\[1\]\.path: duplicate root "a"/);
+  });
+});
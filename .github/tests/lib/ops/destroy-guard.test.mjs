@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  matchResourceAddress,
+  findProtectedChanges,
+  loadSavedPlans,
+  checkDestructiveChanges,
+  formatBlocked
+} from '../../../scripts/lib/ops/destroy-guard.mjs';
+import { parsePlanJson } from '../../../scripts/lib/plan-parser.mjs';
+
+describe('lib/ops/destroy-guard', () => {
+  const plan = parsePlanJson({
+    resource_changes: [
+      { address: 'module.db.aws_db_instance.main', change: { actions: ['delete', 'create'] } },
+      { address: 'aws_instance.prod_web', change: { actions: ['delete'] } },
+      { address: 'aws_instance.dev_web', change: { actions: ['delete'] } },
+      { address: 'aws_db_instance.replica', change: { actions: ['update'] } }
+    ]
+  });
+
+  describe('matchResourceAddress', () => {
+    it('should match wildcards across dots', () => {
+      assert.ok(matchResourceAddress('aws_db_instance.*', 'aws_db_instance.main'));
+      assert.ok(matchResourceAddress('*.prod_*', 'aws_instance.prod_web'));
+      assert.ok(!matchResourceAddress('*.prod_*', 'aws_instance.dev_web'));
+    });
+
+    it('should match resources inside modules', () => {
+      assert.ok(matchResourceAddress('aws_db_instance.*', 'module.db.aws_db_instance.main'));
+      assert.ok(matchResourceAddress('aws_db_instance.*', 'module.a["x"].module.b.aws_db_instance.main'));
+      assert.ok(matchResourceAddress('module.db.*', 'module.db.aws_db_instance.main'));
+    });
+  });
+
+  describe('findProtectedChanges', () => {
+    it('should only report deletes and replacements', () => {
+      assert.deepStrictEqual(findProtectedChanges(plan, ['aws_db_instance.*', '*.prod_*']), [
+        { address: 'module.db.aws_db_instance.main', action: 'replace' },
+        { address: 'aws_instance.prod_web', action: 'delete' }
+      ]);
+    });
+  });
+
+  describe('checkDestructiveChanges', () => {
+    it('should block targets with protected changes or no saved plan', () => {
+      const plans = new Map([['env/prod', plan], ['env/dev', parsePlanJson({})]]);
+      const blocked = checkDestructiveChanges(['env/prod', 'env/dev', 'env/new'], plans, ['aws_db_instance.*']);
+      assert.deepStrictEqual(blocked.map(b => b.path), ['env/prod', 'env/new']);
+      assert.deepStrictEqual(blocked[0].addresses, ['module.db.aws_db_instance.main (replace)']);
+      assert.match(blocked[1].reason, /No saved plan found/);
+    });
+
+    it('should do nothing without protected patterns', () => {
+      assert.deepStrictEqual(checkDestructiveChanges(['env/prod'], new Map(), []), []);
+    });
+  });
+
+  describe('loadSavedPlans', () => {
+    it('should read plan artifacts keyed by root path', async (context) => {
+      const dir = await mkdtemp(join(tmpdir(), 'plans-'));
+      context.after(() => rm(dir, { recursive: true, force: true }));
+
+      await mkdir(join(dir, 'plan-env-prod'));
+      await writeFile(join(dir, 'plan-env-prod', 'info.json'), JSON.stringify({ path: 'env/prod' }));
+      await writeFile(join(dir, 'plan-env-prod', 'plan.json'), JSON.stringify({
+        resource_changes: [{ address: 'a.b', change: { actions: ['delete'] } }]
+      }));
+      await mkdir(join(dir, 'plan-env-dev'));
+      await writeFile(join(dir, 'plan-env-dev', 'info.json'), JSON.stringify({ path: 'env/dev' }));
+
+      const plans = await loadSavedPlans(dir);
+      assert.deepStrictEqual(Array.from(plans.keys()), ['env/prod']);
+      assert.strictEqual(plans.get('env/prod').summary.destroy, 1);
+    });
+
+    it('should return an empty map for a missing directory', async () => {
+      const plans = await loadSavedPlans(join(tmpdir(), 'does-not-exist-plans'));
+      assert.strictEqual(plans.size, 0);
+    });
+  });
+
+  describe('formatBlocked', () => {
+    it('should list offending addresses', () => {
+      const message = formatBlocked([{ path: 'env/prod', reason: 'Bad.', addresses: ['a.b (delete)'] }]);
+      assert.ok(message.includes('- `env/prod`: Bad.'));
+      assert.ok(message.includes('  - `a.b (delete)`'));
+      assert.ok(message.includes('--allow-destroy'));
+    });
+  });
+});
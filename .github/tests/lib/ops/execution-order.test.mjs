@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  buildDependsOnMap,
+  findCycle,
+  computeWaves,
+  assignWaves,
+  reverseWaves,
+  checkWaveCount
+} from '../../../scripts/lib/ops/execution-order.mjs';
+
+describe('lib/ops/execution-order', () => {
+  const depsData = {
+    dirs: [
+      { path: 'network', providers: ['aws'] },
+      { path: 'iam', providers: ['aws'] },
+      { path: 'eks', providers: ['aws'], dependsOn: ['network', 'iam'] },
+      { path: 'apps', providers: ['kubernetes'], dependsOn: ['eks'] },
+      { path: 'dns', providers: ['aws'] }
+    ]
+  };
+
+  it('should build the dependsOn map', () => {
+    const map = buildDependsOnMap(depsData);
+    assert.deepStrictEqual(map.get('eks'), ['network', 'iam']);
+    assert.deepStrictEqual(map.get('dns'), []);
+  });
+
+  it('should group roots into waves', () => {
+    assert.deepStrictEqual(computeWaves(['apps', 'eks', 'network', 'iam', 'dns'], depsData), [
+      ['dns', 'iam', 'network'],
+      ['eks'],
+      ['apps']
+    ]);
+  });
+
+  it('should keep the order through roots that are not selected', () => {
+    assert.deepStrictEqual(computeWaves(['apps', 'network'], depsData), [['network'], ['apps']]);
+    assert.deepStrictEqual(computeWaves(['apps', 'dns'], depsData), [['apps', 'dns']]);
+  });
+
+  it('should detect cycles', () => {
+    const cyclic = {
+      dirs: [
+        { path: 'a', dependsOn: ['b'] },
+        { path: 'b', dependsOn: ['c'] },
+        { path: 'c', dependsOn: ['a'] }
+      ]
+    };
+    assert.deepStrictEqual(findCycle(buildDependsOnMap(cyclic)), ['a', 'b', 'c', 'a']);
+    assert.strictEqual(findCycle(buildDependsOnMap(depsData)), null);
+    assert.throws(() => computeWaves(['a'], cyclic), /Dependency cycle detected: a -> b -> c -> a/);
+  });
+
+  it('should assign and reverse waves', () => {
+    const targets = [{ path: 'apps', providers: [] }, { path: 'network', providers: [] }, { path: 'dns', providers: [] }];
+    const ordered = assignWaves(targets, depsData);
+    assert.deepStrictEqual(ordered, [
+      { path: 'dns', providers: [], wave: 0 },
+      { path: 'network', providers: [], wave: 0 },
+      { path: 'apps', providers: [], wave: 1 }
+    ]);
+    assert.deepStrictEqual(reverseWaves(ordered).map(t => [t.path, t.wave]), [
+      ['apps', 0],
+      ['dns', 1],
+      ['network', 1]
+    ]);
+  });
+
+  it('should refuse more waves than the workflows run', () => {
+    assert.doesNotThrow(() => checkWaveCount([{ path: 'a', wave: 0 }, { path: 'b', wave: 1 }], 2));
+    assert.throws(() => checkWaveCount([{ path: 'a', wave: 0 }, { path: 'b', wave: 2 }], 2), /need 3 waves .* at most 2/);
+    assert.doesNotThrow(() => checkWaveCount([]));
+  });
+});
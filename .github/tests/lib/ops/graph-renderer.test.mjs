@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  buildGraph,
+  focusGraph,
+  toDot,
+  toMermaid,
+  toAdjacency,
+  renderGraph
+} from '../../../scripts/lib/ops/graph-renderer.mjs';
+
+describe('lib/ops/graph-renderer', () => {
+  const depsData = {
+    version: 1,
+    dirs: [
+      { path: 'env/dev', providers: [] },
+      { path: 'env/prod', providers: [], dependsOn: ['env/dev'] },
+      { path: 'env/qa', providers: [] }
+    ],
+    modules: [
+      { source: 'modules/platform', usedIn: ['env/prod'] },
+      { source: 'modules/network', usedIn: ['env/dev'], usedInModules: ['modules/platform'] },
+      { source: 'modules/dns', usedIn: ['env/qa'] }
+    ],
+    triggers: []
+  };
+
+  it('should build nodes and edges', () => {
+    const graph = buildGraph(depsData);
+    assert.strictEqual(graph.nodes.get('env/dev').type, 'root');
+    assert.strictEqual(graph.nodes.get('modules/dns').type, 'module');
+    assert.deepStrictEqual(graph.edges, [
+      { from: 'env/dev', to: 'modules/network', type: 'uses' },
+      { from: 'env/prod', to: 'env/dev', type: 'dependsOn' },
+      { from: 'env/prod', to: 'modules/platform', type: 'uses' },
+      { from: 'env/qa', to: 'modules/dns', type: 'uses' },
+      { from: 'modules/platform', to: 'modules/network', type: 'uses' }
+    ]);
+  });
+
+  it('should focus on the upstream and downstream neighborhood', () => {
+    const graph = buildGraph(depsData);
+
+    const network = focusGraph(graph, 'modules/network');
+    assert.deepStrictEqual(Array.from(network.nodes.keys()).sort(), ['env/dev', 'env/prod', 'modules/network', 'modules/platform']);
+
+    const shallow = focusGraph(graph, 'modules/network/', 1);
+    assert.strictEqual(shallow.focus, 'modules/network');
+    assert.deepStrictEqual(Array.from(shallow.nodes.keys()).sort(), ['env/dev', 'modules/network', 'modules/platform']);
+
+    assert.throws(() => focusGraph(graph, 'modules/nope'), /Unknown root or module: modules\/nope/);
+    assert.throws(() => focusGraph(graph, 'modules/netwrok'), /Unknown root or module: modules\/netwrok \(did you mean modules\/network\?\)/);
+  });
+
+  it('should render DOT', () => {
+    const dot = toDot(focusGraph(buildGraph(depsData), 'env/qa'));
+    assert.strictEqual(dot, [
+      'digraph tfdeps {',
+      '  rankdir=LR;',
+      '  node [fontname="Helvetica"];',
+      '  "env/qa" [shape=box, penwidth=3];',
+      '  "modules/dns" [shape=ellipse];',
+      '  "env/qa" -> "modules/dns";',
+      '}'
+    ].join('\n'));
+    assert.match(toDot(buildGraph(depsData)), /"env\/prod" -> "env\/dev" \[style=dashed, label="dependsOn"\];/);
+  });
+
+  it('should render a Mermaid flowchart', () => {
+    const mermaid = toMermaid(focusGraph(buildGraph(depsData), 'env/prod', 1));
+    assert.strictEqual(mermaid, [
+      'flowchart LR',
+      '  n0["env/dev"]',
+      '  n1["env/prod"]',
+      '  n2(["modules/platform"])',
+      '  n1 -.->|dependsOn| n0',
+      '  n1 --> n2',
+      '  style n1 stroke-width:3px'
+    ].join('\n'));
+  });
+
+  it('should render adjacency JSON', () => {
+    const adjacency = toAdjacency(buildGraph(depsData));
+    assert.strictEqual(adjacency.focus, null);
+    assert.deepStrictEqual(adjacency.nodes['modules/network'], {
+      type: 'module', uses: [], usedBy: ['env/dev', 'modules/platform'], dependsOn: [], dependents: []
+    });
+    assert.deepStrictEqual(adjacency.nodes['env/dev'].dependents, ['env/prod']);
+    assert.deepStrictEqual(JSON.parse(renderGraph(buildGraph(depsData), 'json')), adjacency);
+    assert.throws(() => renderGraph(buildGraph(depsData), 'svg'), /Unknown format: svg/);
+  });
+});
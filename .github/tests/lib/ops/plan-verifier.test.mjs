@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  hashFile,
+  findPlanArtifacts,
+  verifyPlan,
+  verifyPlans,
+  formatStale
+} from '../../../scripts/lib/ops/plan-verifier.mjs';
+
+describe('lib/ops/plan-verifier', () => {
+  const now = new Date('2024-06-03T12:00:00Z');
+
+  async function setup(context) {
+    const dir = await mkdtemp(join(tmpdir(), 'verify-'));
+    context.after(() => rm(dir, { recursive: true, force: true }));
+
+    // Workspace with a committed lockfile
+    await mkdir(join(dir, 'repo', 'env', 'prod'), { recursive: true });
+    await writeFile(join(dir, 'repo', 'env', 'prod', '.terraform.lock.hcl'), 'lock');
+
+    // Downloaded plan artifact
+    const artifactDir = join(dir, 'plans', 'plan-env-prod');
+    await mkdir(artifactDir, { recursive: true });
+    await writeFile(join(artifactDir, 'tfplan'), 'binary plan');
+
+    const fingerprint = {
+      root: 'env/prod',
+      headSha: 'abc1234567',
+      lockfileHash: await hashFile(join(dir, 'repo', 'env', 'prod', '.terraform.lock.hcl')),
+      planChecksum: await hashFile(join(artifactDir, 'tfplan')),
+      createdAt: '2024-06-03T10:00:00Z'
+    };
+    const writeInfo = (info) => writeFile(join(artifactDir, 'info.json'), JSON.stringify(info));
+    await writeInfo({ path: 'env/prod', outcome: 'success', fingerprint });
+
+    return { dir, artifactDir, fingerprint, writeInfo };
+  }
+
+  const options = (dir) => ({ headSha: 'abc1234567', workspaceRoot: join(dir, 'repo'), now });
+
+  it('should hash files and return null for missing files', async (context) => {
+    const { artifactDir } = await setup(context);
+    assert.match(await hashFile(join(artifactDir, 'tfplan')), /^[0-9a-f]{64}$/);
+    assert.strictEqual(await hashFile(join(artifactDir, 'missing')), null);
+  });
+
+  it('should accept a matching, fresh plan', async (context) => {
+    const { dir } = await setup(context);
+    const artifacts = await findPlanArtifacts(join(dir, 'plans'));
+    assert.deepStrictEqual(Array.from(artifacts.keys()), ['env/prod']);
+    assert.strictEqual(await verifyPlan('env/prod', artifacts.get('env/prod'), options(dir)), null);
+  });
+
+  it('should refuse a plan for another head SHA', async (context) => {
+    const { dir } = await setup(context);
+    const stale = await verifyPlans(['env/prod'], join(dir, 'plans'), { ...options(dir), headSha: 'def7654321' });
+    assert.deepStrictEqual(stale, [{
+      path: 'env/prod',
+      reason: 'Saved plan was created for `abc1234`, but the PR head is `def7654`.'
+    }]);
+  });
+
+  it('should refuse an expired plan', async (context) => {
+    const { dir } = await setup(context);
+    const stale = await verifyPlans(['env/prod'], join(dir, 'plans'), { ...options(dir), maxAgeHours: 1 });
+    assert.match(stale[0].reason, /expired \(created 2 hours ago, limit is 1 hours\)/);
+  });
+
+  it('should refuse when the lockfile changed', async (context) => {
+    const { dir } = await setup(context);
+    await writeFile(join(dir, 'repo', 'env', 'prod', '.terraform.lock.hcl'), 'updated');
+    const stale = await verifyPlans(['env/prod'], join(dir, 'plans'), options(dir));
+    assert.match(stale[0].reason, /\.terraform\.lock\.hcl` has changed/);
+  });
+
+  it('should refuse a tampered or missing plan file', async (context) => {
+    const { dir, artifactDir } = await setup(context);
+    await writeFile(join(artifactDir, 'tfplan'), 'other plan');
+    let stale = await verifyPlans(['env/prod'], join(dir, 'plans'), options(dir));
+    assert.strictEqual(stale[0].reason, 'Saved plan file does not match its checksum.');
+
+    await rm(join(artifactDir, 'tfplan'));
+    stale = await verifyPlans(['env/prod'], join(dir, 'plans'), options(dir));
+    assert.strictEqual(stale[0].reason, 'Saved plan file `tfplan` is missing.');
+  });
+
+  it('should refuse missing, failed or unfingerprinted plans', async (context) => {
+    const { dir, fingerprint, writeInfo } = await setup(context);
+    let stale = await verifyPlans(['env/dev'], join(dir, 'plans'), options(dir));
+    assert.strictEqual(stale[0].reason, 'No saved plan found.');
+
+    await writeInfo({ path: 'env/prod', outcome: 'failure', fingerprint });
+    stale = await verifyPlans(['env/prod'], join(dir, 'plans'), options(dir));
+    assert.strictEqual(stale[0].reason, 'Saved plan did not succeed (failure).');
+
+    await writeInfo({ path: 'env/prod' });
+    stale = await verifyPlans(['env/prod'], join(dir, 'plans'), options(dir));
+    assert.strictEqual(stale[0].reason, 'Saved plan has no fingerprint.');
+  });
+
+  it('should tell the user to re-run plan', () => {
+    const message = formatStale([{ path: 'env/prod', reason: 'No saved plan found.' }]);
+    assert.ok(message.includes('- `env/prod`: No saved plan found.'));
+    assert.ok(message.includes('Re-run `$terraform plan`'));
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  loadPolicy,
+  buildLegacyPolicy,
+  legacyRolesFromEnv,
+  validatePolicy,
+  isBusinessHours,
+  evaluatePolicy,
+  authorizeTargets,
+  formatDenials
+} from '../../../scripts/lib/ops/policy.mjs';
+
+describe('lib/ops/policy', () => {
+  const policy = {
+    businessHours: { timeZone: 'UTC', days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '18:00' },
+    roles: {
+      planner: { members: ['*'], commands: ['plan'], paths: ['**'] },
+      payments: { members: ['team:team-payments'], commands: ['plan', 'apply'], paths: ['environments/payments/**'] },
+      applier: { members: ['alice'], commands: ['plan', 'apply'], paths: ['**'] }
+    },
+    deny: [
+      {
+        commands: ['apply', 'destroy'],
+        paths: ['**/prod-*'],
+        when: 'outside-business-hours',
+        reason: 'Production changes are only allowed during business hours.'
+      }
+    ]
+  };
+
+  // Wednesday 10:00 UTC / Saturday 10:00 UTC
+  const weekday = new Date('2026-10-14T10:00:00Z');
+  const weekend = new Date('2026-10-17T10:00:00Z');
+
+  describe('evaluatePolicy', () => {
+    it('should allow plan for everyone', () => {
+      const result = evaluatePolicy(policy, { actor: 'bob' }, 'plan', 'environments/dev', weekday);
+      assert.strictEqual(result.allowed, true);
+    });
+
+    it('should deny apply without a granting role', () => {
+      const result = evaluatePolicy(policy, { actor: 'bob' }, 'apply', 'environments/dev', weekday);
+      assert.strictEqual(result.allowed, false);
+      assert.match(result.reason, /No role grants `apply`.*roles: planner/);
+    });
+
+    it('should grant team members apply on their paths only', () => {
+      const principal = { actor: 'carol', teams: ['team-payments'] };
+      assert.strictEqual(evaluatePolicy(policy, principal, 'apply', 'environments/payments/api', weekday).allowed, true);
+      assert.strictEqual(evaluatePolicy(policy, principal, 'apply', 'environments/search', weekday).allowed, false);
+    });
+
+    it('should match usernames case-insensitively', () => {
+      assert.strictEqual(evaluatePolicy(policy, { actor: 'Alice' }, 'apply', 'environments/dev', weekday).allowed, true);
+    });
+
+    it('should apply time-based deny rules', () => {
+      const principal = { actor: 'alice' };
+      assert.strictEqual(evaluatePolicy(policy, principal, 'apply', 'environments/prod-eu', weekday).allowed, true);
+
+      const result = evaluatePolicy(policy, principal, 'apply', 'environments/prod-eu', weekend);
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.reason, 'Production changes are only allowed during business hours.');
+
+      assert.strictEqual(evaluatePolicy(policy, principal, 'plan', 'environments/prod-eu', weekend).allowed, true);
+    });
+  });
+
+  describe('authorizeTargets', () => {
+    it('should authorize each target individually', () => {
+      const { allowed, denied } = authorizeTargets(
+        policy,
+        { actor: 'carol', teams: ['team-payments'] },
+        'apply',
+        ['environments/payments/api', 'environments/search'],
+        weekday
+      );
+      assert.deepStrictEqual(allowed, ['environments/payments/api']);
+      assert.strictEqual(denied.length, 1);
+      assert.strictEqual(denied[0].path, 'environments/search');
+    });
+  });
+
+  describe('formatDenials', () => {
+    it('should list refused targets with reasons', () => {
+      const message = formatDenials('bob', 'apply', [{ path: 'env/a', reason: 'Nope.' }]);
+      assert.ok(message.includes('@bob is not authorized to run `apply`'));
+      assert.ok(message.includes('- `env/a`: Nope.'));
+    });
+  });
+
+  describe('buildLegacyPolicy', () => {
+    it('should mirror APPLIERS and DESTROYERS', () => {
+      const legacy = buildLegacyPolicy(legacyRolesFromEnv({ APPLIERS: '["alice"]', DESTROYERS: 'not-json' }));
+      assert.strictEqual(evaluatePolicy(legacy, { actor: 'alice' }, 'apply', 'any').allowed, true);
+      assert.strictEqual(evaluatePolicy(legacy, { actor: 'bob' }, 'apply', 'any').allowed, false);
+      assert.strictEqual(evaluatePolicy(legacy, { actor: 'bob' }, 'plan', 'any').allowed, true);
+      assert.strictEqual(evaluatePolicy(legacy, { actor: 'alice' }, 'destroy', 'any').allowed, false);
+    });
+  });
+
+  describe('loadPolicy', () => {
+    it('should load only the given policy file, never the workspace copy', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'policy-'));
+      const cwd = process.cwd();
+      try {
+        // A policy added by the code under review must not grant anything
+        await writeFile(join(dir, '.tfpolicy.json'), JSON.stringify({
+          roles: { everyone: { members: ['*'], commands: ['apply', 'destroy'], paths: ['**'] } }
+        }));
+        process.chdir(dir);
+        const legacy = await loadPolicy({ legacy: { appliers: ['alice'] } });
+        assert.deepStrictEqual(legacy, buildLegacyPolicy({ appliers: ['alice'] }));
+
+        const trusted = await loadPolicy({ policyFile: join(dir, '.tfpolicy.json') });
+        assert.strictEqual(evaluatePolicy(trusted, { actor: 'bob' }, 'destroy', 'any').allowed, true);
+      } finally {
+        process.chdir(cwd);
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('validatePolicy', () => {
+    it('should report malformed entries', () => {
+      assert.throws(
+        () => validatePolicy({ roles: { x: { members: 'alice', commands: [], paths: [] } }, deny: [{ commands: [], paths: [], when: 'night' }] }),
+        (err) => {
+          assert.match(err.message, /roles\.x\.members: expected an array/);
+          assert.match(err.message, /deny\[0\]\.when/);
+          return true;
+        }
+      );
+    });
+
+    it('should reject unknown role names in exceptRoles', () => {
+      assert.throws(
+        () => validatePolicy({ ...policy, deny: [{ commands: ['apply'], paths: ['**'], exceptRoles: ['applier', 'admin'] }] }),
+        /deny\[0\]\.exceptRoles: unknown role "admin"/
+      );
+    });
+
+    it('should reject malformed business hours', () => {
+      const check = (businessHours, pattern) =>
+        assert.throws(() => validatePolicy({ ...policy, businessHours }), pattern);
+      check({ ...policy.businessHours, start: '25:00' }, /businessHours\.start: expected HH:MM/);
+      check({ ...policy.businessHours, end: '9am' }, /businessHours\.end: expected HH:MM/);
+      check({ ...policy.businessHours, timeZone: 'Mars/Olympus' }, /businessHours\.timeZone: unknown time zone "Mars\/Olympus"/);
+      check({ ...policy.businessHours, days: ['monday'] }, /businessHours\.days: expected an array/);
+    });
+
+    it('should reject deny rules that select no roots or actors', () => {
+      assert.throws(
+        () => validatePolicy({ ...policy, deny: [{ commands: ['apply'], paths: [] }] }),
+        /deny\[0\]: expected non-empty paths or members/
+      );
+    });
+
+    it('should apply deny rules without paths to every root of the selected actors', () => {
+      const actorPolicy = { ...policy, deny: [{ commands: ['apply'], members: ['alice'] }] };
+      assert.doesNotThrow(() => validatePolicy(actorPolicy));
+      const result = evaluatePolicy(actorPolicy, { actor: 'alice' }, 'apply', 'environments/dev', weekday);
+      assert.deepStrictEqual(result, { allowed: false, reason: 'Denied by policy.' });
+    });
+
+    it('should accept a valid policy', () => {
+      assert.doesNotThrow(() => validatePolicy(policy));
+    });
+  });
+
+  describe('isBusinessHours', () => {
+    it('should honor the time zone', () => {
+      // 2026-10-14 01:00 UTC is 10:00 in Tokyo
+      const date = new Date('2026-10-14T01:00:00Z');
+      assert.strictEqual(isBusinessHours(date, { timeZone: 'UTC' }), false);
+      assert.strictEqual(isBusinessHours(date, { timeZone: 'Asia/Tokyo' }), true);
+    });
+  });
+});
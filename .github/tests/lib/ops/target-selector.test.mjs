@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import { deepStrictEqual } from 'node:assert';
-import { resolveTargets } from '../../../scripts/lib/ops/target-selector.mjs';
+import { resolveTargets, hasPatterns, formatResolvedTargets, suggestTargets, formatFailedTargets } from '../../../scripts/lib/ops/target-selector.mjs';
 
 describe('select-targets', () => {
     const depsData = {
@@ -27,4 +27,130 @@ describe('select-targets', () => {
         deepStrictEqual(includeList, []);
         deepStrictEqual(failedTargets, ['foo']);
     });
+
+    describe('patterns', () => {
+        const envs = {
+            dirs: [
+                { path: 'environments/prod-eu', providers: ['aws'] },
+                { path: 'environments/prod-us', providers: ['aws'] },
+                { path: 'environments/legacy', providers: ['aws'] },
+                { path: 'environments/dev/app', providers: ['google'] },
+                { path: 'sandbox', providers: [] }
+            ]
+        };
+        const paths = (targets) => resolveTargets(targets, envs).includeList.map(t => t.path);
+
+        it('should expand glob targets', () => {
+            deepStrictEqual(paths(['environments/prod-*']), ['environments/prod-eu', 'environments/prod-us']);
+            deepStrictEqual(paths(['environments/*']), ['environments/legacy', 'environments/prod-eu', 'environments/prod-us']);
+            deepStrictEqual(paths(['environments/**']), [
+                'environments/dev/app', 'environments/legacy', 'environments/prod-eu', 'environments/prod-us'
+            ]);
+        });
+
+        it('should remove negated targets wherever they appear', () => {
+            deepStrictEqual(paths(['!environments/legacy', 'environments/*']), ['environments/prod-eu', 'environments/prod-us']);
+            deepStrictEqual(paths(['environments/**', '!environments/prod-*', 'sandbox']), ['environments/dev/app', 'environments/legacy', 'sandbox']);
+        });
+
+        it('should not list a root twice', () => {
+            deepStrictEqual(paths(['environments/prod-eu', 'environments/prod-*']), ['environments/prod-eu', 'environments/prod-us']);
+        });
+
+        it('should report patterns that match nothing', () => {
+            const { failedTargets } = resolveTargets(['environments/stg-*', '!environments/old', 'sandbox'], envs);
+            deepStrictEqual(failedTargets, ['environments/stg-*', '!environments/old']);
+        });
+
+        it('should detect patterns and format the expansion', () => {
+            deepStrictEqual(hasPatterns(['app1', 'app2/']), false);
+            deepStrictEqual(hasPatterns(['environments/*']), true);
+            deepStrictEqual(hasPatterns(['!app1']), true);
+            deepStrictEqual(
+                formatResolvedTargets(['environments/prod-*'], ['environments/prod-eu', 'environments/prod-us']),
+                'Targets `environments/prod-*` matched 2 roots:\n- `environments/prod-eu`\n- `environments/prod-us`'
+            );
+        });
+    });
+
+    describe('selectors', () => {
+        const labeled = {
+            dirs: [
+                { path: 'env/dev', providers: [] },
+                { path: 'env/prod-eu', providers: ['aws'], tags: ['eu', 'prod'], group: 'team:data' },
+                { path: 'env/prod-us', providers: ['aws'], tags: ['prod'] }
+            ]
+        };
+        const paths = (targets) => resolveTargets(targets, labeled).includeList.map(t => t.path);
+
+        it('should select roots by group or tag', () => {
+            deepStrictEqual(paths(['@prod']), ['env/prod-eu', 'env/prod-us']);
+            deepStrictEqual(paths(['@team:data']), ['env/prod-eu']);
+            deepStrictEqual(paths(['tag:eu']), ['env/prod-eu']);
+            deepStrictEqual(paths(['@prod', '!tag:eu', 'env/dev']), ['env/prod-us', 'env/dev']);
+        });
+
+        it('should keep the labels in the result', () => {
+            deepStrictEqual(resolveTargets(['tag:eu'], labeled).includeList, [
+                { path: 'env/prod-eu', providers: ['aws'], tags: ['eu', 'prod'], group: 'team:data' }
+            ]);
+        });
+
+        it('should report selectors that match nothing', () => {
+            deepStrictEqual(resolveTargets(['tag:team:data', '@qa'], labeled).failedTargets, ['tag:team:data', '@qa']);
+            deepStrictEqual(hasPatterns(['@prod']), true);
+            deepStrictEqual(hasPatterns(['tag:eu']), true);
+        });
+    });
+
+    describe('suggestions', () => {
+        const roots = {
+            dirs: [
+                { path: 'environments/test1', providers: [] },
+                { path: 'environments/test2', providers: [], tags: ['prod'], group: 'payments' },
+                { path: 'sandbox/app', providers: [] },
+                { path: 'environments/app', providers: [] }
+            ]
+        };
+
+        it('should resolve an unambiguous basename', () => {
+            const { includeList, failedTargets, resolved } = resolveTargets(['test1', '!test2'], roots);
+            deepStrictEqual(includeList, [{ path: 'environments/test1', providers: [] }]);
+            deepStrictEqual(failedTargets, []);
+            deepStrictEqual(resolved, [
+                { target: 'test1', path: 'environments/test1' },
+                { target: '!test2', path: 'environments/test2' }
+            ]);
+        });
+
+        it('should not resolve basenames for exact targets', () => {
+            const { includeList, failedTargets, resolved } = resolveTargets(['test1', 'environments/test2'], roots, { exact: true });
+            deepStrictEqual(includeList, [{ path: 'environments/test2', providers: [], tags: ['prod'], group: 'payments' }]);
+            deepStrictEqual(failedTargets, ['test1']);
+            deepStrictEqual(resolved, []);
+        });
+
+        it('should not resolve an ambiguous basename', () => {
+            const { failedTargets, resolved } = resolveTargets(['app'], roots);
+            deepStrictEqual(failedTargets, ['app']);
+            deepStrictEqual(resolved, []);
+            deepStrictEqual(suggestTargets('app', roots), ['environments/app', 'sandbox/app']);
+        });
+
+        it('should suggest close roots, groups and tags', () => {
+            deepStrictEqual(suggestTargets('enviroments/test1', roots), ['environments/test1', 'environments/test2']);
+            deepStrictEqual(suggestTargets('!enviroments/test1/', roots), ['!environments/test1', '!environments/test2']);
+            deepStrictEqual(suggestTargets('@payment', roots), ['@payments']);
+            deepStrictEqual(suggestTargets('tag:prd', roots), ['tag:prod']);
+            deepStrictEqual(suggestTargets('unrelated/thing', roots), []);
+        });
+
+        it('should format the failed targets with suggestions', () => {
+            deepStrictEqual(
+                formatFailedTargets(['enviroments/test1', 'nothing/close'], roots),
+                'The following targets were not found in .tfdeps.json: enviroments/test1, nothing/close\n' +
+                '- `enviroments/test1`: did you mean `environments/test1`, `environments/test2`?'
+            );
+        });
+    });
 });
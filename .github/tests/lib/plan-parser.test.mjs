@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { normalizeActions, parsePlanJson, formatPlanSummary } from '../../scripts/lib/plan-parser.mjs';
+
+const rc = (address, actions, extra = {}) => ({
+  address,
+  mode: address.startsWith('data.') ? 'data' : 'managed',
+  type: address.split('.').slice(-2)[0],
+  provider_name: 'registry.terraform.io/hashicorp/aws',
+  change: { actions, ...(extra.change || {}) },
+  ...(extra.previous_address ? { previous_address: extra.previous_address } : {})
+});
+
+describe('lib/plan-parser', () => {
+
+  describe('normalizeActions', () => {
+    it('should map action arrays to a single action', () => {
+      assert.strictEqual(normalizeActions(['create']), 'create');
+      assert.strictEqual(normalizeActions(['delete', 'create']), 'replace');
+      assert.strictEqual(normalizeActions(['create', 'delete']), 'replace');
+      assert.strictEqual(normalizeActions(['no-op']), 'no-op');
+      assert.strictEqual(normalizeActions([]), 'no-op');
+    });
+  });
+
+  describe('parsePlanJson', () => {
+    it('should count each action separately', () => {
+      const plan = parsePlanJson({
+        resource_changes: [
+          rc('aws_instance.a', ['create']),
+          rc('aws_instance.b', ['update']),
+          rc('aws_instance.c', ['delete']),
+          rc('aws_db_instance.main', ['delete', 'create']),
+          rc('data.aws_ami.ubuntu', ['read']),
+          rc('aws_s3_bucket.logs', ['no-op'])
+        ]
+      });
+      assert.deepStrictEqual(plan.summary, {
+        add: 1, change: 1, destroy: 1, replace: 1, read: 1, import: 0, move: 0, forget: 0
+      });
+      assert.strictEqual(plan.hasChanges, true);
+      assert.strictEqual(plan.resources.length, 5);
+      assert.deepStrictEqual(plan.resources[3], {
+        address: 'aws_db_instance.main',
+        type: 'aws_db_instance',
+        mode: 'managed',
+        provider: 'registry.terraform.io/hashicorp/aws',
+        action: 'replace',
+        importing: false,
+        movedFrom: null
+      });
+    });
+
+    it('should report imports, moves and forgets', () => {
+      const plan = parsePlanJson(JSON.stringify({
+        resource_changes: [
+          rc('aws_instance.imported', ['no-op'], { change: { importing: { id: 'i-123' } } }),
+          rc('aws_instance.new_name', ['no-op'], { previous_address: 'aws_instance.old_name' }),
+          rc('aws_instance.gone', ['forget'])
+        ]
+      }));
+      assert.strictEqual(plan.summary.import, 1);
+      assert.strictEqual(plan.summary.move, 1);
+      assert.strictEqual(plan.summary.forget, 1);
+      assert.strictEqual(plan.resources[1].movedFrom, 'aws_instance.old_name');
+      assert.strictEqual(plan.hasChanges, true);
+    });
+
+    it('should not treat attribute values as errors', () => {
+      const plan = parsePlanJson({
+        resource_changes: [
+          rc('null_resource.x', ['create'], { change: { after: { triggers: { msg: 'Error: not really' } } } })
+        ]
+      });
+      assert.strictEqual(plan.errored, false);
+      assert.strictEqual(plan.summary.add, 1);
+    });
+
+    it('should report no changes and errored plans', () => {
+      assert.strictEqual(parsePlanJson({ resource_changes: [rc('a.b', ['no-op'])] }).hasChanges, false);
+      assert.strictEqual(parsePlanJson({ errored: true }).errored, true);
+    });
+
+    it('should throw on invalid input', () => {
+      assert.throws(() => parsePlanJson(null), /Invalid plan JSON/);
+    });
+  });
+
+  describe('formatPlanSummary', () => {
+    it('should format non-zero counts', () => {
+      assert.strictEqual(
+        formatPlanSummary({ add: 1, change: 0, destroy: 2, replace: 1, read: 3, import: 1, move: 0, forget: 0 }),
+        '+1 add, ±1 replace, -2 destroy, 1 import'
+      );
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { editDistance, suggestNames } from '../../scripts/lib/suggest.mjs';
+
+describe('lib/suggest', () => {
+
+  describe('editDistance', () => {
+    it('should count insertions, deletions and substitutions', () => {
+      assert.strictEqual(editDistance('', ''), 0);
+      assert.strictEqual(editDistance('abc', ''), 3);
+      assert.strictEqual(editDistance('enviroments', 'environments'), 1);
+      assert.strictEqual(editDistance('kitten', 'sitting'), 3);
+    });
+  });
+
+  describe('suggestNames', () => {
+    const names = ['environments/test1', 'environments/test2', 'environments/prod', 'modules/network'];
+
+    it('should put names with the same basename first', () => {
+      assert.deepStrictEqual(suggestNames('env/test1', names), ['environments/test1', 'environments/test2']);
+    });
+
+    it('should suggest names within a small edit distance', () => {
+      assert.deepStrictEqual(suggestNames('modules/netwrok', names), ['modules/network']);
+      assert.deepStrictEqual(suggestNames('prd', names), ['environments/prod']);
+    });
+
+    it('should limit the suggestions and skip distant names', () => {
+      assert.deepStrictEqual(suggestNames('test', names, 1), ['environments/test1']);
+      assert.deepStrictEqual(suggestNames('something/else', names), []);
+    });
+  });
+});
@@ -5,7 +5,7 @@ import { writeFile, unlink, mkdtemp, rm } from 'node:fs/promises';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
 
-import { runCommand, getWorkspaceRoot, loadJson } from '../../scripts/lib/utils.mjs';
+import { runCommand, getWorkspaceRoot, loadJson, mapWithConcurrency, withTimeout, retry } from '../../scripts/lib/utils.mjs';
 
 describe('utils.mjs', () => {
 
@@ -88,4 +88,76 @@ describe('utils.mjs', () => {
         }
     });
   });
+
+  describe('mapWithConcurrency', () => {
+    it('should keep the order and limit concurrent calls', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        running--;
+        return i;
+      });
+      assert.deepStrictEqual(results, [0, 1, 2, 3, 4]);
+      assert.strictEqual(maxRunning, 2);
+    });
+
+    it('should handle an empty list', async () => {
+      assert.deepStrictEqual(await mapWithConcurrency([], 4, async () => 1), []);
+    });
+  });
+
+  describe('withTimeout', () => {
+    it('should return the result when in time', async () => {
+      assert.strictEqual(await withTimeout(async () => 'ok', 1000), 'ok');
+    });
+
+    it('should reject and kill the command on timeout', async () => {
+      let signal;
+      await assert.rejects(
+        withTimeout((s) => {
+          signal = s;
+          return runCommand('sleep', ['5'], { signal });
+        }, 50, 'too slow'),
+        (err) => {
+          assert.strictEqual(err.message, 'too slow');
+          assert.strictEqual(err.timedOut, true);
+          return true;
+        }
+      );
+      assert.strictEqual(signal.aborted, true);
+    });
+  });
+
+  describe('retry', () => {
+    it('should retry retryable errors with backoff', async () => {
+      const delays = [];
+      let calls = 0;
+      const result = await retry(async () => {
+        calls++;
+        if (calls < 3) throw new Error('flaky');
+        return 'ok';
+      }, { retries: 2, delayMs: 100, sleep: async (ms) => delays.push(ms) });
+      assert.strictEqual(result, 'ok');
+      assert.deepStrictEqual(delays, [100, 200]);
+    });
+
+    it('should stop on non-retryable errors and after the last retry', async () => {
+      let calls = 0;
+      await assert.rejects(
+        retry(async () => { calls++; throw new Error('fatal'); }, { shouldRetry: () => false, sleep: async () => {} }),
+        /fatal/
+      );
+      assert.strictEqual(calls, 1);
+
+      calls = 0;
+      await assert.rejects(
+        retry(async () => { calls++; throw new Error('flaky'); }, { retries: 1, sleep: async () => {} }),
+        /flaky/
+      );
+      assert.strictEqual(calls, 2);
+    });
+  });
 });